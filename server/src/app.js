@@ -7,10 +7,21 @@ const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const apiKeyRoutes = require('./routes/apiKeys');
+const sessionRoutes = require('./routes/sessions');
+const oidcRoutes = require('./routes/oidc');
 const postRoutes = require('./routes/posts');
 const userRoutes = require('./routes/users');
+const roleRoutes = require('./routes/roles');
+const auditRoutes = require('./routes/audit');
+const wellKnownRoutes = require('./routes/wellKnown');
 const { errorHandler } = require('./middleware/errorHandler');
+const { csrfProtection } = require('./middleware/csrf');
+const { parseCookies } = require('./utils/cookies');
 const { logger } = require('./utils/logger');
+const { assertSecureConfiguration } = require('./utils/signingKeys');
+const { startPostScheduler } = require('./utils/postScheduler');
 
 const app = express();
 
@@ -34,6 +45,10 @@ app.use(cors({
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
+app.use(parseCookies);
+
+// CSRF protection for cookie-authenticated requests
+app.use('/api/', csrfProtection);
 
 // Logging middleware
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
@@ -43,10 +58,19 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
+// Public key discovery
+app.use('/.well-known', wellKnownRoutes);
+
 // API routes
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/api-keys', apiKeyRoutes);
+app.use('/api/auth/sessions', sessionRoutes);
+app.use('/api/auth/oidc', oidcRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/posts', postRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/audit', auditRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -71,7 +95,15 @@ const connectDB = async () => {
 // Start server
 const PORT = process.env.PORT || 5000;
 const startServer = async () => {
+  try {
+    assertSecureConfiguration();
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+
   await connectDB();
+  startPostScheduler();
   app.listen(PORT, () => {
     logger.info(`Server running on port ${PORT}`);
   });
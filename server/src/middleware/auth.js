@@ -1,20 +1,102 @@
 const User = require('../models/User');
-const { verifyToken, extractTokenFromHeader } = require('../utils/auth');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const { verifyToken, getTokenErrorMessage, parseAuthorizationHeader } = require('../utils/auth');
+const loginThrottle = require('../utils/loginThrottle');
+const { ACCESS_COOKIE, isCookieAuthEnabled } = require('../utils/cookies');
+const { can, getRolePermissions } = require('../utils/permissions');
 const { logger } = require('../utils/logger');
 
+/**
+ * Find the active user an API key belongs to
+ * @param {String} key - Plain API key
+ * @returns {Object|null} API key and user, or null
+ */
+const resolveApiKey = async (key) => {
+  const apiKey = await ApiKey.findActiveByKey(key);
+  if (!apiKey) return null;
+
+  const user = await User.findById(apiKey.user).select('-password');
+  if (!user || !user.isActive) return null;
+
+  return { apiKey, user };
+};
+
+/**
+ * Find the admin behind an impersonation token. They must still be active,
+ * not logged out everywhere and allowed to impersonate.
+ * @param {Object} decoded - Decoded access token with an `act` claim
+ * @returns {Object|null} Impersonating user, or null
+ */
+const resolveImpersonator = async (decoded) => {
+  const impersonator = await User.findById(decoded.act.sub).select('-password');
+  if (!impersonator || !impersonator.isActive || impersonator.isTokenRevoked(decoded)) {
+    return null;
+  }
+
+  return (await can(impersonator, 'user.impersonate')) ? impersonator : null;
+};
+
+/**
+ * Read the access token cookie when cookie-based auth is enabled
+ * @param {Object} req - Express request
+ * @returns {String|null} Access token
+ */
+const getAccessCookie = (req) => {
+  if (!isCookieAuthEnabled() || !req.cookies) return null;
+  return req.cookies[ACCESS_COOKIE] || null;
+};
+
+/**
+ * Get the request's credentials from the Authorization header, falling back
+ * to the access token cookie
+ * @param {Object} req - Express request
+ * @returns {Object} Scheme and credentials
+ */
+const getCredentials = (req) => {
+  const authHeader = req.header('Authorization');
+  const accessCookie = getAccessCookie(req);
+
+  if (!authHeader && accessCookie) {
+    return { scheme: 'Bearer', credentials: accessCookie };
+  }
+
+  return parseAuthorizationHeader(authHeader);
+};
+
 /**
  * Authentication middleware
- * Verifies JWT token and attaches user to request object
+ * Verifies JWT token (or API key) and attaches user to request object
  */
 const authenticate = async (req, res, next) => {
   try {
-    // Get token from header
-    const authHeader = req.header('Authorization');
-    const token = extractTokenFromHeader(authHeader);
+    // Get credentials from header (or cookie)
+    const { scheme, credentials } = getCredentials(req);
+
+    if (scheme === 'ApiKey') {
+      const resolved = await resolveApiKey(credentials);
+      if (!resolved) {
+        return res.status(401).json({ error: 'Invalid API key' });
+      }
+
+      req.user = resolved.user;
+      req.apiKey = resolved.apiKey;
+
+      logger.debug(`User authenticated with API key ${resolved.apiKey.prefix}: ${resolved.user.email}`);
+      return next();
+    }
+
+    const token = credentials;
 
     // Verify token
     const decoded = verifyToken(token);
 
+    // Check if token has been revoked
+    if (await RevokedToken.isRevoked(decoded.jti)) {
+      return res.status(401).json({ error: 'Token has been revoked' });
+    }
+
     // Find user
     const user = await User.findById(decoded.id).select('-password');
     if (!user) {
@@ -26,15 +108,39 @@ const authenticate = async (req, res, next) => {
       return res.status(401).json({ error: 'User account is deactivated' });
     }
 
+    // Check if user logged out everywhere after this token was issued
+    if (user.isTokenRevoked(decoded)) {
+      return res.status(401).json({ error: 'Token has been revoked' });
+    }
+
+    // Check the login session the token belongs to is still alive
+    if (decoded.sid) {
+      const session = await Session.findActiveById(decoded.sid);
+      if (!session || session.user.toString() !== user._id.toString()) {
+        return res.status(401).json({ error: 'Session has been revoked' });
+      }
+      await session.touch();
+    }
+
+    // Impersonation tokens also carry the admin acting as the user
+    if (decoded.act) {
+      const impersonator = await resolveImpersonator(decoded);
+      if (!impersonator) {
+        return res.status(401).json({ error: 'Impersonation is no longer valid' });
+      }
+      req.impersonator = impersonator;
+    }
+
     // Attach user to request
     req.user = user;
     req.token = token;
+    req.tokenPayload = decoded;
 
     logger.debug(`User authenticated: ${user.email}`);
     next();
   } catch (error) {
-    logger.error('Authentication failed:', error.message);
-    res.status(401).json({ error: 'Authentication failed' });
+    logger.error('Authentication failed:', error.reason || error.message);
+    res.status(401).json({ error: getTokenErrorMessage(error) });
   }
 };
 
@@ -44,19 +150,45 @@ const authenticate = async (req, res, next) => {
  */
 const optionalAuth = async (req, res, next) => {
   try {
-    const authHeader = req.header('Authorization');
-    
-    if (!authHeader) {
+    if (!req.header('Authorization') && !getAccessCookie(req)) {
       return next();
     }
 
-    const token = extractTokenFromHeader(authHeader);
+    const { scheme, credentials } = getCredentials(req);
+
+    if (scheme === 'ApiKey') {
+      const resolved = await resolveApiKey(credentials);
+      if (resolved) {
+        req.user = resolved.user;
+        req.apiKey = resolved.apiKey;
+        logger.debug(`Optional authentication with API key successful: ${resolved.user.email}`);
+      }
+      return next();
+    }
+
+    const token = credentials;
     const decoded = verifyToken(token);
+
+    if (await RevokedToken.isRevoked(decoded.jti)) {
+      return next();
+    }
+
+    if (decoded.sid && !(await Session.findActiveById(decoded.sid))) {
+      return next();
+    }
+
     const user = await User.findById(decoded.id).select('-password');
     
-    if (user && user.isActive) {
+    const impersonator = decoded.act ? await resolveImpersonator(decoded) : null;
+    if (decoded.act && !impersonator) {
+      return next();
+    }
+
+    if (user && user.isActive && !user.isTokenRevoked(decoded)) {
+      if (impersonator) req.impersonator = impersonator;
       req.user = user;
       req.token = token;
+      req.tokenPayload = decoded;
       logger.debug(`Optional authentication successful: ${user.email}`);
     }
     
@@ -68,22 +200,46 @@ const optionalAuth = async (req, res, next) => {
 };
 
 /**
- * Role-based authorization middleware
+ * Check if a user may do everything one of the given roles may do
+ * @param {Object} user - User document
+ * @param {Array} roles - Role names
+ * @returns {Boolean} True if the user's permissions cover one of the roles
+ */
+const coversRole = async (user, roles) => {
+  for (const role of roles) {
+    const permissions = [...(await getRolePermissions(role))];
+    if (permissions.length === 0) continue;
+
+    const granted = await Promise.all(permissions.map(permission => can(user, permission)));
+    if (granted.every(Boolean)) return true;
+  }
+
+  return false;
+};
+
+/**
+ * Role-based authorization middleware. Lets users through whose role has
+ * every permission of one of the given roles, so custom roles work too.
+ * @deprecated Use requirePermission, or authorizeResource (middleware/policy)
+ * for routes addressing a document
  * @param {String|Array} roles - Required role(s)
  */
 const authorize = (roles = []) => {
-  return (req, res, next) => {
+  // Convert single role to array
+  const requiredRoles = Array.isArray(roles) ? roles : [roles];
+
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
-    // Convert single role to array
-    const requiredRoles = Array.isArray(roles) ? roles : [roles];
-
-    // Check if user has required role
-    if (!requiredRoles.includes(req.user.role)) {
-      logger.warn(`Access denied for user ${req.user.email}. Required roles: ${requiredRoles.join(', ')}. User role: ${req.user.role}`);
-      return res.status(403).json({ error: 'Insufficient permissions' });
+    try {
+      if (!(await coversRole(req.user, requiredRoles))) {
+        logger.warn(`Access denied for user ${req.user.email}. Required roles: ${requiredRoles.join(', ')}. User role: ${req.user.role}`);
+        return res.status(403).json({ error: 'Insufficient permissions' });
+      }
+    } catch (error) {
+      return next(error);
     }
 
     logger.debug(`Authorization successful for user ${req.user.email} with role ${req.user.role}`);
@@ -91,36 +247,76 @@ const authorize = (roles = []) => {
   };
 };
 
+/**
+ * Permission-based authorization middleware
+ * @param {String} permission - Required permission (see utils/permissions)
+ */
+const requirePermission = (permission) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+      if (!(await can(req.user, permission))) {
+        logger.warn(`Access denied for user ${req.user.email}. Required permission: ${permission}. User role: ${req.user.role}`);
+        return res.status(403).json({ error: 'Insufficient permissions' });
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    next();
+  };
+};
+
+/**
+ * Block sensitive actions (password or role changes, deletions) for
+ * requests made with an impersonation token
+ */
+const forbidImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    logger.warn(`Blocked ${req.method} ${req.originalUrl} by ${req.impersonator.email} impersonating ${req.user.email}`);
+    return res.status(403).json({ error: 'Not allowed while impersonating a user' });
+  }
+
+  next();
+};
+
 /**
  * Admin authorization middleware
+ * @deprecated Use requirePermission with the permission the route needs
  */
 const requireAdmin = authorize('admin');
 
 /**
  * Moderator or admin authorization middleware
+ * @deprecated Use requirePermission with the permission the route needs
  */
 const requireModerator = authorize(['admin', 'moderator']);
 
 /**
  * Self or admin authorization middleware
- * Allows users to access their own resources or admins to access any resource
+ * Allows users to access their own resources (user.update.own) and users
+ * who may edit any account (user.update.any) to access any resource.
+ * @deprecated Use authorizeResource (middleware/policy), which also loads
+ * the document
  */
 const requireSelfOrAdmin = (resourceUserIdField = 'userId') => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: 'Authentication required' });
     }
 
-    const resourceUserId = req.params[resourceUserIdField] || req.body[resourceUserIdField];
-    
-    // Admin can access any resource
-    if (req.user.role === 'admin') {
-      return next();
-    }
+    const resourceUserId = (req.params && req.params[resourceUserIdField]) ||
+      (req.body && req.body[resourceUserIdField]);
 
-    // User can only access their own resources
-    if (req.user._id.toString() === resourceUserId) {
-      return next();
+    try {
+      if (await can(req.user, 'user.update', resourceUserId ? { user: resourceUserId } : null)) {
+        return next();
+      }
+    } catch (error) {
+      return next(error);
     }
 
     logger.warn(`Access denied for user ${req.user.email} to resource ${resourceUserId}`);
@@ -128,12 +324,77 @@ const requireSelfOrAdmin = (resourceUserIdField = 'userId') => {
   };
 };
 
+/**
+ * API key scope middleware
+ * Requests authenticated with an API key must carry the scope; scopes only
+ * narrow access, so the route's role checks still apply. Token sessions pass.
+ * @param {String} scope - Required scope (e.g. 'posts:write')
+ */
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.apiKey && !req.apiKey.hasScope(scope)) {
+      logger.warn(`API key ${req.apiKey.prefix} lacks scope ${scope} for ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({ error: `API key is missing the ${scope} scope` });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Interactive session middleware
+ * Rejects API keys on account management routes (passwords, 2FA, keys themselves)
+ */
+const rejectApiKey = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({ error: 'This action cannot be performed with an API key' });
+  }
+
+  next();
+};
+
+/**
+ * Verified email middleware
+ * Lets routes opt into requiring a verified email address
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  if (!req.user.emailVerified) {
+    logger.warn(`Unverified email blocked for user ${req.user.email} on ${req.method} ${req.originalUrl}`);
+    return res.status(403).json({ error: 'Email verification required' });
+  }
+
+  next();
+};
+
 /**
  * Rate limiting middleware for authentication attempts
+ * Tracks failed logins per IP with exponential backoff; the count is reset
+ * by finishLogin once a login issues tokens. Per-account lockout is handled
+ * by User.registerFailedLogin (wrong passwords and codes)
  */
 const authRateLimit = (req, res, next) => {
-  // This would typically use a rate limiting library like express-rate-limit
-  // For now, we'll just pass through
+  const ip = req.ip;
+  const retryAfter = loginThrottle.getRetryAfter(ip);
+
+  if (retryAfter > 0) {
+    const error = new Error('Too many failed login attempts, please try again later');
+    error.statusCode = 429;
+    error.retryAfter = retryAfter;
+    return next(error);
+  }
+
+  if (res.on) {
+    res.on('finish', () => {
+      if (res.statusCode === 401 || res.statusCode === 423) {
+        loginThrottle.recordFailure(ip);
+      }
+    });
+  }
+
   next();
 };
 
@@ -141,8 +402,13 @@ module.exports = {
   authenticate,
   optionalAuth,
   authorize,
+  requirePermission,
+  forbidImpersonation,
   requireAdmin,
   requireModerator,
   requireSelfOrAdmin,
+  requireScope,
+  rejectApiKey,
+  requireVerifiedEmail,
   authRateLimit
 }; 
\ No newline at end of file
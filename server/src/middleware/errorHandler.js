@@ -1,4 +1,6 @@
+const { validationResult } = require('express-validator');
 const { logger } = require('../utils/logger');
+const { getTokenErrorMessage } = require('../utils/auth');
 
 /**
  * Global error handler middleware
@@ -38,14 +40,9 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 400 };
   }
 
-  // JWT errors
-  if (err.name === 'JsonWebTokenError') {
-    const message = 'Invalid token';
-    error = { message, statusCode: 401 };
-  }
-
-  if (err.name === 'TokenExpiredError') {
-    const message = 'Token expired';
+  // JWT errors, worded the same way as in the authenticate middleware
+  if (['JsonWebTokenError', 'TokenExpiredError', 'TokenError'].includes(err.name)) {
+    const message = getTokenErrorMessage(err);
     error = { message, statusCode: 401 };
   }
 
@@ -72,6 +69,11 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 429 };
   }
 
+  // Tell throttled (429) and locked-out (423) clients when to retry
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
   // Default error
   const statusCode = error.statusCode || err.statusCode || 500;
   const message = error.message || 'Server Error';
@@ -79,6 +81,7 @@ const errorHandler = (err, req, res, next) => {
   // Don't leak error details in production
   const response = {
     error: message,
+    ...(error.details && { details: error.details }),
     ...(process.env.NODE_ENV === 'development' && {
       stack: err.stack,
       details: err
@@ -113,11 +116,11 @@ const notFound = (req, res, next) => {
  * Handles validation errors from express-validator
  */
 const handleValidationErrors = (req, res, next) => {
-  const errors = req.validationErrors();
-  if (errors) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
     const error = new Error('Validation failed');
     error.statusCode = 400;
-    error.details = errors;
+    error.details = errors.array();
     return next(error);
   }
   next();
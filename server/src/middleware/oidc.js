@@ -0,0 +1,33 @@
+const { body } = require('express-validator');
+const { getProvider } = require('../utils/oidc');
+
+// Validation rules for the provider callback, for login and account linking alike
+const oidcCallbackValidation = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+  body('state')
+    .isString()
+    .notEmpty()
+    .withMessage('State is required')
+];
+
+/**
+ * Attach the identity provider named in the URL to the request
+ */
+const loadOidcProvider = (req, res, next) => {
+  const provider = getProvider(req.params.provider);
+
+  if (!provider) {
+    return res.status(404).json({ error: 'Unknown identity provider' });
+  }
+
+  req.oidcProvider = provider;
+  next();
+};
+
+module.exports = {
+  oidcCallbackValidation,
+  loadOidcProvider
+};
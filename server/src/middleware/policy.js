@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const { can, getRolePermissions } = require('../utils/permissions');
+const { logger } = require('../utils/logger');
+
+/**
+ * Resources routes can protect with authorizeResource. `property` is where
+ * the loaded document is attached on the request. Nested resources name the
+ * field that must match the parent route param in `belongsTo`.
+ */
+const RESOURCES = {
+  post: {
+    model: Post,
+    label: 'Post',
+    noun: 'post',
+    property: 'post'
+  },
+  comment: {
+    model: Comment,
+    label: 'Comment',
+    noun: 'comment',
+    property: 'comment',
+    belongsTo: { field: 'post', param: 'id' }
+  },
+  user: {
+    model: User,
+    label: 'User',
+    noun: 'profile',
+    property: 'targetUser'
+  }
+};
+
+// Wording for 403 messages, e.g. "Not authorized to view this profile"
+const VERBS = {
+  read: 'view',
+  update: 'update',
+  delete: 'delete'
+};
+
+/**
+ * Check if a role grants an action on at least some resources
+ * @param {Set} permissions - Role permissions
+ * @param {String} action - Action
+ * @returns {Boolean} True if the action may be allowed
+ */
+const mayPerform = (permissions, action) => {
+  return permissions.has(action) || permissions.has(`${action}.any`) || permissions.has(`${action}.own`);
+};
+
+/**
+ * Resource policy middleware
+ * Loads the resource named by a route param, checks the `<resource>.<verb>`
+ * permission against it (own/any aware) and attaches it to the request.
+ * Users who can't perform the action at all get a 403 before the lookup, so
+ * the response never reveals whether the resource exists.
+ * @param {String} resourceName - Key of RESOURCES (post, comment, user)
+ * @param {String} verb - Action on the resource (read, update, delete, role.change, ...)
+ * @param {Object} options - Options
+ * @param {String} options.param - Route param holding the id
+ */
+const authorizeResource = (resourceName, verb, { param = 'id' } = {}) => {
+  const resource = RESOURCES[resourceName];
+  const action = `${resourceName}.${verb}`;
+
+  if (!resource) {
+    throw new Error(`Unknown policy resource: ${resourceName}`);
+  }
+
+  const forbidden = (req, res) => {
+    logger.warn(`Access denied for user ${req.user.email}: ${action} on ${resourceName} ${req.params[param]}`);
+    const error = VERBS[verb]
+      ? `Not authorized to ${VERBS[verb]} this ${resource.noun}`
+      : 'Insufficient permissions';
+    return res.status(403).json({ error });
+  };
+
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+      const permissions = await getRolePermissions(req.user.role);
+      if (!mayPerform(permissions, action)) {
+        return forbidden(req, res);
+      }
+
+      const id = req.params[param];
+      const doc = mongoose.isValidObjectId(id) ? await resource.model.findById(id) : null;
+      const { belongsTo } = resource;
+
+      if (!doc || (belongsTo && String(doc[belongsTo.field]) !== req.params[belongsTo.param])) {
+        return res.status(404).json({ error: `${resource.label} not found` });
+      }
+
+      if (!(await can(req.user, action, doc))) {
+        return forbidden(req, res);
+      }
+
+      req[resource.property] = doc;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  authorizeResource
+};
@@ -0,0 +1,43 @@
+const rateLimit = require('express-rate-limit');
+const { logger } = require('../utils/logger');
+
+/**
+ * Create a rate limiter that reports through the global error handler
+ * @param {Object} options - Limiter options
+ * @param {Number} options.windowMs - Window length in milliseconds
+ * @param {Number} options.max - Requests allowed per key and window
+ * @param {Function} options.keyGenerator - Derives the throttling key from the request (defaults to IP)
+ * @param {String} options.message - Error message once the limit is hit
+ * @returns {Function} Express middleware
+ */
+const createRateLimiter = ({ windowMs, max, keyGenerator, message = 'Too many requests' }) => {
+  return rateLimit({
+    windowMs,
+    max,
+    standardHeaders: true,
+    legacyHeaders: false,
+    ...(keyGenerator && { keyGenerator }),
+    handler: (req, res, next) => {
+      logger.warn(`Rate limit exceeded: ${req.method} ${req.originalUrl} from ${req.ip}`);
+
+      const error = new Error(message);
+      error.statusCode = 429;
+      next(error);
+    }
+  });
+};
+
+/**
+ * Key generator throttling by the (normalized) email in the request body
+ * @param {Object} req - Express request
+ * @returns {String} Throttling key
+ */
+const emailKey = (req) => {
+  const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+  return `email:${email}`;
+};
+
+module.exports = {
+  createRateLimiter,
+  emailKey
+};
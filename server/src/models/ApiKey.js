@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const { generateOpaqueToken, hashToken } = require('../utils/auth');
+
+const SCOPES = ['posts:read', 'posts:write', 'users:read', 'users:write', 'users:admin'];
+const KEY_PREFIX = 'mk';
+
+// lastUsedAt is only written when it is older than this, to avoid a write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'API key user is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [100, 'API key name cannot exceed 100 characters']
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: SCOPES
+    }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for active state
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Indexes
+apiKeySchema.index({ keyHash: 1 }, { unique: true });
+apiKeySchema.index({ user: 1, createdAt: -1 });
+
+// Instance method to check if the key grants a scope
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Static method to create a key; the plain key is only ever returned here
+apiKeySchema.statics.generate = async function({ user, name, scopes, expiresAt = null }) {
+  const prefix = generateOpaqueToken(6).replace(/[-_]/g, 'x');
+  const key = `${KEY_PREFIX}_${prefix}_${generateOpaqueToken(32)}`;
+
+  const apiKey = await this.create({
+    user: user._id,
+    name,
+    prefix,
+    keyHash: hashToken(key),
+    scopes,
+    expiresAt
+  });
+
+  return { apiKey, key };
+};
+
+// Static method to find the active key matching a plain key and record its use
+apiKeySchema.statics.findActiveByKey = async function(key) {
+  const apiKey = await this.findOne({ keyHash: hashToken(key), revokedAt: null });
+
+  if (!apiKey || !apiKey.isActive) {
+    return null;
+  }
+
+  const now = new Date();
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+    apiKey.lastUsedAt = now;
+    await this.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now } });
+  }
+
+  return apiKey;
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+ApiKey.SCOPES = SCOPES;
+
+module.exports = ApiKey;
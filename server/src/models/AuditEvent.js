@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+/**
+ * A security-relevant action: who did what to which document, and from where.
+ * `impersonator` is set when the actor's session was an admin acting as them.
+ * Events are append-only; the model refuses updates and deletes.
+ */
+const auditEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: [true, 'Audit action is required'],
+    trim: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorEmail: {
+    type: String,
+    default: null
+  },
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  targetType: {
+    type: String,
+    default: null
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  changes: {
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined
+    }
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ targetId: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+
+const appendOnlyError = () => new Error('Audit events are append-only');
+
+auditEventSchema.pre('save', function(next) {
+  next(this.isNew ? undefined : appendOnlyError());
+});
+
+auditEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  function(next) {
+    next(appendOnlyError());
+  }
+);
+
+auditEventSchema.pre('deleteOne', { document: true, query: false }, function(next) {
+  next(appendOnlyError());
+});
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+
+const COMMENT_MAX_DEPTH = parseInt(process.env.COMMENT_MAX_DEPTH, 10) || 5;
+
+/**
+ * A comment on a post. Replies point to their parent and to the top-level
+ * comment of their thread (`root`), so a whole thread loads in one query.
+ * Deleted comments are kept as placeholders so their replies stay in place.
+ */
+const commentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Comment post is required']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Comment author is required']
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  root: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  depth: {
+    type: Number,
+    default: 0
+  },
+  content: {
+    type: String,
+    trim: true,
+    // Cleared when the comment is deleted
+    required: [function() { return !this.isDeleted; }, 'Comment content is required'],
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  // Reactions per type, see models/Reaction
+  reactionCounts: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+commentSchema.index({ post: 1, parent: 1, createdAt: 1 });
+commentSchema.index({ root: 1, createdAt: 1 });
+commentSchema.index({ author: 1, createdAt: -1 });
+
+// Instance method to build a reply to this comment
+commentSchema.methods.createReply = function({ author, content }) {
+  if (this.depth + 1 > COMMENT_MAX_DEPTH) {
+    const error = new Error(`Replies cannot be nested more than ${COMMENT_MAX_DEPTH} levels deep`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return new this.constructor({
+    post: this.post,
+    author,
+    parent: this._id,
+    root: this.root || this._id,
+    depth: this.depth + 1,
+    content
+  });
+};
+
+// Instance method to get the fields shown to readers
+commentSchema.methods.getPublicInfo = function() {
+  return {
+    id: this._id,
+    post: this.post,
+    parent: this.parent,
+    depth: this.depth,
+    author: this.isDeleted ? null : this.author,
+    content: this.isDeleted ? null : this.content,
+    isDeleted: this.isDeleted,
+    reactionCounts: Object.fromEntries(this.reactionCounts || []),
+    editedAt: this.editedAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to soft delete a comment; it stays as a placeholder in its
+// thread. Returns false if it was already deleted, so only one caller wins.
+commentSchema.statics.softDelete = async function(commentId, deletedBy) {
+  const result = await this.updateOne(
+    { _id: commentId, isDeleted: false },
+    {
+      $set: { isDeleted: true, deletedAt: new Date(), deletedBy },
+      $unset: { content: 1 }
+    }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Static method to load top-level comments with their full reply threads
+commentSchema.statics.findThreads = async function(postId, { skip = 0, limit = 20 } = {}) {
+  const roots = await this.find({ post: postId, parent: null })
+    .populate('author', 'username firstName lastName avatar')
+    .sort({ createdAt: 1, _id: 1 })
+    .skip(skip)
+    .limit(limit);
+
+  const replies = await this.find({ root: { $in: roots.map(comment => comment._id) } })
+    .populate('author', 'username firstName lastName avatar')
+    .sort({ createdAt: 1, _id: 1 });
+
+  const nodes = new Map();
+  [...roots, ...replies].forEach((comment) => {
+    nodes.set(comment._id.toString(), { ...comment.getPublicInfo(), replies: [] });
+  });
+
+  replies.forEach((reply) => {
+    const parent = nodes.get(reply.parent.toString());
+    if (parent) {
+      parent.replies.push(nodes.get(reply._id.toString()));
+    }
+  });
+
+  return roots.map(comment => nodes.get(comment._id.toString()));
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * A user liking a post. The unique (user, post) index makes a second like
+ * of the same post impossible, even under concurrent requests.
+ */
+const likeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Like user is required']
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Like post is required']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+likeSchema.index({ user: 1, post: 1 }, { unique: true });
+likeSchema.index({ user: 1, createdAt: -1 });
+likeSchema.index({ post: 1 });
+
+// Static method to like a post; returns false if the user already liked it
+likeSchema.statics.like = async function(userId, postId) {
+  try {
+    const result = await this.updateOne(
+      { user: userId, post: postId },
+      { $setOnInsert: { user: userId, post: postId } },
+      { upsert: true }
+    );
+    return result.upsertedCount === 1;
+  } catch (error) {
+    // A concurrent request inserted the same like first
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Static method to unlike a post; returns false if the user had not liked it
+likeSchema.statics.unlike = async function(userId, postId) {
+  const result = await this.deleteOne({ user: userId, post: postId });
+  return result.deletedCount === 1;
+};
+
+// Static method to find which of the given posts a user liked
+likeSchema.statics.findLikedPostIds = async function(userId, postIds) {
+  const likes = await this.find({ user: userId, post: { $in: postIds } }).select('post').lean();
+  return new Set(likes.map(like => like.post.toString()));
+};
+
+module.exports = mongoose.model('Like', likeSchema);
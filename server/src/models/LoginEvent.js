@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const LOGIN_HISTORY_RETENTION_DAYS = parseInt(process.env.LOGIN_HISTORY_RETENTION_DAYS, 10) || 90;
+
+/**
+ * One sign-in attempt. Failed attempts for unknown emails have no user.
+ * Entries are removed by MongoDB after LOGIN_HISTORY_RETENTION_DAYS.
+ */
+const loginEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  method: {
+    type: String,
+    default: 'password'
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  ipRange: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  deviceId: {
+    type: String,
+    default: null
+  },
+  suspicious: {
+    type: Boolean,
+    default: false
+  },
+  suspiciousReasons: {
+    type: [String],
+    enum: ['new-device', 'new-ip-range'],
+    default: []
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ user: 1, success: 1, deviceId: 1 });
+loginEventSchema.index({ user: 1, success: 1, ipRange: 1 });
+loginEventSchema.index({ success: 1, createdAt: -1 });
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: LOGIN_HISTORY_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Instance method to get the fields shown to users
+loginEventSchema.methods.getPublicInfo = function() {
+  return {
+    id: this._id,
+    success: this.success,
+    method: this.method,
+    failureReason: this.failureReason,
+    ip: this.ip,
+    userAgent: this.userAgent,
+    suspicious: this.suspicious,
+    suspiciousReasons: this.suspiciousReasons,
+    createdAt: this.createdAt
+  };
+};
+
+// Static method to check whether a user signed in successfully with a device or from an IP range before
+loginEventSchema.statics.hasSucceededBefore = async function(userId, criteria) {
+  return !!(await this.exists({ user: userId, success: true, ...criteria }));
+};
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
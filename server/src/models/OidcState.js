@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { generateOpaqueToken, hashToken } = require('../utils/auth');
+
+const OIDC_STATE_TTL_MINUTES = parseInt(process.env.OIDC_STATE_TTL_MINUTES, 10) || 10;
+
+/**
+ * Pending OpenID Connect authorization request. Holds the PKCE verifier and
+ * nonce server-side until the provider redirects back with a code. The
+ * request is bound to the browser that started it by a key kept in a cookie,
+ * so a callback URL sent to someone else can't sign them in.
+ */
+const oidcStateSchema = new mongoose.Schema({
+  stateHash: {
+    type: String,
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  mode: {
+    type: String,
+    enum: ['login', 'link'],
+    default: 'login'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  browserKeyHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+oidcStateSchema.index({ stateHash: 1 }, { unique: true });
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to store a new authorization request; returns the raw state
+// and the browser key to hand to the browser
+oidcStateSchema.statics.start = async function({ provider, mode = 'login', user = null, codeVerifier }) {
+  const state = generateOpaqueToken(32);
+  const browserKey = generateOpaqueToken(32);
+
+  const oidcState = await this.create({
+    stateHash: hashToken(state),
+    provider,
+    mode,
+    user: user ? user._id : null,
+    codeVerifier,
+    nonce: generateOpaqueToken(16),
+    browserKeyHash: hashToken(browserKey),
+    expiresAt: new Date(Date.now() + OIDC_STATE_TTL_MINUTES * 60 * 1000)
+  });
+
+  return { state, browserKey, oidcState };
+};
+
+// Static method to use up a state exactly once; returns null if unknown,
+// expired or started in another browser
+oidcStateSchema.statics.consume = async function(state, { provider, mode, browserKey }) {
+  if (!browserKey) return null;
+
+  return this.findOneAndDelete({
+    stateHash: hashToken(String(state)),
+    browserKeyHash: hashToken(String(browserKey)),
+    provider,
+    mode,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('OidcState', oidcStateSchema);
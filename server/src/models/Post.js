@@ -46,9 +46,15 @@ const postSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived'],
+    enum: ['draft', 'scheduled', 'published', 'archived'],
     default: 'draft'
   },
+  // When a scheduled post is published, see utils/postScheduler
+  publishAt: {
+    type: Date,
+    default: null,
+    required: [function() { return this.status === 'scheduled'; }, 'Scheduled posts need a publish date']
+  },
   isPublished: {
     type: Boolean,
     default: false
@@ -69,6 +75,12 @@ const postSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Reactions per type, see models/Reaction
+  reactionCounts: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
   readingTime: {
     type: Number,
     default: 0
@@ -112,6 +124,7 @@ postSchema.index({ author: 1 });
 postSchema.index({ category: 1 });
 postSchema.index({ status: 1 });
 postSchema.index({ publishedAt: -1 });
+postSchema.index({ status: 1, publishAt: 1 });
 postSchema.index({ createdAt: -1 });
 postSchema.index({ title: 'text', content: 'text' });
 
@@ -167,32 +180,69 @@ postSchema.methods.incrementViewCount = async function() {
   return await this.save();
 };
 
-// Instance method to increment like count
+// Instance method to increment like count. Uses $inc so concurrent likes
+// are all counted.
 postSchema.methods.incrementLikeCount = async function() {
-  this.likeCount += 1;
-  return await this.save();
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { likeCount: 1 } },
+    { new: true }
+  );
+
+  if (updated) {
+    this.likeCount = updated.likeCount;
+  }
+  return this;
 };
 
-// Instance method to decrement like count
+// Instance method to decrement like count, never below zero
 postSchema.methods.decrementLikeCount = async function() {
-  if (this.likeCount > 0) {
-    this.likeCount -= 1;
-  }
-  return await this.save();
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, likeCount: { $gt: 0 } },
+    { $inc: { likeCount: -1 } },
+    { new: true }
+  );
+
+  this.likeCount = updated ? updated.likeCount : 0;
+  return this;
 };
 
-// Instance method to increment comment count
+// Instance method to increment comment count. Uses $inc so concurrent
+// comments are all counted.
 postSchema.methods.incrementCommentCount = async function() {
-  this.commentCount += 1;
-  return await this.save();
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { commentCount: 1 } },
+    { new: true }
+  );
+
+  if (updated) {
+    this.commentCount = updated.commentCount;
+  }
+  return this;
 };
 
-// Instance method to decrement comment count
+// Instance method to decrement comment count, never below zero
 postSchema.methods.decrementCommentCount = async function() {
-  if (this.commentCount > 0) {
-    this.commentCount -= 1;
-  }
-  return await this.save();
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, commentCount: { $gt: 0 } },
+    { $inc: { commentCount: -1 } },
+    { new: true }
+  );
+
+  this.commentCount = updated ? updated.commentCount : 0;
+  return this;
+};
+
+// Static method to publish the next scheduled post that is due. Each post
+// is claimed with a single atomic update, so it is published exactly once
+// even when several server instances run the scheduler.
+postSchema.statics.publishNextDue = function(now = new Date()) {
+  return this.findOneAndUpdate(
+    { status: 'scheduled', publishAt: { $lte: now } },
+    { $set: { status: 'published', isPublished: true, publishedAt: now } },
+    { new: true, sort: { publishAt: 1 } }
+  );
 };
 
 // Static method to find published posts
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+const POST_REVISION_LIMIT = parseInt(process.env.POST_REVISION_LIMIT, 10) || 50;
+const POST_REVISION_MAX_AGE_DAYS = parseInt(process.env.POST_REVISION_MAX_AGE_DAYS, 10) || 0;
+
+// Post fields kept in every revision
+const REVISION_FIELDS = ['title', 'content', 'excerpt', 'tags'];
+
+/**
+ * A saved version of a post's text. Versions count up per post; the newest
+ * revision matches the post. Only the POST_REVISION_LIMIT newest revisions
+ * are kept, and with POST_REVISION_MAX_AGE_DAYS set older ones are dropped
+ * too (the newest is always kept).
+ */
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Revision post is required']
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  excerpt: {
+    type: String,
+    default: null
+  },
+  tags: {
+    type: [String],
+    default: []
+  },
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  restoredFrom: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+postRevisionSchema.index({ post: 1, version: -1 }, { unique: true });
+
+// Instance method to get the list view of a revision (without the text)
+postRevisionSchema.methods.getSummary = function() {
+  return {
+    id: this._id,
+    version: this.version,
+    title: this.title,
+    editor: this.editor,
+    restoredFrom: this.restoredFrom,
+    createdAt: this.createdAt
+  };
+};
+
+// Static method to get the newest revision of a post
+postRevisionSchema.statics.findLatest = function(postId) {
+  return this.findOne({ post: postId }).sort({ version: -1 });
+};
+
+// Static method to save the current text of a post as a new revision, unless
+// it matches the newest one. Returns the revision, or null if nothing changed.
+postRevisionSchema.statics.record = async function(post, editor, { restoredFrom = null } = {}) {
+  const snapshot = {};
+  REVISION_FIELDS.forEach((field) => {
+    snapshot[field] = field === 'tags' ? [...(post.tags || [])] : post[field] || null;
+  });
+
+  // Concurrent edits may pick the same version; the unique index rejects all
+  // but one of them and the others try again with the next version
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const latest = await this.findLatest(post._id);
+
+    if (latest && REVISION_FIELDS.every(field => JSON.stringify(latest[field] || null) === JSON.stringify(snapshot[field]))) {
+      return null;
+    }
+
+    try {
+      const revision = await this.create({
+        post: post._id,
+        version: latest ? latest.version + 1 : 1,
+        ...snapshot,
+        editor: editor ? editor._id || editor : null,
+        restoredFrom
+      });
+
+      await this.prune(post._id);
+      return revision;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error('Could not save post revision');
+};
+
+// Static method to drop revisions beyond the retention limits
+postRevisionSchema.statics.prune = async function(postId) {
+  const kept = await this.find({ post: postId })
+    .sort({ version: -1 })
+    .limit(POST_REVISION_LIMIT)
+    .select('version createdAt');
+
+  if (kept.length === 0) return;
+
+  const expired = [{ version: { $lt: kept[kept.length - 1].version } }];
+
+  if (POST_REVISION_MAX_AGE_DAYS > 0) {
+    const cutoff = new Date(Date.now() - POST_REVISION_MAX_AGE_DAYS * 24 * 60 * 60 * 1000);
+    expired.push({ version: { $lt: kept[0].version }, createdAt: { $lt: cutoff } });
+  }
+
+  await this.deleteMany({ post: postId, $or: expired });
+};
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * A user reacting to a post or comment. A user can leave several kinds of
+ * reaction on the same target, but each kind only once. The per-type totals
+ * are kept in the target's `reactionCounts`.
+ */
+const reactionSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['Post', 'Comment'],
+    required: [true, 'Reaction target type is required']
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: [true, 'Reaction target is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Reaction user is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Reaction type is required']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+reactionSchema.index({ targetType: 1, target: 1, user: 1, type: 1 }, { unique: true });
+reactionSchema.index({ targetType: 1, target: 1, type: 1, createdAt: -1 });
+
+// Static method to add a reaction and count it on the target. Returns false
+// if the user already reacted this way.
+reactionSchema.statics.react = async function(targetType, targetId, userId, type) {
+  try {
+    const result = await this.updateOne(
+      { targetType, target: targetId, user: userId, type },
+      { $setOnInsert: { targetType, target: targetId, user: userId, type } },
+      { upsert: true }
+    );
+    if (result.upsertedCount !== 1) return false;
+  } catch (error) {
+    // A concurrent request inserted the same reaction first
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  await mongoose.model(targetType).updateOne(
+    { _id: targetId },
+    { $inc: { [`reactionCounts.${type}`]: 1 } }
+  );
+  return true;
+};
+
+// Static method to remove a reaction and uncount it. Returns false if the
+// user had not reacted this way.
+reactionSchema.statics.unreact = async function(targetType, targetId, userId, type) {
+  const result = await this.deleteOne({ targetType, target: targetId, user: userId, type });
+  if (result.deletedCount !== 1) return false;
+
+  await mongoose.model(targetType).updateOne(
+    { _id: targetId, [`reactionCounts.${type}`]: { $gt: 0 } },
+    { $inc: { [`reactionCounts.${type}`]: -1 } }
+  );
+  return true;
+};
+
+// Static method to remove every reaction on the given targets
+reactionSchema.statics.removeForTargets = function(targetType, targetIds) {
+  return this.deleteMany({ targetType, target: { $in: targetIds } });
+};
+
+module.exports = mongoose.model('Reaction', reactionSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+/**
+ * Denylist of access tokens revoked before their natural expiry.
+ * Entries are removed by MongoDB once the token would have expired anyway.
+ */
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: [true, 'Token id is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    default: 'logout'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+revokedTokenSchema.index({ jti: 1 }, { unique: true });
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Entries only need to outlive the token. Tokens without an expiry are kept
+// for a day, which is longer than any token we issue.
+const getEntryExpiry = (decoded) => {
+  return decoded.exp
+    ? new Date(decoded.exp * 1000)
+    : new Date(Date.now() + 24 * 60 * 60 * 1000);
+};
+
+// Static method to revoke a decoded token
+revokedTokenSchema.statics.revoke = async function(decoded, reason = 'logout') {
+  if (!decoded || !decoded.jti) {
+    throw new Error('Token cannot be revoked');
+  }
+
+  const expiresAt = getEntryExpiry(decoded);
+
+  return this.findOneAndUpdate(
+    { jti: decoded.jti },
+    { $setOnInsert: { jti: decoded.jti, user: decoded.id || null, reason, expiresAt } },
+    { upsert: true, new: true }
+  );
+};
+
+// Static method to use up a single-use token. Returns false if it was already
+// used, so two concurrent requests with the same token can't both succeed.
+revokedTokenSchema.statics.consume = async function(decoded, reason = 'used') {
+  if (!decoded || !decoded.jti) return false;
+
+  const expiresAt = getEntryExpiry(decoded);
+
+  try {
+    const result = await this.updateOne(
+      { jti: decoded.jti },
+      { $setOnInsert: { jti: decoded.jti, user: decoded.id || null, reason, expiresAt } },
+      { upsert: true }
+    );
+    return result.upsertedCount === 1;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Static method to check if a token id has been revoked
+revokedTokenSchema.statics.isRevoked = async function(jti) {
+  if (!jti) return false;
+  const entry = await this.exists({ jti });
+  return !!entry;
+};
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+/**
+ * A named set of permissions users can be assigned. The built-in roles
+ * (user, moderator, admin) exist without a document; saving one here
+ * overrides its default permissions.
+ */
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    lowercase: true,
+    trim: true,
+    maxlength: [30, 'Role name cannot exceed 30 characters'],
+    match: [/^[a-z][a-z0-9_-]*$/, 'Role name can only contain lowercase letters, numbers, dashes and underscores']
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: ''
+  },
+  permissions: {
+    type: [String],
+    default: []
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+roleSchema.index({ name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const { generateOpaqueToken, hashToken } = require('../utils/auth');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Rotated refresh tokens remembered per session for reuse detection; older
+// ones are forgotten so long-lived sessions don't grow without bound
+const PREVIOUS_TOKEN_HASHES_LIMIT = parseInt(process.env.PREVIOUS_TOKEN_HASHES_LIMIT, 10) || 50;
+
+// lastSeenAt is only written when it is older than this, to avoid a write per request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * A session is one refresh token family: it is created at login and its
+ * refresh token is rotated on every use. Only hashes of the tokens are stored.
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Session user is required']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'reuse', 'admin', 'password-change', null],
+    default: null
+  },
+  createdByIp: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ tokenHash: 1 });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ user: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for active state
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Instance method to revoke the session (and so its whole token family)
+sessionSchema.methods.revoke = async function(reason = 'logout') {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    await this.save();
+  }
+  return this;
+};
+
+// Instance method to record activity on the session
+sessionSchema.methods.touch = async function() {
+  const now = new Date();
+  if (this.lastSeenAt && now - this.lastSeenAt < LAST_SEEN_RESOLUTION_MS) {
+    return this;
+  }
+
+  this.lastSeenAt = now;
+  await this.constructor.updateOne({ _id: this._id }, { $set: { lastSeenAt: now } });
+  return this;
+};
+
+// Instance method to get the fields shown to users
+sessionSchema.methods.getPublicInfo = function(currentSessionId = null) {
+  return {
+    _id: this._id,
+    ip: this.createdByIp,
+    userAgent: this.userAgent,
+    createdAt: this.createdAt,
+    lastSeenAt: this.lastSeenAt,
+    expiresAt: this.expiresAt,
+    current: !!currentSessionId && this._id.toString() === currentSessionId.toString()
+  };
+};
+
+// Static method to find an active session by id
+sessionSchema.statics.findActiveById = function(id) {
+  return this.findOne({ _id: id, revokedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+// Static method to list a user's active sessions, most recently seen first
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastSeenAt: -1 });
+};
+
+// Static method to start a new session and return its first refresh token
+sessionSchema.statics.issue = async function(user, { ip, userAgent } = {}) {
+  const refreshToken = generateOpaqueToken();
+
+  const session = await this.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: ip || null,
+    userAgent: userAgent || null
+  });
+
+  return { session, refreshToken };
+};
+
+// Static method to exchange a refresh token for a new one.
+// The swap is a single atomic update so a token can only ever be used once;
+// presenting an already-rotated token revokes the whole family.
+sessionSchema.statics.rotate = async function(refreshToken) {
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = generateOpaqueToken();
+  const now = new Date();
+
+  const session = await this.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: { tokenHash: hashToken(nextToken), lastUsedAt: now, lastSeenAt: now },
+      $push: { previousTokenHashes: { $each: [tokenHash], $slice: -PREVIOUS_TOKEN_HASHES_LIMIT } }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: nextToken };
+  }
+
+  const reused = await this.findOne({ previousTokenHashes: tokenHash });
+  if (reused) {
+    await reused.revoke('reuse');
+    const error = new Error('Refresh token reuse detected');
+    error.statusCode = 401;
+    error.reuseDetected = true;
+    error.userId = reused.user;
+    throw error;
+  }
+
+  const error = new Error('Invalid refresh token');
+  error.statusCode = 401;
+  throw error;
+};
+
+// Static method to revoke the session a refresh token belongs to
+sessionSchema.statics.revokeByToken = async function(refreshToken, reason = 'logout') {
+  const tokenHash = hashToken(refreshToken);
+  return this.findOneAndUpdate(
+    { tokenHash, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  );
+};
+
+// Static method to revoke every active session of a user,
+// optionally only those started before a given time
+sessionSchema.statics.revokeAllForUser = function(userId, { reason = 'logout', before } = {}) {
+  const query = { user: userId, revokedAt: null };
+  if (before) query.createdAt = { $lt: before };
+
+  return this.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+Session.REFRESH_TOKEN_TTL_DAYS = REFRESH_TOKEN_TTL_DAYS;
+
+module.exports = Session;
@@ -1,6 +1,16 @@
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
 const { isEmail } = require('validator');
+const { generateOpaqueToken, hashToken } = require('../utils/auth');
+const { generateSecret, verifyTotp, generateRecoveryCodes } = require('../utils/totp');
+const { getPasswordPolicy, isPasswordReused } = require('../utils/passwordPolicy');
+const { hashPassword, verifyPassword, needsRehash } = require('../utils/passwordHasher');
+const { logger } = require('../utils/logger');
+const Setting = require('./Setting');
+
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS, 10) || 5;
+const LOGIN_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+const MAX_LOCK_MINUTES = 24 * 60;
+const PASSWORD_RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES, 10) || 60;
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -20,7 +30,8 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    // Accounts created through a social login have no password until they set one
+    required: [function() { return !this.identities || this.identities.length === 0; }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long'],
     select: false // Don't include password in queries by default
   },
@@ -43,8 +54,11 @@ const userSchema = new mongoose.Schema({
     default: null
   },
   role: {
+    // Built-in (user, moderator, admin) or custom role, see utils/permissions
     type: String,
-    enum: ['user', 'admin', 'moderator'],
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_-]*$/, 'Invalid role name'],
     default: 'user'
   },
   isActive: {
@@ -58,7 +72,86 @@ const userSchema = new mongoose.Schema({
   emailVerified: {
     type: Boolean,
     default: false
-  }
+  },
+  // Whole seconds, like the `iat` of the tokens it is compared with
+  tokensValidAfter: {
+    type: Date,
+    default: null,
+    set: value => (value ? new Date(Math.floor(new Date(value).getTime() / 1000) * 1000) : value)
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      default: [],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      default: null,
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  passwordResetTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  // Hashes of previous passwords, newest first, to prevent reuse
+  passwordHistory: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  identities: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: {
+      type: String,
+      default: null
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -73,6 +166,11 @@ userSchema.virtual('fullName').get(function() {
   return this.username;
 });
 
+// Virtual for temporary lockout after repeated failed logins
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > new Date());
+});
+
 // Virtual for posts count
 userSchema.virtual('postsCount', {
   ref: 'Post',
@@ -85,6 +183,10 @@ userSchema.virtual('postsCount', {
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -92,9 +194,8 @@ userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
 
   try {
-    // Hash password with cost of 12
-    const salt = await bcrypt.genSalt(12);
-    this.password = await bcrypt.hash(this.password, salt);
+    // Hash password with the configured algorithm, see utils/passwordHasher
+    this.password = await hashPassword(this.password);
     next();
   } catch (error) {
     next(error);
@@ -103,17 +204,228 @@ userSchema.pre('save', async function(next) {
 
 // Instance method to check password
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
+
   try {
-    return await bcrypt.compare(candidatePassword, this.password);
+    return await verifyPassword(candidatePassword, this.password);
   } catch (error) {
     throw new Error('Password comparison failed');
   }
 };
 
+// Instance method to re-hash the password with the current algorithm and
+// parameters after a successful login. Only replaces the hash it was given,
+// so a password changed in the meantime is kept. Failures are only logged.
+userSchema.methods.upgradePasswordHash = async function(candidatePassword) {
+  if (!needsRehash(this.password)) return false;
+
+  try {
+    const previousHash = this.password;
+    const nextHash = await hashPassword(candidatePassword);
+    const result = await this.constructor.updateOne(
+      { _id: this._id, password: previousHash },
+      { $set: { password: nextHash } }
+    );
+
+    if (result.modifiedCount !== 1) return false;
+
+    this.password = nextHash;
+    return true;
+  } catch (error) {
+    logger.error(`Failed to upgrade password hash for ${this.email}:`, error.message);
+    return false;
+  }
+};
+
+// Instance method to check if a token was issued before a "log out everywhere".
+// Tokens from the cut-off second itself stay valid, so logging in again right
+// away works; older tokens of that second die with their session.
+userSchema.methods.isTokenRevoked = function(decoded) {
+  if (!this.tokensValidAfter) return false;
+  return !decoded.iat || decoded.iat < this.tokensValidAfter.getTime() / 1000;
+};
+
+// Instance method to record a failed login, locking the account once the
+// limit is reached. Every failure past the limit doubles the lock duration.
+userSchema.methods.registerFailedLogin = async function() {
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  this.failedLoginAttempts = updated.failedLoginAttempts;
+
+  if (updated.failedLoginAttempts >= MAX_LOGIN_ATTEMPTS) {
+    const exponent = updated.failedLoginAttempts - MAX_LOGIN_ATTEMPTS;
+    const lockMinutes = Math.min(LOGIN_LOCK_MINUTES * 2 ** exponent, MAX_LOCK_MINUTES);
+    this.lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+    await this.constructor.updateOne({ _id: this._id }, { $set: { lockUntil: this.lockUntil } });
+  }
+
+  return this;
+};
+
+// Instance method to build the error for a login attempt while locked
+userSchema.methods.createLockedError = function() {
+  const error = new Error('Account is temporarily locked due to too many failed login attempts');
+  error.statusCode = 423;
+  error.retryAfter = Math.ceil((this.lockUntil - Date.now()) / 1000);
+  return error;
+};
+
+// Instance method to clear failed login tracking
+userSchema.methods.resetLoginAttempts = async function() {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = null;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginAttempts: 0, lockUntil: null } }
+  );
+  return this;
+};
+
+// Instance method to start 2FA enrollment; returns the new (pending) secret
+userSchema.methods.startTwoFactorSetup = async function() {
+  this.twoFactor.pendingSecret = generateSecret();
+  await this.save();
+  return this.twoFactor.pendingSecret;
+};
+
+// Instance method to finish 2FA enrollment with a code from the pending secret.
+// Returns the plain recovery codes (shown once) or null if the code is wrong.
+userSchema.methods.enableTwoFactor = async function(code) {
+  const step = verifyTotp(this.twoFactor.pendingSecret, code);
+  if (step === null) return null;
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  this.twoFactor.enabled = true;
+  this.twoFactor.secret = this.twoFactor.pendingSecret;
+  this.twoFactor.pendingSecret = null;
+  this.twoFactor.recoveryCodes = recoveryCodes.map(hashToken);
+  this.twoFactor.lastUsedStep = step;
+  this.twoFactor.enabledAt = new Date();
+  await this.save();
+
+  return recoveryCodes;
+};
+
+// Instance method to turn 2FA off
+userSchema.methods.disableTwoFactor = async function() {
+  this.twoFactor = {
+    enabled: false,
+    secret: null,
+    pendingSecret: null,
+    recoveryCodes: [],
+    lastUsedStep: null,
+    enabledAt: null
+  };
+  return await this.save();
+};
+
+// Instance method to replace the recovery codes; returns the plain codes
+userSchema.methods.regenerateRecoveryCodes = async function() {
+  const recoveryCodes = generateRecoveryCodes();
+  this.twoFactor.recoveryCodes = recoveryCodes.map(hashToken);
+  await this.save();
+  return recoveryCodes;
+};
+
+// Instance method to check a TOTP code. A code is accepted at most once:
+// the matched time step must be newer than the last one used.
+userSchema.methods.verifyTwoFactorCode = async function(code) {
+  const step = verifyTotp(this.twoFactor.secret, code);
+  if (step === null) return false;
+
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': null },
+        { 'twoFactor.lastUsedStep': { $lt: step } }
+      ]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Instance method to consume a one-time recovery code
+userSchema.methods.useRecoveryCode = async function(code) {
+  const codeHash = hashToken(String(code).trim().toLowerCase());
+
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'twoFactor.recoveryCodes': codeHash },
+    { $pull: { 'twoFactor.recoveryCodes': codeHash } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Instance method to check if the user's role must use 2FA
+userSchema.methods.isTwoFactorRequired = async function() {
+  const requiredRoles = await Setting.getValue('mfa.requiredRoles', []);
+  return requiredRoles.includes(this.role);
+};
+
+// Instance method to change the password. Returns false (and changes nothing)
+// if it matches the current or a recent password; needs +password +passwordHistory.
+userSchema.methods.setPassword = async function(newPassword) {
+  const { historySize } = getPasswordPolicy();
+  const recent = [this.password, ...(this.passwordHistory || [])].filter(Boolean);
+
+  if (historySize > 0 && await isPasswordReused(newPassword, recent.slice(0, historySize))) {
+    return false;
+  }
+
+  this.passwordHistory = recent.slice(0, Math.max(historySize - 1, 0));
+  this.password = newPassword;
+  return true;
+};
+
+// Instance method to start a password reset; returns the raw token to email
+userSchema.methods.createPasswordResetToken = function() {
+  const token = generateOpaqueToken(32);
+  this.passwordResetTokenHash = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_EXPIRES_MINUTES * 60 * 1000);
+  return token;
+};
+
+// Instance method to find a linked external identity
+userSchema.methods.getIdentity = function(provider) {
+  return (this.identities || []).find(identity => identity.provider === provider) || null;
+};
+
+// Instance method to link an external identity (one per provider)
+userSchema.methods.linkIdentity = async function({ provider, subject, email }) {
+  this.identities = (this.identities || []).filter(identity => identity.provider !== provider);
+  this.identities.push({ provider, subject, email, linkedAt: new Date() });
+  return await this.save();
+};
+
+// Instance method to unlink an external identity
+userSchema.methods.unlinkIdentity = async function(provider) {
+  this.identities = (this.identities || []).filter(identity => identity.provider !== provider);
+  return await this.save();
+};
+
 // Instance method to get public profile
 userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.tokensValidAfter;
+  delete userObject.passwordResetTokenHash;
+  delete userObject.passwordHistory;
+  delete userObject.passwordResetExpires;
+  delete userObject.failedLoginAttempts;
+  delete userObject.lockUntil;
+  delete userObject.identities;
+  userObject.twoFactor = {
+    enabled: !!(this.twoFactor && this.twoFactor.enabled),
+    enabledAt: this.twoFactor ? this.twoFactor.enabledAt : null
+  };
   delete userObject.__v;
   return userObject;
 };
@@ -123,17 +435,54 @@ userSchema.statics.findByCredentials = async function(email, password) {
   const user = await this.findOne({ email }).select('+password');
   
   if (!user) {
-    throw new Error('Invalid login credentials');
+    const error = new Error('Invalid login credentials');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  if (user.isLocked) {
+    throw user.createLockedError();
   }
 
   const isMatch = await user.comparePassword(password);
   if (!isMatch) {
-    throw new Error('Invalid login credentials');
+    await user.registerFailedLogin();
+    const error = new Error('Invalid login credentials');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  // With 2FA the count is only reset once the second factor is verified too,
+  // so knowing the password doesn't allow unlimited code guesses
+  const twoFactorEnabled = user.twoFactor && user.twoFactor.enabled;
+  if (!twoFactorEnabled && (user.failedLoginAttempts > 0 || user.lockUntil)) {
+    await user.resetLoginAttempts();
   }
 
+  await user.upgradePasswordHash(password);
+
   return user;
 };
 
+// Static method to find the user a valid password reset token belongs to
+userSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    passwordResetTokenHash: hashToken(token),
+    passwordResetExpires: { $gt: new Date() }
+  }).select('+password +passwordHistory +passwordResetTokenHash +passwordResetExpires');
+};
+
+// Static method to load a user including their 2FA secrets
+userSchema.statics.findWithTwoFactorSecrets = function(id) {
+  return this.findById(id)
+    .select('+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+};
+
+// Static method to find the user an external identity is linked to
+userSchema.statics.findByIdentity = function(provider, subject) {
+  return this.findOne({ identities: { $elemMatch: { provider, subject } } });
+};
+
 // Static method to check if email exists
 userSchema.statics.emailExists = async function(email) {
   const user = await this.findOne({ email });
@@ -0,0 +1,117 @@
+const express = require('express');
+const { body } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const { authenticate, forbidImpersonation, rejectApiKey } = require('../middleware/auth');
+const { recordAuditEvent } = require('../utils/audit');
+const { can } = require('../utils/permissions');
+const { asyncHandler, handleValidationErrors } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+const MAX_KEYS_PER_USER = parseInt(process.env.MAX_API_KEYS_PER_USER, 10) || 25;
+
+// Validation rules
+const createApiKeyValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(ApiKey.SCOPES)
+    .withMessage(`Scopes must be one of: ${ApiKey.SCOPES.join(', ')}`),
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry must be a valid ISO 8601 date')
+];
+
+router.use(authenticate, rejectApiKey);
+
+/**
+ * @route   GET /api/auth/api-keys
+ * @desc    List the current user's API keys
+ * @access  Private
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const apiKeys = await ApiKey.find({ user: req.user._id }).sort('-createdAt');
+
+  res.json({ apiKeys });
+}));
+
+/**
+ * @route   POST /api/auth/api-keys
+ * @desc    Create an API key; the plain key is only returned in this response
+ * @access  Private
+ */
+router.post('/', forbidImpersonation, createApiKeyValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { name, expiresAt } = req.body;
+  const scopes = [...new Set(req.body.scopes)];
+
+  if (scopes.includes('users:admin') && !(await can(req.user, 'apikey.admin'))) {
+    return res.status(403).json({ error: 'Only admins can create keys with the users:admin scope' });
+  }
+
+  if (expiresAt && new Date(expiresAt) <= new Date()) {
+    return res.status(400).json({ error: 'Expiry must be in the future' });
+  }
+
+  const activeKeys = await ApiKey.countDocuments({ user: req.user._id, revokedAt: null });
+  if (activeKeys >= MAX_KEYS_PER_USER) {
+    return res.status(400).json({ error: `You cannot have more than ${MAX_KEYS_PER_USER} API keys` });
+  }
+
+  const { apiKey, key } = await ApiKey.generate({
+    user: req.user,
+    name,
+    scopes,
+    expiresAt: expiresAt ? new Date(expiresAt) : null
+  });
+
+  await recordAuditEvent(req, 'apikey.create', {
+    target: apiKey,
+    metadata: { prefix: apiKey.prefix, scopes, expiresAt: apiKey.expiresAt }
+  });
+
+  logger.info(`API key ${apiKey.prefix} created by ${req.user.email} with scopes ${scopes.join(', ')}`);
+
+  res.status(201).json({
+    message: 'API key created successfully',
+    key,
+    apiKey
+  });
+}));
+
+/**
+ * @route   DELETE /api/auth/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Private
+ */
+router.delete('/:id', forbidImpersonation, asyncHandler(async (req, res) => {
+  const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user._id });
+
+  if (!apiKey) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+
+    await recordAuditEvent(req, 'apikey.revoke', {
+      target: apiKey,
+      metadata: { prefix: apiKey.prefix }
+    });
+  }
+
+  logger.info(`API key ${apiKey.prefix} revoked by ${req.user.email}`);
+
+  res.json({
+    message: 'API key revoked successfully'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,153 @@
+const express = require('express');
+const { query } = require('express-validator');
+const AuditEvent = require('../models/AuditEvent');
+const { authenticate, requirePermission, requireScope } = require('../middleware/auth');
+const { asyncHandler, handleValidationErrors } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// CSV exports are not paginated, but capped
+const AUDIT_EXPORT_LIMIT = parseInt(process.env.AUDIT_EXPORT_LIMIT, 10) || 10000;
+
+const CSV_COLUMNS = ['createdAt', 'action', 'actor', 'actorEmail', 'impersonator', 'targetType', 'targetId', 'ip', 'userAgent', 'changes', 'metadata'];
+
+const auditQueryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('actor')
+    .optional()
+    .isMongoId()
+    .withMessage('Actor must be a valid id'),
+  query('target')
+    .optional()
+    .isMongoId()
+    .withMessage('Target must be a valid id'),
+  query('action')
+    .optional()
+    .isString()
+    .withMessage('Action must be a string'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid ISO 8601 date'),
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format must be json or csv')
+];
+
+/**
+ * Build the audit event filter from the query string. `action` accepts a
+ * comma-separated list; a trailing `.*` matches every action under a prefix.
+ * @param {Object} params - Query parameters
+ * @returns {Object} MongoDB filter
+ */
+const buildFilter = ({ actor, target, action, from, to }) => {
+  const filter = {};
+
+  if (actor) filter.actor = actor;
+  if (target) filter.targetId = target;
+
+  if (action) {
+    const actions = action.split(',').map(value => value.trim()).filter(Boolean);
+    filter.$or = actions.map(value => (value.endsWith('.*')
+      ? { action: { $regex: `^${value.slice(0, -2).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.` } }
+      : { action: value }));
+  }
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  return filter;
+};
+
+/**
+ * Format a value as a CSV cell. Cells that a spreadsheet would run as a
+ * formula are prefixed with a quote.
+ * @param {*} value - Cell value
+ * @returns {String} Escaped cell
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object' && !value.toHexString) {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @route   GET /api/audit
+ * @desc    List audit events, filtered by actor, target, action and date range (?format=csv to export)
+ * @access  Private (audit.read)
+ */
+router.get('/', authenticate, requireScope('users:admin'), requirePermission('audit.read'), auditQueryValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50, format = 'json' } = req.query;
+  const filter = buildFilter(req.query);
+
+  if (format === 'csv') {
+    const events = await AuditEvent.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(AUDIT_EXPORT_LIMIT)
+      .lean();
+
+    const lines = [
+      CSV_COLUMNS.join(','),
+      ...events.map(event => CSV_COLUMNS.map(column => toCsvCell(event[column])).join(','))
+    ];
+
+    logger.info(`Audit log exported by ${req.user.email}: ${events.length} events`);
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+    return res.send(`${lines.join('\r\n')}\r\n`);
+  }
+
+  const skip = (page - 1) * limit;
+
+  const events = await AuditEvent.find(filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await AuditEvent.countDocuments(filter);
+  const totalPages = Math.ceil(total / limit);
+
+  res.json({
+    events,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages,
+      totalEvents: total,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+      limit: parseInt(limit)
+    }
+  });
+}));
+
+module.exports = router;
@@ -1,13 +1,58 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { generateToken, refreshToken } = require('../utils/auth');
-const { authenticate } = require('../middleware/auth');
+const Session = require('../models/Session');
+const RevokedToken = require('../models/RevokedToken');
+const OidcState = require('../models/OidcState');
+const LoginEvent = require('../models/LoginEvent');
+const { generateToken, generateActionToken, verifyActionToken } = require('../utils/auth');
+const { sendMail, buildClientLink } = require('../utils/mailer');
+const { issueTokens, beginLogin, finishLogin } = require('../utils/login');
+const { diffChanges, recordAuditEvent } = require('../utils/audit');
+const { recordFailedLogin } = require('../utils/loginHistory');
+const { passwordPolicyValidation, validatePassword, createPasswordPolicyError, createPasswordReuseError } = require('../utils/passwordPolicy');
+const { buildOtpauthUri } = require('../utils/totp');
+const { createPkcePair, buildAuthorizationUrl, exchangeCode } = require('../utils/oidc');
+const { OIDC_STATE_COOKIE, setOidcStateCookie, clearOidcStateCookie, sendTokens, clearAuthCookies, issueCsrfToken, refreshTokenFromCookie, isCookieAuthEnabled } = require('../utils/cookies');
+const { authenticate, authRateLimit, forbidImpersonation, requireScope, rejectApiKey } = require('../middleware/auth');
 const { asyncHandler, handleValidationErrors } = require('../middleware/errorHandler');
+const { oidcCallbackValidation, loadOidcProvider } = require('../middleware/oidc');
+const { createRateLimiter, emailKey } = require('../middleware/rateLimit');
 const { logger } = require('../utils/logger');
 
 const router = express.Router();
 
+const EMAIL_VERIFICATION_EXPIRES_IN = process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h';
+const MAGIC_LINK_EXPIRES_IN = process.env.MAGIC_LINK_EXPIRES_IN || '15m';
+
+// Password reset throttling
+const passwordResetIpLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many password reset attempts, please try again later'
+});
+
+const passwordResetEmailLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: 3,
+  keyGenerator: emailKey,
+  message: 'Too many password reset attempts, please try again later'
+});
+
+// Magic link throttling
+const magicLinkIpLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many sign-in link requests, please try again later'
+});
+
+const magicLinkEmailLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 3,
+  keyGenerator: emailKey,
+  message: 'Too many sign-in link requests, please try again later'
+});
+
 // Validation rules
 const registerValidation = [
   body('username')
@@ -19,11 +64,7 @@ const registerValidation = [
     .isEmail()
     .withMessage('Please enter a valid email address')
     .normalizeEmail(),
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  ...passwordPolicyValidation('password'),
   body('firstName')
     .optional()
     .isLength({ max: 50 })
@@ -44,6 +85,53 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
+const refreshValidation = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+const tokenValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Token is required')
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .withMessage('Please enter a valid email address')
+    .normalizeEmail()
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  ...passwordPolicyValidation('password')
+];
+
+/**
+ * Email the user a single-use link to verify their address
+ * @param {Object} user - User document
+ */
+const sendVerificationEmail = async (user) => {
+  // Binding the address means the link dies if the email is changed meanwhile
+  const token = generateActionToken(user, 'email-verification', EMAIL_VERIFICATION_EXPIRES_IN, {
+    email: user.email
+  });
+  const link = buildClientLink('/verify-email', { token });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in ${EMAIL_VERIFICATION_EXPIRES_IN}.`
+  });
+};
+
 /**
  * @route   POST /api/auth/register
  * @desc    Register a new user
@@ -74,14 +162,25 @@ router.post('/register', registerValidation, handleValidationErrors, asyncHandle
 
   await user.save();
 
-  // Generate token
-  const token = generateToken(user);
+  await recordAuditEvent(req, 'auth.register', { actor: user, target: user });
+
+  // Registration succeeds even if the verification email cannot be sent;
+  // the user can ask for a new one later
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    logger.error(`Could not send verification email to ${email}:`, error.message);
+  }
+
+  // Generate tokens
+  const { token, refreshToken } = await issueTokens(user, req);
 
   logger.info(`New user registered: ${email}`);
 
-  res.status(201).json({
+  sendTokens(res, 201, {
     message: 'User registered successfully',
     token,
+    refreshToken,
     user: user.getPublicProfile()
   });
 }));
@@ -91,41 +190,220 @@ router.post('/register', registerValidation, handleValidationErrors, asyncHandle
  * @desc    Login user
  * @access  Public
  */
-router.post('/login', loginValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+router.post('/login', authRateLimit, loginValidation, handleValidationErrors, asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
   // Find user by credentials
-  const user = await User.findByCredentials(email, password);
+  let user;
+  try {
+    user = await User.findByCredentials(email, password);
+  } catch (error) {
+    const reason = error.statusCode === 423 ? 'locked' : 'invalid-credentials';
+    const account = await User.findOne({ email });
+
+    await recordAuditEvent(req, 'auth.login.failed', {
+      actor: null,
+      ...(account && { target: account }),
+      metadata: { email, reason }
+    });
+    await recordFailedLogin(req, { user: account, email, reason });
+    throw error;
+  }
 
-  // Update last login
-  user.lastLogin = new Date();
-  await user.save();
+  const result = await beginLogin(user, req);
 
-  // Generate token
-  const token = generateToken(user);
+  if (result.mfaRequired) {
+    return res.json({
+      message: 'Two-factor authentication required',
+      ...result
+    });
+  }
 
   logger.info(`User logged in: ${email}`);
 
+  sendTokens(res, 200, {
+    message: 'Login successful',
+    ...result
+  });
+}));
+
+/**
+ * Load the user an "mfa pending" token belongs to
+ * @param {String} mfaToken - Token returned by /login
+ * @returns {Object|null} Decoded token and user with 2FA secrets, or null
+ */
+const resolveMfaToken = async (mfaToken) => {
+  let decoded;
+  try {
+    decoded = verifyActionToken(mfaToken, 'mfa');
+  } catch (error) {
+    return null;
+  }
+
+  if (await RevokedToken.isRevoked(decoded.jti)) {
+    return null;
+  }
+
+  const user = await User.findWithTwoFactorSecrets(decoded.id);
+  if (!user || !user.isActive) {
+    return null;
+  }
+
+  return { decoded, user };
+};
+
+/**
+ * @route   POST /api/auth/login/mfa/setup
+ * @desc    Start 2FA enrollment during login for roles that require it
+ * @access  Public (mfa pending token)
+ */
+router.post('/login/mfa/setup', [
+  body('mfaToken')
+    .isString()
+    .notEmpty()
+    .withMessage('MFA token is required')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const resolved = await resolveMfaToken(req.body.mfaToken);
+  if (!resolved) {
+    return res.status(401).json({ error: 'Invalid or expired MFA token' });
+  }
+
+  const { user } = resolved;
+  if (user.twoFactor.enabled) {
+    return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+  }
+
+  const secret = await user.startTwoFactorSetup();
+
   res.json({
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, label: user.email })
+  });
+}));
+
+/**
+ * @route   POST /api/auth/login/mfa
+ * @desc    Exchange an "mfa pending" token and a TOTP or recovery code for a session
+ * @access  Public (mfa pending token)
+ */
+router.post('/login/mfa', authRateLimit, [
+  body('mfaToken')
+    .isString()
+    .notEmpty()
+    .withMessage('MFA token is required'),
+  body('code')
+    .optional()
+    .isString()
+    .withMessage('Code must be a string'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const { mfaToken, code, recoveryCode } = req.body;
+
+  const resolved = await resolveMfaToken(mfaToken);
+  if (!resolved) {
+    return res.status(401).json({ error: 'Invalid or expired MFA token' });
+  }
+
+  const { decoded, user } = resolved;
+  const method = decoded.method || 'password';
+  let recoveryCodes;
+
+  // Wrong codes count towards the same lockout as wrong passwords; once the
+  // account is locked the pending token is revoked and a new login is needed
+  if (user.isLocked) {
+    await RevokedToken.revoke(decoded, 'locked');
+    await recordFailedLogin(req, { user, method, reason: 'locked' });
+    throw user.createLockedError();
+  }
+
+  let valid;
+  if (user.twoFactor.enabled) {
+    valid = recoveryCode
+      ? await user.useRecoveryCode(recoveryCode)
+      : await user.verifyTwoFactorCode(code);
+  } else {
+    // Enrollment forced by role policy: the first valid code enables 2FA
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ error: 'Two-factor setup has not been started' });
+    }
+
+    recoveryCodes = await user.enableTwoFactor(code);
+    valid = !!recoveryCodes;
+
+    if (valid) {
+      await recordAuditEvent(req, 'auth.2fa.enable', { actor: user, target: user });
+    }
+  }
+
+  if (!valid) {
+    await user.registerFailedLogin();
+    await recordAuditEvent(req, 'auth.login.failed', {
+      actor: null,
+      target: user,
+      metadata: { email: user.email, reason: 'invalid-mfa-code' }
+    });
+    await recordFailedLogin(req, { user, method, reason: 'invalid-mfa-code' });
+
+    if (user.isLocked) {
+      await RevokedToken.revoke(decoded, 'locked');
+      throw user.createLockedError();
+    }
+    return res.status(401).json({ error: 'Invalid two-factor code' });
+  }
+
+  // The pending token is single-use; of two concurrent requests with a
+  // valid code only one gets a session
+  if (!(await RevokedToken.consume(decoded, 'used'))) {
+    return res.status(401).json({ error: 'Invalid or expired MFA token' });
+  }
+  if (user.failedLoginAttempts > 0 || user.lockUntil) {
+    await user.resetLoginAttempts();
+  }
+
+  const result = await finishLogin(user, req, { method, mfa: true });
+
+  logger.info(`User logged in with second factor: ${user.email}`);
+
+  sendTokens(res, 200, {
     message: 'Login successful',
-    token,
-    user: user.getPublicProfile()
+    ...result,
+    ...(recoveryCodes && { recoveryCodes })
   });
 }));
 
 /**
  * @route   POST /api/auth/refresh
- * @desc    Refresh JWT token
- * @access  Private
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @access  Public
  */
-router.post('/refresh', authenticate, asyncHandler(async (req, res) => {
-  const newToken = refreshToken(req.token);
+router.post('/refresh', refreshTokenFromCookie, refreshValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  let rotated;
+  try {
+    rotated = await Session.rotate(req.body.refreshToken);
+  } catch (error) {
+    if (error.reuseDetected) {
+      logger.warn(`Refresh token reuse detected for user ${error.userId}, session revoked`);
+    }
+    throw error;
+  }
 
-  logger.info(`Token refreshed for user: ${req.user.email}`);
+  const { session, refreshToken } = rotated;
+  const user = await User.findById(session.user);
 
-  res.json({
+  if (!user || !user.isActive) {
+    await session.revoke('admin');
+    return res.status(401).json({ error: 'User account is deactivated' });
+  }
+
+  logger.info(`Token refreshed for user: ${user.email}`);
+
+  sendTokens(res, 200, {
     message: 'Token refreshed successfully',
-    token: newToken
+    token: generateToken(user, { sessionId: session._id }),
+    refreshToken
   });
 }));
 
@@ -134,7 +412,7 @@ router.post('/refresh', authenticate, asyncHandler(async (req, res) => {
  * @desc    Get current user profile
  * @access  Private
  */
-router.get('/me', authenticate, asyncHandler(async (req, res) => {
+router.get('/me', authenticate, requireScope('users:read'), asyncHandler(async (req, res) => {
   res.json({
     user: req.user.getPublicProfile()
   });
@@ -145,7 +423,7 @@ router.get('/me', authenticate, asyncHandler(async (req, res) => {
  * @desc    Update current user profile
  * @access  Private
  */
-router.put('/me', authenticate, [
+router.put('/me', authenticate, requireScope('users:write'), [
   body('firstName')
     .optional()
     .isLength({ max: 50 })
@@ -163,6 +441,7 @@ router.put('/me', authenticate, [
 
   // Update user
   const user = await User.findById(req.user._id);
+  const before = user.toObject();
   
   if (firstName !== undefined) user.firstName = firstName;
   if (lastName !== undefined) user.lastName = lastName;
@@ -170,6 +449,11 @@ router.put('/me', authenticate, [
 
   await user.save();
 
+  await recordAuditEvent(req, 'user.profile.update', {
+    target: user,
+    changes: diffChanges(before, user, ['firstName', 'lastName', 'bio'])
+  });
+
   logger.info(`User profile updated: ${user.email}`);
 
   res.json({
@@ -178,25 +462,186 @@ router.put('/me', authenticate, [
   });
 }));
 
+/**
+ * @route   GET /api/auth/me/logins
+ * @desc    Get the current user's login history, newest first
+ * @access  Private
+ */
+router.get('/me/logins', authenticate, requireScope('users:read'), [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('success')
+    .optional()
+    .isBoolean()
+    .withMessage('Success must be a boolean')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, success } = req.query;
+
+  const filter = { user: req.user._id };
+  if (success !== undefined) filter.success = success === 'true';
+
+  const skip = (page - 1) * limit;
+
+  const logins = await LoginEvent.find(filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await LoginEvent.countDocuments(filter);
+  const totalPages = Math.ceil(total / limit);
+
+  res.json({
+    logins: logins.map(login => login.getPublicInfo()),
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages,
+      totalLogins: total,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+      limit: parseInt(limit)
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/auth/me/identities
+ * @desc    List the external identities linked to the current user
+ * @access  Private
+ */
+router.get('/me/identities', authenticate, rejectApiKey, asyncHandler(async (req, res) => {
+  res.json({
+    identities: req.user.identities
+  });
+}));
+
+/**
+ * @route   POST /api/auth/me/identities/:provider/authorize
+ * @desc    Start linking an identity provider; returns the provider URL
+ * @access  Private
+ */
+router.post('/me/identities/:provider/authorize', authenticate, rejectApiKey, forbidImpersonation, loadOidcProvider, asyncHandler(async (req, res) => {
+  const provider = req.oidcProvider;
+
+  if (req.user.getIdentity(provider.name)) {
+    return res.status(400).json({ error: `${provider.name} is already linked` });
+  }
+
+  const { codeVerifier, codeChallenge } = createPkcePair();
+  const { state, browserKey, oidcState } = await OidcState.start({
+    provider: provider.name,
+    mode: 'link',
+    user: req.user,
+    codeVerifier
+  });
+
+  const authorizationUrl = await buildAuthorizationUrl(provider, {
+    state,
+    nonce: oidcState.nonce,
+    codeChallenge
+  });
+
+  setOidcStateCookie(res, browserKey, oidcState.expiresAt);
+  res.json({ authorizationUrl });
+}));
+
+/**
+ * @route   POST /api/auth/me/identities/:provider/callback
+ * @desc    Finish linking an identity provider
+ * @access  Private
+ */
+router.post('/me/identities/:provider/callback', authenticate, rejectApiKey, forbidImpersonation, loadOidcProvider, oidcCallbackValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const provider = req.oidcProvider;
+
+  const oidcState = await OidcState.consume(req.body.state, {
+    provider: provider.name,
+    mode: 'link',
+    browserKey: req.cookies[OIDC_STATE_COOKIE]
+  });
+  clearOidcStateCookie(res);
+  if (!oidcState || !oidcState.user.equals(req.user._id)) {
+    return res.status(400).json({ error: 'Invalid or expired link state' });
+  }
+
+  const identity = await exchangeCode(provider, {
+    code: req.body.code,
+    codeVerifier: oidcState.codeVerifier,
+    nonce: oidcState.nonce
+  });
+
+  const owner = await User.findByIdentity(provider.name, identity.subject);
+  if (owner && !owner._id.equals(req.user._id)) {
+    return res.status(409).json({ error: `This ${provider.name} account is linked to another user` });
+  }
+
+  const user = await User.findById(req.user._id);
+  await user.linkIdentity({ provider: provider.name, subject: identity.subject, email: identity.email });
+
+  await recordAuditEvent(req, 'auth.identity.link', {
+    target: user,
+    metadata: { provider: provider.name, subject: identity.subject }
+  });
+
+  logger.info(`${provider.name} identity linked for user: ${user.email}`);
+
+  res.json({
+    message: 'Identity linked successfully',
+    identities: user.identities
+  });
+}));
+
+/**
+ * @route   DELETE /api/auth/me/identities/:provider
+ * @desc    Unlink an identity provider
+ * @access  Private
+ */
+router.delete('/me/identities/:provider', authenticate, rejectApiKey, forbidImpersonation, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+password');
+
+  if (!user.getIdentity(req.params.provider)) {
+    return res.status(404).json({ error: 'Identity not linked' });
+  }
+
+  // Keep at least one way to sign in
+  if (!user.password && user.identities.length === 1) {
+    return res.status(400).json({ error: 'Set a password before unlinking your only sign-in method' });
+  }
+
+  await user.unlinkIdentity(req.params.provider);
+
+  await recordAuditEvent(req, 'auth.identity.unlink', {
+    target: user,
+    metadata: { provider: req.params.provider }
+  });
+
+  logger.info(`${req.params.provider} identity unlinked for user: ${user.email}`);
+
+  res.json({
+    message: 'Identity unlinked successfully',
+    identities: user.identities
+  });
+}));
+
 /**
  * @route   POST /api/auth/change-password
  * @desc    Change user password
  * @access  Private
  */
-router.post('/change-password', authenticate, [
+router.post('/change-password', authenticate, rejectApiKey, forbidImpersonation, [
   body('currentPassword')
     .notEmpty()
     .withMessage('Current password is required'),
-  body('newPassword')
-    .isLength({ min: 6 })
-    .withMessage('New password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('New password must contain at least one lowercase letter, one uppercase letter, and one number')
+  ...passwordPolicyValidation('newPassword')
 ], handleValidationErrors, asyncHandler(async (req, res) => {
   const { currentPassword, newPassword } = req.body;
 
   // Verify current password
-  const user = await User.findById(req.user._id).select('+password');
+  const user = await User.findById(req.user._id).select('+password +passwordHistory');
   const isMatch = await user.comparePassword(currentPassword);
   
   if (!isMatch) {
@@ -204,9 +649,13 @@ router.post('/change-password', authenticate, [
   }
 
   // Update password
-  user.password = newPassword;
+  if (!(await user.setPassword(newPassword))) {
+    throw createPasswordReuseError('newPassword');
+  }
   await user.save();
 
+  await recordAuditEvent(req, 'auth.password.change', { target: user });
+
   logger.info(`Password changed for user: ${user.email}`);
 
   res.json({
@@ -214,17 +663,309 @@ router.post('/change-password', authenticate, [
   });
 }));
 
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link (the response never reveals whether the email exists)
+ * @access  Public
+ */
+router.post('/forgot-password', passwordResetIpLimiter, forgotPasswordValidation, handleValidationErrors, passwordResetEmailLimiter, asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email });
+
+  if (user && user.isActive) {
+    const token = user.createPasswordResetToken();
+    await user.save();
+
+    await recordAuditEvent(req, 'auth.password.reset.request', { actor: null, target: user });
+
+    const link = buildClientLink('/reset-password', { token });
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.username},\n\nSomeone asked to reset the password for your account. If it was you, open this link to choose a new password:\n${link}\n\nIf you did not ask for this, you can ignore this email.`
+      });
+      logger.info(`Password reset requested for user: ${user.email}`);
+    } catch (error) {
+      logger.error(`Could not send password reset email to ${user.email}:`, error.message);
+    }
+  } else {
+    logger.info(`Password reset requested for unknown or inactive email: ${email}`);
+  }
+
+  res.json({
+    message: 'If an account with that email exists, a password reset link has been sent'
+  });
+}));
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with a reset token and sign out all sessions
+ * @access  Public
+ */
+router.post('/reset-password', passwordResetIpLimiter, resetPasswordValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  const user = await User.findByPasswordResetToken(token);
+  if (!user) {
+    return res.status(400).json({ error: 'Invalid or expired reset token' });
+  }
+
+  // The request body doesn't name the account, so check it here
+  const policyErrors = validatePassword(password, user);
+  if (policyErrors.length) {
+    throw createPasswordPolicyError('password', policyErrors);
+  }
+
+  if (!(await user.setPassword(password))) {
+    throw createPasswordReuseError('password');
+  }
+  user.passwordResetTokenHash = null;
+  user.passwordResetExpires = null;
+  user.failedLoginAttempts = 0;
+  user.lockUntil = null;
+  user.tokensValidAfter = new Date();
+  await user.save();
+
+  await Session.revokeAllForUser(user._id, { reason: 'password-change' });
+
+  await recordAuditEvent(req, 'auth.password.reset', { actor: user, target: user });
+
+  logger.info(`Password reset for user: ${user.email}`);
+
+  res.json({
+    message: 'Password reset successfully'
+  });
+}));
+
+/**
+ * @route   POST /api/auth/verify-email/request
+ * @desc    Send a new email verification link
+ * @access  Private
+ */
+router.post('/verify-email/request', authenticate, rejectApiKey, asyncHandler(async (req, res) => {
+  if (req.user.emailVerified) {
+    return res.status(400).json({ error: 'Email already verified' });
+  }
+
+  await sendVerificationEmail(req.user);
+
+  await recordAuditEvent(req, 'auth.email.verify.request', { target: req.user });
+
+  logger.info(`Verification email requested by user: ${req.user.email}`);
+
+  res.json({
+    message: 'Verification email sent'
+  });
+}));
+
+/**
+ * @route   POST /api/auth/verify-email/confirm
+ * @desc    Confirm an email address with a verification token
+ * @access  Public
+ */
+router.post('/verify-email/confirm', tokenValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  let decoded;
+  try {
+    decoded = verifyActionToken(req.body.token, 'email-verification');
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid or expired verification token' });
+  }
+
+  const user = await User.findById(decoded.id);
+  if (!user || user.email !== decoded.email) {
+    return res.status(400).json({ error: 'Invalid or expired verification token' });
+  }
+
+  if (!(await RevokedToken.consume(decoded, 'used'))) {
+    return res.status(400).json({ error: 'Verification token has already been used' });
+  }
+
+  user.emailVerified = true;
+  await user.save();
+
+  await recordAuditEvent(req, 'auth.email.verify', { actor: user, target: user });
+
+  logger.info(`Email verified for user: ${user.email}`);
+
+  res.json({
+    message: 'Email verified successfully',
+    user: user.getPublicProfile()
+  });
+}));
+
+/**
+ * @route   POST /api/auth/magic-link
+ * @desc    Email a single-use sign-in link (the response never reveals whether the email exists)
+ * @access  Public
+ */
+router.post('/magic-link', magicLinkIpLimiter, forgotPasswordValidation, handleValidationErrors, magicLinkEmailLimiter, asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email });
+
+  if (user && user.isActive) {
+    // Binding the address means the link dies if the email is changed meanwhile
+    const token = generateActionToken(user, 'magic-link', MAGIC_LINK_EXPIRES_IN, { email: user.email });
+
+    await recordAuditEvent(req, 'auth.magic-link.request', { actor: null, target: user });
+    const link = buildClientLink('/magic-link', { token });
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Your sign-in link',
+        text: `Hi ${user.username},\n\nOpen this link to sign in:\n${link}\n\nThe link can be used once and expires in ${MAGIC_LINK_EXPIRES_IN}. If you did not ask for it, you can ignore this email.`
+      });
+      logger.info(`Magic link requested for user: ${user.email}`);
+    } catch (error) {
+      logger.error(`Could not send magic link to ${user.email}:`, error.message);
+    }
+  } else {
+    logger.info(`Magic link requested for unknown or inactive email: ${email}`);
+  }
+
+  res.json({
+    message: 'If an account with that email exists, a sign-in link has been sent'
+  });
+}));
+
+/**
+ * @route   POST /api/auth/magic-link/confirm
+ * @desc    Exchange a sign-in link token for a session
+ * @access  Public
+ */
+router.post('/magic-link/confirm', authRateLimit, tokenValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  let decoded;
+  try {
+    decoded = verifyActionToken(req.body.token, 'magic-link');
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid or expired sign-in link' });
+  }
+
+  const user = await User.findById(decoded.id);
+  if (!user || !user.isActive || user.email !== decoded.email) {
+    return res.status(401).json({ error: 'Invalid or expired sign-in link' });
+  }
+
+  if (!(await RevokedToken.consume(decoded, 'used'))) {
+    return res.status(401).json({ error: 'Sign-in link has already been used' });
+  }
+
+  // Opening the link proves the user controls the address
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    await user.save();
+  }
+
+  const result = await beginLogin(user, req, { method: 'magic-link' });
+
+  if (result.mfaRequired) {
+    return res.json({
+      message: 'Two-factor authentication required',
+      ...result
+    });
+  }
+
+  logger.info(`User logged in with magic link: ${user.email}`);
+
+  sendTokens(res, 200, {
+    message: 'Login successful',
+    ...result
+  });
+}));
+
+/**
+ * @route   GET /api/auth/csrf
+ * @desc    Get a CSRF token to send in the X-CSRF-Token header (cookie auth mode)
+ * @access  Public
+ */
+router.get('/csrf', (req, res) => {
+  res.json({
+    csrfToken: issueCsrfToken(res)
+  });
+});
+
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user (client-side token removal)
+ * @desc    Logout user (revokes the access token, its session and, if given, a refresh token)
  * @access  Private
  */
-router.post('/logout', authenticate, asyncHandler(async (req, res) => {
+router.post('/logout', authenticate, rejectApiKey, refreshTokenFromCookie, [
+  body('refreshToken')
+    .optional()
+    .isString()
+    .withMessage('Refresh token must be a string')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  await RevokedToken.revoke(req.tokenPayload, 'logout');
+
+  if (req.tokenPayload.sid) {
+    const session = await Session.findById(req.tokenPayload.sid);
+    if (session) await session.revoke('logout');
+  }
+
+  if (req.body.refreshToken) {
+    await Session.revokeByToken(req.body.refreshToken, 'logout');
+  }
+
+  await recordAuditEvent(req, 'auth.logout', { target: req.user });
+
   logger.info(`User logged out: ${req.user.email}`);
 
+  if (isCookieAuthEnabled()) {
+    clearAuthCookies(res);
+  }
+
   res.json({
     message: 'Logout successful'
   });
 }));
 
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Logout everywhere (revokes every token issued before the given time, default now)
+ * @access  Private
+ */
+router.post('/logout-all', authenticate, rejectApiKey, forbidImpersonation, [
+  body('before')
+    .optional()
+    .isISO8601()
+    .withMessage('Before must be a valid ISO 8601 date')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const before = req.body.before ? new Date(req.body.before) : new Date();
+
+  if (before > new Date()) {
+    return res.status(400).json({ error: 'Before cannot be in the future' });
+  }
+
+  // Never move the cut-off backwards, that would revive previously revoked tokens
+  const user = await User.findById(req.user._id);
+  if (!user.tokensValidAfter || before > user.tokensValidAfter) {
+    user.tokensValidAfter = before;
+    await user.save();
+  }
+
+  await Session.revokeAllForUser(user._id, { reason: 'logout', before });
+
+  // An explicit `before` may predate the current token, which is revoked regardless
+  await RevokedToken.revoke(req.tokenPayload, 'logout');
+
+  await recordAuditEvent(req, 'auth.logout.all', {
+    target: user,
+    metadata: { before }
+  });
+
+  logger.info(`User logged out everywhere: ${user.email} (tokens before ${before.toISOString()})`);
+
+  if (isCookieAuthEnabled()) {
+    clearAuthCookies(res);
+  }
+
+  res.json({
+    message: 'Logged out of all sessions'
+  });
+}));
+
 module.exports = router; 
\ No newline at end of file
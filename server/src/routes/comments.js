@@ -0,0 +1,173 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query } = require('express-validator');
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const { authenticate, requirePermission, requireScope, requireVerifiedEmail } = require('../middleware/auth');
+const { authorizeResource } = require('../middleware/policy');
+const { asyncHandler, handleValidationErrors } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const reactionRoutes = require('./reactions');
+
+// Mounted at /api/posts/:id/comments
+const router = express.Router({ mergeParams: true });
+
+// Validation rules
+const contentValidation = body('content')
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 2000 })
+  .withMessage('Comment must be between 1 and 2000 characters');
+
+const createCommentValidation = [
+  contentValidation,
+  body('parent')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Parent must be a valid comment ID')
+];
+
+const queryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// Load the post from the parent route and attach it as req.post
+const loadPost = asyncHandler(async (req, res, next) => {
+  const post = mongoose.isValidObjectId(req.params.id) ? await Post.findById(req.params.id) : null;
+
+  if (!post) {
+    return res.status(404).json({ error: 'Post not found' });
+  }
+
+  req.post = post;
+  next();
+});
+
+/**
+ * @route   GET /api/posts/:id/comments
+ * @desc    List top-level comments with their reply threads
+ * @access  Public
+ */
+router.get('/', queryValidation, handleValidationErrors, loadPost, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+
+  const comments = await Comment.findThreads(req.post._id, { skip: (page - 1) * limit, limit });
+  const total = await Comment.countDocuments({ post: req.post._id, parent: null });
+  const totalPages = Math.ceil(total / limit);
+
+  res.json({
+    comments,
+    commentCount: req.post.commentCount,
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalComments: total,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+      limit
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/posts/:id/comments
+ * @desc    Comment on a post, or reply to a comment with `parent`
+ * @access  Private (verified email)
+ */
+router.post('/', authenticate, requireScope('posts:write'), requirePermission('comment.create'), requireVerifiedEmail, createCommentValidation, handleValidationErrors, loadPost, asyncHandler(async (req, res) => {
+  const { content, parent: parentId } = req.body;
+
+  if (req.post.status !== 'published') {
+    return res.status(400).json({ error: 'Comments are only allowed on published posts' });
+  }
+
+  let comment;
+  if (parentId) {
+    const parent = await Comment.findOne({ _id: parentId, post: req.post._id });
+
+    if (!parent) {
+      return res.status(404).json({ error: 'Parent comment not found' });
+    }
+    if (parent.isDeleted) {
+      return res.status(400).json({ error: 'Cannot reply to a deleted comment' });
+    }
+
+    comment = parent.createReply({ author: req.user._id, content });
+  } else {
+    comment = new Comment({ post: req.post._id, author: req.user._id, content });
+  }
+
+  await comment.save();
+  await req.post.incrementCommentCount();
+  await comment.populate('author', 'username firstName lastName avatar');
+
+  logger.info(`New comment on post ${req.post._id} by ${req.user.email}`);
+
+  res.status(201).json({
+    message: 'Comment created successfully',
+    comment: comment.getPublicInfo()
+  });
+}));
+
+/**
+ * @route   PUT /api/posts/:id/comments/:commentId
+ * @desc    Edit a comment
+ * @access  Private (comment.update.own / comment.update.any)
+ */
+router.put('/:commentId', authenticate, requireScope('posts:write'), contentValidation, handleValidationErrors, authorizeResource('comment', 'update', { param: 'commentId' }), asyncHandler(async (req, res) => {
+  const { comment } = req;
+
+  if (comment.isDeleted) {
+    return res.status(404).json({ error: 'Comment not found' });
+  }
+
+  comment.content = req.body.content;
+  comment.editedAt = new Date();
+  await comment.save();
+  await comment.populate('author', 'username firstName lastName avatar');
+
+  logger.info(`Comment ${comment._id} updated by ${req.user.email}`);
+
+  res.json({
+    message: 'Comment updated successfully',
+    comment: comment.getPublicInfo()
+  });
+}));
+
+/**
+ * @route   DELETE /api/posts/:id/comments/:commentId
+ * @desc    Delete a comment; replies to it are kept
+ * @access  Private (comment.delete.own / comment.delete.any)
+ */
+router.delete('/:commentId', authenticate, requireScope('posts:write'), authorizeResource('comment', 'delete', { param: 'commentId' }), asyncHandler(async (req, res) => {
+  // Only the request that actually deletes the comment updates the count
+  const deleted = await Comment.softDelete(req.comment._id, req.user._id);
+
+  if (!deleted) {
+    return res.status(404).json({ error: 'Comment not found' });
+  }
+
+  const post = await Post.findById(req.comment.post);
+  if (post) {
+    await post.decrementCommentCount();
+  }
+
+  logger.info(`Comment ${req.comment._id} deleted by ${req.user.email}`);
+
+  res.json({
+    message: 'Comment deleted successfully'
+  });
+}));
+
+// Reactions on a comment
+router.use('/:commentId/reactions', reactionRoutes('comment'));
+
+module.exports = router;
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const express = require('express');
+const User = require('../models/User');
+const OidcState = require('../models/OidcState');
+const { getProviders, createPkcePair, buildAuthorizationUrl, exchangeCode } = require('../utils/oidc');
+const { beginLogin } = require('../utils/login');
+const { OIDC_STATE_COOKIE, sendTokens, setOidcStateCookie, clearOidcStateCookie } = require('../utils/cookies');
+const { authRateLimit } = require('../middleware/auth');
+const { asyncHandler, handleValidationErrors } = require('../middleware/errorHandler');
+const { oidcCallbackValidation, loadOidcProvider } = require('../middleware/oidc');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Derive an unused username from the provider profile
+ * @param {Object} identity - Identity claims
+ * @returns {String} Username
+ */
+const generateUsername = async (identity) => {
+  const source = identity.preferredUsername || identity.email.split('@')[0];
+  const base = source.replace(/[^a-zA-Z0-9_]/g, '').slice(0, 24).padEnd(3, '_');
+
+  let username = base;
+  while (await User.usernameExists(username)) {
+    username = `${base}_${crypto.randomInt(1000, 10000)}`;
+  }
+
+  return username;
+};
+
+/**
+ * @route   GET /api/auth/oidc/providers
+ * @desc    List the identity providers users can sign in with
+ * @access  Public
+ */
+router.get('/providers', (req, res) => {
+  res.json({
+    providers: getProviders().map(provider => ({
+      name: provider.name,
+      displayName: provider.displayName || provider.name
+    }))
+  });
+});
+
+/**
+ * @route   POST /api/auth/oidc/:provider/authorize
+ * @desc    Start a sign-in; returns the provider URL to redirect the user to
+ * @access  Public
+ */
+router.post('/:provider/authorize', loadOidcProvider, asyncHandler(async (req, res) => {
+  const provider = req.oidcProvider;
+  const { codeVerifier, codeChallenge } = createPkcePair();
+  const { state, browserKey, oidcState } = await OidcState.start({ provider: provider.name, codeVerifier });
+
+  const authorizationUrl = await buildAuthorizationUrl(provider, {
+    state,
+    nonce: oidcState.nonce,
+    codeChallenge
+  });
+
+  setOidcStateCookie(res, browserKey, oidcState.expiresAt);
+  res.json({ authorizationUrl });
+}));
+
+/**
+ * @route   POST /api/auth/oidc/:provider/callback
+ * @desc    Finish a sign-in with the code the provider redirected back with;
+ *          creates an account on first sign-in
+ * @access  Public
+ */
+router.post('/:provider/callback', authRateLimit, loadOidcProvider, oidcCallbackValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const provider = req.oidcProvider;
+
+  const oidcState = await OidcState.consume(req.body.state, {
+    provider: provider.name,
+    mode: 'login',
+    browserKey: req.cookies[OIDC_STATE_COOKIE]
+  });
+  clearOidcStateCookie(res);
+  if (!oidcState) {
+    return res.status(400).json({ error: 'Invalid or expired sign-in state' });
+  }
+
+  const identity = await exchangeCode(provider, {
+    code: req.body.code,
+    codeVerifier: oidcState.codeVerifier,
+    nonce: oidcState.nonce
+  });
+
+  let user = await User.findByIdentity(provider.name, identity.subject);
+  let created = false;
+
+  if (!user) {
+    if (!identity.email) {
+      return res.status(400).json({ error: 'Identity provider did not share an email address' });
+    }
+
+    // Never attach a provider to an existing account without that account's consent
+    if (await User.emailExists(identity.email)) {
+      return res.status(409).json({
+        error: `An account with this email already exists. Sign in and link ${provider.name} from your profile instead.`
+      });
+    }
+
+    user = await User.create({
+      username: await generateUsername(identity),
+      email: identity.email,
+      emailVerified: identity.emailVerified,
+      identities: [{ provider: provider.name, subject: identity.subject, email: identity.email }]
+    });
+    created = true;
+
+    logger.info(`New user registered via ${provider.name}: ${user.email}`);
+  }
+
+  if (!user.isActive) {
+    return res.status(401).json({ error: 'User account is deactivated' });
+  }
+
+  const result = await beginLogin(user, req, { method: `oidc:${provider.name}` });
+
+  if (result.mfaRequired) {
+    return res.json({
+      message: 'Two-factor authentication required',
+      ...result
+    });
+  }
+
+  logger.info(`User logged in via ${provider.name}: ${user.email}`);
+
+  sendTokens(res, created ? 201 : 200, {
+    message: created ? 'User registered successfully' : 'Login successful',
+    ...result
+  });
+}));
+
+module.exports = router;
@@ -1,14 +1,40 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, query } = require('express-validator');
 const Post = require('../models/Post');
+const Like = require('../models/Like');
+const PostRevision = require('../models/PostRevision');
 const Category = require('../models/Category');
-const { authenticate, requireModerator } = require('../middleware/auth');
+const { authenticate, optionalAuth, requirePermission, requireScope, requireVerifiedEmail } = require('../middleware/auth');
+const { authorizeResource } = require('../middleware/policy');
 const { asyncHandler, handleValidationErrors } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
+const { deletePosts } = require('../utils/contentCleanup');
+const commentRoutes = require('./comments');
+const reactionRoutes = require('./reactions');
+const revisionRoutes = require('./revisions');
 
 const router = express.Router();
 
+// Fields PUT /api/posts/:id may change; counters, author and publish state are kept by the server
+const UPDATABLE_FIELDS = ['title', 'content', 'excerpt', 'category', 'tags', 'status', 'publishAt', 'featuredImage', 'seoTitle', 'seoDescription'];
+
 // Validation rules
+const futurePublishAt = () => body('publishAt')
+  .isISO8601()
+  .withMessage('Publish date must be a valid date')
+  .bail()
+  .custom(value => new Date(value) > new Date())
+  .withMessage('Publish date must be in the future');
+
+const publishAtValidation = [
+  body('publishAt')
+    .if(body('status').equals('scheduled'))
+    .exists({ values: 'null' })
+    .withMessage('Scheduled posts need a publish date'),
+  futurePublishAt().optional({ values: 'null' })
+];
+
 const createPostValidation = [
   body('title')
     .isLength({ min: 5, max: 200 })
@@ -28,8 +54,9 @@ const createPostValidation = [
     .withMessage('Each tag cannot exceed 20 characters'),
   body('status')
     .optional()
-    .isIn(['draft', 'published', 'archived'])
-    .withMessage('Status must be draft, published, or archived')
+    .isIn(['draft', 'scheduled', 'published', 'archived'])
+    .withMessage('Status must be draft, scheduled, published, or archived'),
+  ...publishAtValidation
 ];
 
 const updatePostValidation = [
@@ -54,8 +81,9 @@ const updatePostValidation = [
     .withMessage('Each tag cannot exceed 20 characters'),
   body('status')
     .optional()
-    .isIn(['draft', 'published', 'archived'])
-    .withMessage('Status must be draft, published, or archived')
+    .isIn(['draft', 'scheduled', 'published', 'archived'])
+    .withMessage('Status must be draft, scheduled, published, or archived'),
+  ...publishAtValidation
 ];
 
 const queryValidation = [
@@ -77,17 +105,37 @@ const queryValidation = [
     .withMessage('Author must be a valid MongoDB ID'),
   query('status')
     .optional()
-    .isIn(['draft', 'published', 'archived'])
-    .withMessage('Status must be draft, published, or archived')
+    .isIn(['draft', 'scheduled', 'published', 'archived'])
+    .withMessage('Status must be draft, scheduled, published, or archived')
 ];
 
+/**
+ * Add a `likedByMe` flag to posts when the caller is signed in
+ * @param {Object} req - Express request
+ * @param {Array} posts - Post documents
+ * @returns {Array} Posts as sent to the client
+ */
+const withLikedByMe = async (req, posts) => {
+  if (!req.user) return posts;
+
+  const liked = await Like.findLikedPostIds(req.user._id, posts.map(post => post._id));
+  return posts.map(post => ({ ...post.toJSON(), likedByMe: liked.has(post._id.toString()) }));
+};
+
+/**
+ * Load a post by id for the like endpoints
+ * @param {String} id - Post id
+ * @returns {Object|null} Post document
+ */
+const findPost = (id) => (mongoose.isValidObjectId(id) ? Post.findById(id) : null);
+
 /**
  * @route   POST /api/posts
  * @desc    Create a new post
- * @access  Private
+ * @access  Private (verified email)
  */
-router.post('/', authenticate, createPostValidation, handleValidationErrors, asyncHandler(async (req, res) => {
-  const { title, content, category, tags, status, featuredImage, seoTitle, seoDescription } = req.body;
+router.post('/', authenticate, requireScope('posts:write'), requirePermission('post.create'), requireVerifiedEmail, createPostValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { title, content, category, tags, status, publishAt, featuredImage, seoTitle, seoDescription } = req.body;
 
   // Verify category exists
   const categoryExists = await Category.findById(category);
@@ -102,6 +150,7 @@ router.post('/', authenticate, createPostValidation, handleValidationErrors, asy
     category,
     tags: tags || [],
     status: status || 'draft',
+    publishAt: status === 'scheduled' ? publishAt : null,
     author: req.user._id,
     featuredImage,
     seoTitle,
@@ -109,6 +158,7 @@ router.post('/', authenticate, createPostValidation, handleValidationErrors, asy
   });
 
   await post.save();
+  await PostRevision.record(post, req.user);
 
   // Populate author and category
   await post.populate('author', 'username firstName lastName avatar');
@@ -127,7 +177,7 @@ router.post('/', authenticate, createPostValidation, handleValidationErrors, asy
  * @desc    Get all posts with pagination and filtering
  * @access  Public
  */
-router.get('/', queryValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+router.get('/', optionalAuth, requireScope('posts:read'), queryValidation, handleValidationErrors, asyncHandler(async (req, res) => {
   const {
     page = 1,
     limit = 10,
@@ -172,7 +222,7 @@ router.get('/', queryValidation, handleValidationErrors, asyncHandler(async (req
   logger.info(`Posts retrieved: ${posts.length} posts, page ${page}`);
 
   res.json({
-    posts,
+    posts: await withLikedByMe(req, posts),
     pagination: {
       currentPage: parseInt(page),
       totalPages,
@@ -189,7 +239,7 @@ router.get('/', queryValidation, handleValidationErrors, asyncHandler(async (req
  * @desc    Get only published posts
  * @access  Public
  */
-router.get('/published', queryValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+router.get('/published', optionalAuth, requireScope('posts:read'), queryValidation, handleValidationErrors, asyncHandler(async (req, res) => {
   const {
     page = 1,
     limit = 10,
@@ -222,7 +272,7 @@ router.get('/published', queryValidation, handleValidationErrors, asyncHandler(a
   const totalPages = Math.ceil(total / limit);
 
   res.json({
-    posts,
+    posts: await withLikedByMe(req, posts),
     pagination: {
       currentPage: parseInt(page),
       totalPages,
@@ -234,12 +284,57 @@ router.get('/published', queryValidation, handleValidationErrors, asyncHandler(a
   });
 }));
 
+/**
+ * @route   GET /api/posts/liked
+ * @desc    Get the published posts the current user liked, most recently liked first
+ * @access  Private
+ */
+router.get('/liked', authenticate, requireScope('posts:read'), queryValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 10;
+
+  const [result] = await Like.aggregate([
+    { $match: { user: req.user._id } },
+    { $lookup: { from: Post.collection.name, localField: 'post', foreignField: '_id', as: 'likedPost' } },
+    { $match: { 'likedPost.status': 'published' } },
+    { $sort: { createdAt: -1, _id: -1 } },
+    {
+      $facet: {
+        likes: [{ $skip: (page - 1) * limit }, { $limit: limit }, { $project: { post: 1, createdAt: 1 } }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const posts = await Post.find({ _id: { $in: result.likes.map(like => like.post) } })
+    .populate('author', 'username firstName lastName avatar')
+    .populate('category', 'name slug color');
+  const postsById = new Map(posts.map(post => [post._id.toString(), post]));
+
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+  const totalPages = Math.ceil(total / limit);
+
+  res.json({
+    posts: result.likes
+      .filter(like => postsById.has(like.post.toString()))
+      .map(like => ({ ...postsById.get(like.post.toString()).toJSON(), likedByMe: true, likedAt: like.createdAt })),
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalPosts: total,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+      limit
+    }
+  });
+}));
+
 /**
  * @route   GET /api/posts/:id
  * @desc    Get a single post by ID
  * @access  Public
  */
-router.get('/:id', asyncHandler(async (req, res) => {
+router.get('/:id', optionalAuth, requireScope('posts:read'), asyncHandler(async (req, res) => {
   const post = await Post.findById(req.params.id)
     .populate('author', 'username firstName lastName avatar bio')
     .populate('category', 'name slug description');
@@ -255,7 +350,8 @@ router.get('/:id', asyncHandler(async (req, res) => {
 
   logger.info(`Post viewed: ${post.title}`);
 
-  res.json({ post });
+  const [result] = await withLikedByMe(req, [post]);
+  res.json({ post: result });
 }));
 
 /**
@@ -263,7 +359,7 @@ router.get('/:id', asyncHandler(async (req, res) => {
  * @desc    Get a single post by slug
  * @access  Public
  */
-router.get('/slug/:slug', asyncHandler(async (req, res) => {
+router.get('/slug/:slug', optionalAuth, requireScope('posts:read'), asyncHandler(async (req, res) => {
   const post = await Post.findOne({ slug: req.params.slug })
     .populate('author', 'username firstName lastName avatar bio')
     .populate('category', 'name slug description');
@@ -279,26 +375,16 @@ router.get('/slug/:slug', asyncHandler(async (req, res) => {
 
   logger.info(`Post viewed by slug: ${post.title}`);
 
-  res.json({ post });
+  const [result] = await withLikedByMe(req, [post]);
+  res.json({ post: result });
 }));
 
 /**
  * @route   PUT /api/posts/:id
  * @desc    Update a post
- * @access  Private (author or moderator)
+ * @access  Private (post.update.own / post.update.any)
  */
-router.put('/:id', authenticate, updatePostValidation, handleValidationErrors, asyncHandler(async (req, res) => {
-  const post = await Post.findById(req.params.id);
-
-  if (!post) {
-    return res.status(404).json({ error: 'Post not found' });
-  }
-
-  // Check if user is author or moderator
-  if (post.author.toString() !== req.user._id.toString() && req.user.role !== 'moderator' && req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Not authorized to update this post' });
-  }
-
+router.put('/:id', authenticate, requireScope('posts:write'), updatePostValidation, handleValidationErrors, authorizeResource('post', 'update'), asyncHandler(async (req, res) => {
   // Verify category exists if provided
   if (req.body.category) {
     const categoryExists = await Category.findById(req.body.category);
@@ -307,14 +393,54 @@ router.put('/:id', authenticate, updatePostValidation, handleValidationErrors, a
     }
   }
 
-  // Update post
-  const updatedPost = await Post.findByIdAndUpdate(
-    req.params.id,
-    req.body,
+  // Posts from before revision history get their current text as the first revision
+  if (!(await PostRevision.findLatest(req.post._id))) {
+    await PostRevision.record(req.post, req.post.author);
+  }
+
+  const updates = {};
+  UPDATABLE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  });
+  const status = updates.status || req.post.status;
+
+  // Same rule as PUT /:id/schedule
+  if (updates.status === 'scheduled' && !['draft', 'scheduled'].includes(req.post.status)) {
+    return res.status(400).json({ error: 'Only drafts and scheduled posts can be scheduled' });
+  }
+
+  if (status === 'scheduled') {
+    if (updates.publishAt === null) {
+      return res.status(400).json({ error: 'Scheduled posts need a publish date' });
+    }
+    // Scheduled posts stay hidden until the scheduler publishes them
+    updates.isPublished = false;
+  } else {
+    // A publish date only applies while the post is scheduled
+    updates.publishAt = null;
+  }
+
+  // findOneAndUpdate skips the pre-save hook, so publish like publishNextDue does
+  if (updates.status === 'published' && req.post.status !== 'published') {
+    updates.isPublished = true;
+    updates.publishedAt = req.post.publishedAt || new Date();
+  }
+
+  // Conditional on the status we checked, so a post the scheduler publishes
+  // meanwhile isn't scheduled or unpublished again
+  const updatedPost = await Post.findOneAndUpdate(
+    { _id: req.post._id, status: req.post.status },
+    updates,
     { new: true, runValidators: true }
   ).populate('author', 'username firstName lastName avatar')
    .populate('category', 'name slug');
 
+  if (!updatedPost) {
+    return res.status(409).json({ error: 'Post status changed meanwhile, please try again' });
+  }
+
+  await PostRevision.record(updatedPost, req.user);
+
   logger.info(`Post updated: ${updatedPost.title} by ${req.user.email}`);
 
   res.json({
@@ -326,35 +452,128 @@ router.put('/:id', authenticate, updatePostValidation, handleValidationErrors, a
 /**
  * @route   DELETE /api/posts/:id
  * @desc    Delete a post
- * @access  Private (author or moderator)
+ * @access  Private (post.delete.own / post.delete.any)
  */
-router.delete('/:id', authenticate, asyncHandler(async (req, res) => {
-  const post = await Post.findById(req.params.id);
+router.delete('/:id', authenticate, requireScope('posts:write'), authorizeResource('post', 'delete'), asyncHandler(async (req, res) => {
+  await deletePosts([req.post._id]);
+
+  logger.info(`Post deleted: ${req.post.title} by ${req.user.email}`);
+
+  res.json({
+    message: 'Post deleted successfully'
+  });
+}));
+
+/**
+ * @route   PUT /api/posts/:id/schedule
+ * @desc    Schedule a draft to be published later, or move a scheduled post
+ * @access  Private (post.update.own / post.update.any)
+ */
+router.put('/:id/schedule', authenticate, requireScope('posts:write'), futurePublishAt(), handleValidationErrors, authorizeResource('post', 'update'), asyncHandler(async (req, res) => {
+  // Conditional update so a post the scheduler just published isn't unpublished again
+  const post = await Post.findOneAndUpdate(
+    { _id: req.post._id, status: { $in: ['draft', 'scheduled'] } },
+    { $set: { status: 'scheduled', publishAt: new Date(req.body.publishAt), isPublished: false } },
+    { new: true }
+  );
+
+  if (!post) {
+    return res.status(400).json({ error: 'Only drafts and scheduled posts can be scheduled' });
+  }
+
+  logger.info(`Post ${post._id} scheduled for ${post.publishAt.toISOString()} by ${req.user.email}`);
+
+  res.json({
+    message: 'Post scheduled successfully',
+    post
+  });
+}));
+
+/**
+ * @route   DELETE /api/posts/:id/schedule
+ * @desc    Cancel a scheduled publication; the post goes back to draft
+ * @access  Private (post.update.own / post.update.any)
+ */
+router.delete('/:id/schedule', authenticate, requireScope('posts:write'), authorizeResource('post', 'update'), asyncHandler(async (req, res) => {
+  const post = await Post.findOneAndUpdate(
+    { _id: req.post._id, status: 'scheduled' },
+    { $set: { status: 'draft', publishAt: null } },
+    { new: true }
+  );
+
+  if (!post) {
+    return res.status(400).json({ error: 'Post is not scheduled' });
+  }
+
+  logger.info(`Scheduled publication of post ${post._id} cancelled by ${req.user.email}`);
+
+  res.json({
+    message: 'Post schedule cancelled',
+    post
+  });
+}));
+
+/**
+ * @route   POST /api/posts/:id/like
+ * @desc    Like a post; liking it again changes nothing
+ * @access  Private
+ */
+router.post('/:id/like', authenticate, requireScope('posts:write'), requirePermission('post.like'), asyncHandler(async (req, res) => {
+  const post = await findPost(req.params.id);
 
   if (!post) {
     return res.status(404).json({ error: 'Post not found' });
   }
 
-  // Check if user is author or moderator
-  if (post.author.toString() !== req.user._id.toString() && req.user.role !== 'moderator' && req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Not authorized to delete this post' });
+  if (post.status !== 'published') {
+    return res.status(400).json({ error: 'Only published posts can be liked' });
   }
 
-  await Post.findByIdAndDelete(req.params.id);
+  if (await Like.like(req.user._id, post._id)) {
+    await post.incrementLikeCount();
+  }
 
-  logger.info(`Post deleted: ${post.title} by ${req.user.email}`);
+  res.json({
+    message: 'Post liked',
+    liked: true,
+    likeCount: post.likeCount
+  });
+}));
+
+/**
+ * @route   DELETE /api/posts/:id/like
+ * @desc    Unlike a post; unliking a post that isn't liked changes nothing
+ * @access  Private
+ */
+router.delete('/:id/like', authenticate, requireScope('posts:write'), requirePermission('post.like'), asyncHandler(async (req, res) => {
+  const post = await findPost(req.params.id);
+
+  if (!post) {
+    return res.status(404).json({ error: 'Post not found' });
+  }
+
+  if (await Like.unlike(req.user._id, post._id)) {
+    await post.decrementLikeCount();
+  }
 
   res.json({
-    message: 'Post deleted successfully'
+    message: 'Post unliked',
+    liked: false,
+    likeCount: post.likeCount
   });
 }));
 
+// Comments, reactions and revision history of a post
+router.use('/:id/comments', commentRoutes);
+router.use('/:id/reactions', reactionRoutes('post'));
+router.use('/:id/revisions', revisionRoutes);
+
 /**
  * @route   GET /api/posts/author/:authorId
  * @desc    Get posts by author
  * @access  Public
  */
-router.get('/author/:authorId', queryValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+router.get('/author/:authorId', optionalAuth, requireScope('posts:read'), queryValidation, handleValidationErrors, asyncHandler(async (req, res) => {
   const { page = 1, limit = 10, status } = req.query;
   const { authorId } = req.params;
 
@@ -374,7 +593,7 @@ router.get('/author/:authorId', queryValidation, handleValidationErrors, asyncHa
   const totalPages = Math.ceil(total / limit);
 
   res.json({
-    posts,
+    posts: await withLikedByMe(req, posts),
     pagination: {
       currentPage: parseInt(page),
       totalPages,
@@ -391,7 +610,7 @@ router.get('/author/:authorId', queryValidation, handleValidationErrors, asyncHa
  * @desc    Get posts by category
  * @access  Public
  */
-router.get('/category/:categoryId', queryValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+router.get('/category/:categoryId', optionalAuth, requireScope('posts:read'), queryValidation, handleValidationErrors, asyncHandler(async (req, res) => {
   const { page = 1, limit = 10, status } = req.query;
   const { categoryId } = req.params;
 
@@ -411,7 +630,7 @@ router.get('/category/:categoryId', queryValidation, handleValidationErrors, asy
   const totalPages = Math.ceil(total / limit);
 
   res.json({
-    posts,
+    posts: await withLikedByMe(req, posts),
     pagination: {
       currentPage: parseInt(page),
       totalPages,
@@ -428,12 +647,12 @@ router.get('/category/:categoryId', queryValidation, handleValidationErrors, asy
  * @desc    Get popular posts
  * @access  Public
  */
-router.get('/popular/:limit?', asyncHandler(async (req, res) => {
+router.get('/popular/:limit?', optionalAuth, requireScope('posts:read'), asyncHandler(async (req, res) => {
   const limit = parseInt(req.params.limit) || 10;
   
   const posts = await Post.getPopular(limit);
 
-  res.json({ posts });
+  res.json({ posts: await withLikedByMe(req, posts) });
 }));
 
 /**
@@ -441,12 +660,12 @@ router.get('/popular/:limit?', asyncHandler(async (req, res) => {
  * @desc    Get recent posts
  * @access  Public
  */
-router.get('/recent/:limit?', asyncHandler(async (req, res) => {
+router.get('/recent/:limit?', optionalAuth, requireScope('posts:read'), asyncHandler(async (req, res) => {
   const limit = parseInt(req.params.limit) || 10;
   
   const posts = await Post.getRecent(limit);
 
-  res.json({ posts });
+  res.json({ posts: await withLikedByMe(req, posts) });
 }));
 
 module.exports = router; 
\ No newline at end of file
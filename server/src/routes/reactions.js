@@ -0,0 +1,154 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { param, query } = require('express-validator');
+const Reaction = require('../models/Reaction');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const { authenticate, requirePermission, requireScope } = require('../middleware/auth');
+const { asyncHandler, handleValidationErrors } = require('../middleware/errorHandler');
+const { getReactionTypes, isReactionType } = require('../utils/reactions');
+
+/**
+ * Things readers can react to. `load` finds the target from the route
+ * params; `closedReason` says why new reactions aren't accepted, if so.
+ */
+const TARGETS = {
+  post: {
+    modelName: 'Post',
+    label: 'Post',
+    load: (params) => (mongoose.isValidObjectId(params.id) ? Post.findById(params.id) : null),
+    closedReason: post => (post.status !== 'published' ? 'Only published posts can be reacted to' : null)
+  },
+  comment: {
+    modelName: 'Comment',
+    label: 'Comment',
+    load: params => (mongoose.isValidObjectId(params.commentId)
+      ? Comment.findOne({ _id: params.commentId, post: params.id, isDeleted: false })
+      : null),
+    closedReason: () => null
+  }
+};
+
+const typeValidation = [
+  param('type')
+    .custom(isReactionType)
+    .withMessage('Unknown reaction type')
+];
+
+const queryValidation = [
+  query('type')
+    .optional()
+    .custom(isReactionType)
+    .withMessage('Unknown reaction type'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+/**
+ * Build the reactions router for a post or comment, mounted below the
+ * target's own route (e.g. /api/posts/:id/reactions)
+ * @param {String} targetName - Key of TARGETS (post, comment)
+ * @returns {Object} Express router
+ */
+const reactionRoutes = (targetName) => {
+  const { modelName, label, load, closedReason } = TARGETS[targetName];
+  const router = express.Router({ mergeParams: true });
+
+  // Attach the target as req.reactionTarget
+  const loadTarget = asyncHandler(async (req, res, next) => {
+    const target = await load(req.params);
+
+    if (!target) {
+      return res.status(404).json({ error: `${label} not found` });
+    }
+
+    req.reactionTarget = target;
+    next();
+  });
+
+  // Send the target's current counts
+  const sendCounts = async (req, res, reacted) => {
+    const target = await mongoose.model(modelName).findById(req.reactionTarget._id).select('reactionCounts');
+
+    res.json({
+      type: req.params.type,
+      reacted,
+      reactionCounts: Object.fromEntries(target.reactionCounts || [])
+    });
+  };
+
+  /**
+   * @route   GET .../reactions
+   * @desc    List who reacted with what, newest first; filter with `type`
+   * @access  Public
+   */
+  router.get('/', queryValidation, handleValidationErrors, loadTarget, asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const filter = { targetType: modelName, target: req.reactionTarget._id };
+    if (req.query.type) filter.type = req.query.type;
+
+    const reactions = await Reaction.find(filter)
+      .populate('user', 'username firstName lastName avatar')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await Reaction.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      reactions: reactions.map(reaction => ({
+        type: reaction.type,
+        user: reaction.user,
+        createdAt: reaction.createdAt
+      })),
+      reactionCounts: Object.fromEntries(req.reactionTarget.reactionCounts || []),
+      types: getReactionTypes(),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalReactions: total,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        limit
+      }
+    });
+  }));
+
+  /**
+   * @route   POST .../reactions/:type
+   * @desc    React; reacting the same way again changes nothing
+   * @access  Private
+   */
+  router.post('/:type', authenticate, requireScope('posts:write'), requirePermission('reaction.add'), typeValidation, handleValidationErrors, loadTarget, asyncHandler(async (req, res) => {
+    const reason = closedReason(req.reactionTarget);
+    if (reason) {
+      return res.status(400).json({ error: reason });
+    }
+
+    await Reaction.react(modelName, req.reactionTarget._id, req.user._id, req.params.type);
+    await sendCounts(req, res, true);
+  }));
+
+  /**
+   * @route   DELETE .../reactions/:type
+   * @desc    Remove a reaction; removing one that doesn't exist changes nothing
+   * @access  Private
+   */
+  router.delete('/:type', authenticate, requireScope('posts:write'), requirePermission('reaction.add'), typeValidation, handleValidationErrors, loadTarget, asyncHandler(async (req, res) => {
+    await Reaction.unreact(modelName, req.reactionTarget._id, req.user._id, req.params.type);
+    await sendCounts(req, res, false);
+  }));
+
+  return router;
+};
+
+module.exports = reactionRoutes;
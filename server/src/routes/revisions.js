@@ -0,0 +1,161 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { query } = require('express-validator');
+const PostRevision = require('../models/PostRevision');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { authorizeResource } = require('../middleware/policy');
+const { asyncHandler, handleValidationErrors } = require('../middleware/errorHandler');
+const { diffWords } = require('../utils/textDiff');
+const { logger } = require('../utils/logger');
+
+// Mounted at /api/posts/:id/revisions; history is only shown to those who may edit the post
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticate, authorizeResource('post', 'update'));
+
+// Validation rules
+const queryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const diffValidation = [
+  query('from')
+    .isMongoId()
+    .withMessage('From must be a valid revision ID'),
+  query('to')
+    .optional()
+    .isMongoId()
+    .withMessage('To must be a valid revision ID')
+];
+
+/**
+ * Find a revision of the post in req.post
+ * @param {Object} req - Express request
+ * @param {String} id - Revision id
+ * @returns {Object|null} Revision
+ */
+const findRevision = (req, id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return PostRevision.findOne({ _id: id, post: req.post._id }).populate('editor', 'username firstName lastName avatar');
+};
+
+/**
+ * @route   GET /api/posts/:id/revisions
+ * @desc    List revisions of a post, newest first
+ * @access  Private (post.update.own / post.update.any)
+ */
+router.get('/', requireScope('posts:read'), queryValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+
+  const revisions = await PostRevision.find({ post: req.post._id })
+    .populate('editor', 'username firstName lastName avatar')
+    .sort({ version: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+
+  const total = await PostRevision.countDocuments({ post: req.post._id });
+  const totalPages = Math.ceil(total / limit);
+
+  res.json({
+    revisions: revisions.map(revision => revision.getSummary()),
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalRevisions: total,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+      limit
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/posts/:id/revisions/diff?from=&to=
+ * @desc    Word-level diff between two revisions (`to` defaults to the newest)
+ * @access  Private (post.update.own / post.update.any)
+ */
+router.get('/diff', requireScope('posts:read'), diffValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const from = await findRevision(req, req.query.from);
+  const to = req.query.to
+    ? await findRevision(req, req.query.to)
+    : await PostRevision.findLatest(req.post._id).populate('editor', 'username firstName lastName avatar');
+
+  if (!from || !to) {
+    return res.status(404).json({ error: 'Revision not found' });
+  }
+
+  const tagsFrom = from.tags || [];
+  const tagsTo = to.tags || [];
+
+  res.json({
+    from: from.getSummary(),
+    to: to.getSummary(),
+    changes: {
+      title: diffWords(from.title, to.title),
+      content: diffWords(from.content, to.content),
+      excerpt: diffWords(from.excerpt, to.excerpt),
+      tags: {
+        added: tagsTo.filter(tag => !tagsFrom.includes(tag)),
+        removed: tagsFrom.filter(tag => !tagsTo.includes(tag))
+      }
+    }
+  });
+}));
+
+/**
+ * @route   GET /api/posts/:id/revisions/:revId
+ * @desc    Get a single revision with its text
+ * @access  Private (post.update.own / post.update.any)
+ */
+router.get('/:revId', requireScope('posts:read'), asyncHandler(async (req, res) => {
+  const revision = await findRevision(req, req.params.revId);
+
+  if (!revision) {
+    return res.status(404).json({ error: 'Revision not found' });
+  }
+
+  res.json({ revision });
+}));
+
+/**
+ * @route   POST /api/posts/:id/revisions/:revId/restore
+ * @desc    Put a revision's text back on the post; saved as a new revision
+ * @access  Private (post.update.own / post.update.any)
+ */
+router.post('/:revId/restore', requireScope('posts:write'), asyncHandler(async (req, res) => {
+  const revision = await findRevision(req, req.params.revId);
+
+  if (!revision) {
+    return res.status(404).json({ error: 'Revision not found' });
+  }
+
+  const { post } = req;
+  post.title = revision.title;
+  post.content = revision.content;
+  post.excerpt = revision.excerpt;
+  post.tags = revision.tags;
+  await post.save();
+
+  const restored = await PostRevision.record(post, req.user, { restoredFrom: revision.version });
+
+  await post.populate('author', 'username firstName lastName avatar');
+  await post.populate('category', 'name slug');
+
+  logger.info(`Post ${post._id} restored to revision ${revision.version} by ${req.user.email}`);
+
+  res.json({
+    message: 'Revision restored successfully',
+    post,
+    revision: restored ? restored.getSummary() : null
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,187 @@
+const express = require('express');
+const { body } = require('express-validator');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { authenticate, forbidImpersonation, requirePermission, requireScope } = require('../middleware/auth');
+const { asyncHandler, handleValidationErrors } = require('../middleware/errorHandler');
+const { PERMISSIONS, DEFAULT_ROLES, isBuiltInRole, clearPermissionCache, listRoles } = require('../utils/permissions');
+const { diffChanges, recordAuditEvent } = require('../utils/audit');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation rules
+const roleValidation = [
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  body('permissions')
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isIn(Object.keys(PERMISSIONS))
+    .withMessage('Unknown permission')
+];
+
+const createRoleValidation = [
+  body('name')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9_-]{0,29}$/)
+    .withMessage('Role name can only contain lowercase letters, numbers, dashes and underscores'),
+  ...roleValidation
+];
+
+router.use(authenticate, requireScope('users:admin'), forbidImpersonation, requirePermission('role.manage'));
+
+/**
+ * @route   GET /api/roles
+ * @desc    List roles and their permissions
+ * @access  Private (role.manage)
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  res.json({
+    roles: await listRoles()
+  });
+}));
+
+/**
+ * @route   GET /api/roles/permissions
+ * @desc    List every permission that can be granted
+ * @access  Private (role.manage)
+ */
+router.get('/permissions', (req, res) => {
+  res.json({
+    permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+});
+
+/**
+ * @route   POST /api/roles
+ * @desc    Create a custom role
+ * @access  Private (role.manage)
+ */
+router.post('/', createRoleValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { name, description, permissions } = req.body;
+
+  if (isBuiltInRole(name) || await Role.exists({ name })) {
+    return res.status(400).json({ error: 'Role already exists' });
+  }
+
+  const role = await Role.create({
+    name,
+    description,
+    permissions: [...new Set(permissions)],
+    updatedBy: req.user._id
+  });
+
+  await recordAuditEvent(req, 'role.create', {
+    target: role,
+    changes: { before: null, after: { permissions: role.permissions } }
+  });
+
+  logger.info(`Role ${name} created by ${req.user.email}`);
+
+  res.status(201).json({
+    message: 'Role created successfully',
+    role
+  });
+}));
+
+/**
+ * @route   PUT /api/roles/:name
+ * @desc    Replace a role's permissions (built-in roles included)
+ * @access  Private (role.manage)
+ */
+router.put('/:name', roleValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { name } = req.params;
+  const permissions = [...new Set(req.body.permissions)];
+
+  const existing = await Role.findOne({ name }).lean();
+  if (!isBuiltInRole(name) && !existing) {
+    return res.status(404).json({ error: 'Role not found' });
+  }
+
+  // Don't let admins lock everyone out of role management
+  if (name === 'admin' && !permissions.includes('role.manage')) {
+    return res.status(400).json({ error: 'The admin role must keep the role.manage permission' });
+  }
+
+  const role = await Role.findOneAndUpdate(
+    { name },
+    {
+      name,
+      permissions,
+      ...(req.body.description !== undefined && { description: req.body.description }),
+      updatedBy: req.user._id
+    },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  clearPermissionCache(name);
+
+  await recordAuditEvent(req, 'role.update', {
+    target: role,
+    changes: diffChanges({ permissions: existing ? existing.permissions : DEFAULT_ROLES[name] }, { permissions })
+  });
+
+  logger.info(`Role ${name} updated by ${req.user.email}: [${permissions.join(', ')}]`);
+
+  res.json({
+    message: 'Role updated successfully',
+    role
+  });
+}));
+
+/**
+ * @route   DELETE /api/roles/:name
+ * @desc    Delete a custom role, or reset a built-in role to its defaults
+ * @access  Private (role.manage)
+ */
+router.delete('/:name', asyncHandler(async (req, res) => {
+  const { name } = req.params;
+
+  if (isBuiltInRole(name)) {
+    const role = await Role.findOne({ name });
+    if (role) {
+      await role.deleteOne();
+      await recordAuditEvent(req, 'role.reset', {
+        target: role,
+        changes: diffChanges({ permissions: role.permissions }, { permissions: DEFAULT_ROLES[name] })
+      });
+    }
+    clearPermissionCache(name);
+
+    logger.info(`Role ${name} reset to defaults by ${req.user.email}`);
+
+    return res.json({ message: 'Role reset to default permissions' });
+  }
+
+  const role = await Role.findOne({ name });
+  if (!role) {
+    return res.status(404).json({ error: 'Role not found' });
+  }
+
+  if (await User.exists({ role: name })) {
+    return res.status(400).json({ error: 'Role is still assigned to users' });
+  }
+
+  await role.deleteOne();
+  clearPermissionCache(name);
+
+  await recordAuditEvent(req, 'role.delete', {
+    target: role,
+    changes: { before: { permissions: role.permissions }, after: null }
+  });
+
+  logger.info(`Role ${name} deleted by ${req.user.email}`);
+
+  res.json({
+    message: 'Role deleted successfully'
+  });
+}));
+
+module.exports = router;
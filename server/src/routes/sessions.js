@@ -0,0 +1,52 @@
+const express = require('express');
+const Session = require('../models/Session');
+const { authenticate, forbidImpersonation, rejectApiKey } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { recordAuditEvent } = require('../utils/audit');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(authenticate, rejectApiKey);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the current user's active sessions
+ * @access  Private
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const sessions = await Session.findActiveForUser(req.user._id);
+  const currentSessionId = req.tokenPayload && req.tokenPayload.sid;
+
+  res.json({
+    sessions: sessions.map(session => session.getPublicInfo(currentSessionId))
+  });
+}));
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke one of the current user's sessions
+ * @access  Private
+ */
+router.delete('/:id', forbidImpersonation, asyncHandler(async (req, res) => {
+  const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  await session.revoke('logout');
+
+  await recordAuditEvent(req, 'session.revoke', {
+    target: session,
+    metadata: { user: req.user._id }
+  });
+
+  logger.info(`Session ${session._id} revoked by ${req.user.email}`);
+
+  res.json({
+    message: 'Session revoked successfully'
+  });
+}));
+
+module.exports = router;
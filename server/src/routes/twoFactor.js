@@ -0,0 +1,153 @@
+const express = require('express');
+const { body } = require('express-validator');
+const User = require('../models/User');
+const { authenticate, forbidImpersonation, rejectApiKey } = require('../middleware/auth');
+const { asyncHandler, handleValidationErrors } = require('../middleware/errorHandler');
+const { recordAuditEvent } = require('../utils/audit');
+const { buildOtpauthUri } = require('../utils/totp');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation rules
+const codeValidation = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+];
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get 2FA status of the current user
+ * @access  Private
+ */
+router.get('/', authenticate, rejectApiKey, asyncHandler(async (req, res) => {
+  const user = await User.findWithTwoFactorSecrets(req.user._id);
+
+  res.json({
+    enabled: user.twoFactor.enabled,
+    enabledAt: user.twoFactor.enabledAt,
+    recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+    required: await user.isTwoFactorRequired()
+  });
+}));
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start 2FA enrollment and get the otpauth URI for an authenticator app
+ * @access  Private
+ */
+router.post('/setup', authenticate, rejectApiKey, forbidImpersonation, asyncHandler(async (req, res) => {
+  const user = await User.findWithTwoFactorSecrets(req.user._id);
+
+  if (user.twoFactor.enabled) {
+    return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+  }
+
+  const secret = await user.startTwoFactorSetup();
+
+  logger.info(`2FA setup started for user: ${user.email}`);
+
+  res.json({
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, label: user.email })
+  });
+}));
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrollment with a first code; returns one-time recovery codes
+ * @access  Private
+ */
+router.post('/enable', authenticate, rejectApiKey, forbidImpersonation, codeValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const user = await User.findWithTwoFactorSecrets(req.user._id);
+
+  if (user.twoFactor.enabled) {
+    return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+  }
+
+  if (!user.twoFactor.pendingSecret) {
+    return res.status(400).json({ error: 'Two-factor setup has not been started' });
+  }
+
+  const recoveryCodes = await user.enableTwoFactor(req.body.code);
+  if (!recoveryCodes) {
+    return res.status(400).json({ error: 'Invalid two-factor code' });
+  }
+
+  await recordAuditEvent(req, 'auth.2fa.enable', { target: user });
+
+  logger.info(`2FA enabled for user: ${user.email}`);
+
+  res.json({
+    message: 'Two-factor authentication enabled',
+    recoveryCodes
+  });
+}));
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn 2FA off (requires password and a current code)
+ * @access  Private
+ */
+router.post('/disable', authenticate, rejectApiKey, forbidImpersonation, [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...codeValidation
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const user = await User.findWithTwoFactorSecrets(req.user._id).select('+password');
+
+  if (!user.twoFactor.enabled) {
+    return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+  }
+
+  if (await user.isTwoFactorRequired()) {
+    return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+  }
+
+  const isMatch = await user.comparePassword(req.body.password);
+  if (!isMatch || !(await user.verifyTwoFactorCode(req.body.code))) {
+    return res.status(400).json({ error: 'Invalid password or two-factor code' });
+  }
+
+  await user.disableTwoFactor();
+
+  await recordAuditEvent(req, 'auth.2fa.disable', { target: user });
+
+  logger.info(`2FA disabled for user: ${user.email}`);
+
+  res.json({
+    message: 'Two-factor authentication disabled'
+  });
+}));
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace all recovery codes (requires a current code)
+ * @access  Private
+ */
+router.post('/recovery-codes', authenticate, rejectApiKey, forbidImpersonation, codeValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const user = await User.findWithTwoFactorSecrets(req.user._id);
+
+  if (!user.twoFactor.enabled) {
+    return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+  }
+
+  if (!(await user.verifyTwoFactorCode(req.body.code))) {
+    return res.status(400).json({ error: 'Invalid two-factor code' });
+  }
+
+  const recoveryCodes = await user.regenerateRecoveryCodes();
+
+  await recordAuditEvent(req, 'auth.2fa.recovery-codes.regenerate', { target: user });
+
+  logger.info(`Recovery codes regenerated for user: ${user.email}`);
+
+  res.json({
+    message: 'Recovery codes regenerated',
+    recoveryCodes
+  });
+}));
+
+module.exports = router;
@@ -2,12 +2,35 @@ const express = require('express');
 const { body, query } = require('express-validator');
 const User = require('../models/User');
 const Post = require('../models/Post');
-const { authenticate, requireAdmin, requireModerator } = require('../middleware/auth');
+const Setting = require('../models/Setting');
+const Session = require('../models/Session');
+const RevokedToken = require('../models/RevokedToken');
+const LoginEvent = require('../models/LoginEvent');
+const { authenticate, forbidImpersonation, rejectApiKey, requirePermission, requireScope } = require('../middleware/auth');
+const { authorizeResource } = require('../middleware/policy');
+const { can, roleExists } = require('../utils/permissions');
+const { generateImpersonationToken, getTokenExpiration } = require('../utils/auth');
+const { diffChanges, recordAuditEvent } = require('../utils/audit');
 const { asyncHandler, handleValidationErrors } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
+const { deleteUserContent } = require('../utils/contentCleanup');
 
 const router = express.Router();
 
+/**
+ * Validator accepting built-in and custom role names
+ * @param {String} value - Role name
+ */
+const isExistingRole = async (value) => {
+  if (typeof value !== 'string' || !(await roleExists(value))) {
+    throw new Error('Role does not exist');
+  }
+  return true;
+};
+
+// Fields PUT /api/users/:id may change; role and isActive need extra permissions
+const UPDATABLE_FIELDS = ['firstName', 'lastName', 'bio', 'avatar', 'role', 'isActive'];
+
 // Validation rules
 const updateUserValidation = [
   body('firstName')
@@ -22,10 +45,14 @@ const updateUserValidation = [
     .optional()
     .isLength({ max: 500 })
     .withMessage('Bio cannot exceed 500 characters'),
+  body('avatar')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Avatar must be a URL of at most 500 characters'),
   body('role')
     .optional()
-    .isIn(['user', 'moderator', 'admin'])
-    .withMessage('Role must be user, moderator, or admin'),
+    .custom(isExistingRole),
   body('isActive')
     .optional()
     .isBoolean()
@@ -43,8 +70,8 @@ const queryValidation = [
     .withMessage('Limit must be between 1 and 100'),
   query('role')
     .optional()
-    .isIn(['user', 'moderator', 'admin'])
-    .withMessage('Role must be user, moderator, or admin'),
+    .isString()
+    .withMessage('Role must be a string'),
   query('isActive')
     .optional()
     .isBoolean()
@@ -56,7 +83,7 @@ const queryValidation = [
  * @desc    Get all users (admin only)
  * @access  Private (admin)
  */
-router.get('/', authenticate, requireAdmin, queryValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+router.get('/', authenticate, requireScope('users:admin'), requirePermission('user.list'), queryValidation, handleValidationErrors, asyncHandler(async (req, res) => {
   const {
     page = 1,
     limit = 10,
@@ -103,7 +130,7 @@ router.get('/', authenticate, requireAdmin, queryValidation, handleValidationErr
   logger.info(`Users retrieved by admin: ${users.length} users, page ${page}`);
 
   res.json({
-    users,
+    users: users.map(user => user.getPublicProfile()),
     pagination: {
       currentPage: parseInt(page),
       totalPages,
@@ -116,59 +143,160 @@ router.get('/', authenticate, requireAdmin, queryValidation, handleValidationErr
 }));
 
 /**
- * @route   GET /api/users/:id
- * @desc    Get user by ID
- * @access  Private (admin or self)
+ * @route   GET /api/users/settings/mfa
+ * @desc    Get the roles that must use two-factor authentication (admin only)
+ * @access  Private (admin)
  */
-router.get('/:id', authenticate, asyncHandler(async (req, res) => {
-  const user = await User.findById(req.params.id).select('-password');
+router.get('/settings/mfa', authenticate, requireScope('users:admin'), requirePermission('settings.manage'), asyncHandler(async (req, res) => {
+  const requiredRoles = await Setting.getValue('mfa.requiredRoles', []);
 
-  if (!user) {
-    return res.status(404).json({ error: 'User not found' });
-  }
+  res.json({ requiredRoles });
+}));
 
-  // Check if user is requesting their own profile or is admin
-  if (req.user._id.toString() !== req.params.id && req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Not authorized to view this profile' });
-  }
+/**
+ * @route   PUT /api/users/settings/mfa
+ * @desc    Set the roles that must use two-factor authentication (admin only)
+ * @access  Private (admin)
+ */
+router.put('/settings/mfa', authenticate, requireScope('users:admin'), requirePermission('settings.manage'), [
+  body('requiredRoles')
+    .isArray()
+    .withMessage('Required roles must be an array'),
+  body('requiredRoles.*')
+    .isIn(['admin', 'moderator'])
+    .withMessage('Two-factor authentication can only be required for admin and moderator roles')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const requiredRoles = [...new Set(req.body.requiredRoles)];
+  const previousRoles = await Setting.getValue('mfa.requiredRoles', []);
+
+  await Setting.setValue('mfa.requiredRoles', requiredRoles, req.user._id);
+
+  await recordAuditEvent(req, 'settings.mfa.update', {
+    changes: { before: { requiredRoles: previousRoles }, after: { requiredRoles } },
+    metadata: { setting: 'mfa.requiredRoles' }
+  });
+
+  logger.info(`2FA required roles set to [${requiredRoles.join(', ')}] by ${req.user.email}`);
+
+  res.json({
+    message: 'Two-factor policy updated successfully',
+    requiredRoles
+  });
+}));
+
+/**
+ * @route   GET /api/users/logins/hotspots
+ * @desc    Get the IPs, networks or emails with the most failed logins (admin only)
+ * @access  Private (user.logins.read)
+ */
+router.get('/logins/hotspots', authenticate, requireScope('users:admin'), requirePermission('user.logins.read'), [
+  query('hours')
+    .optional()
+    .isInt({ min: 1, max: 720 })
+    .withMessage('Hours must be between 1 and 720'),
+  query('groupBy')
+    .optional()
+    .isIn(['ip', 'ipRange', 'email'])
+    .withMessage('Group by must be ip, ipRange or email'),
+  query('minFailures')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Minimum failures must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const { hours = 24, groupBy = 'ipRange', minFailures = 5, limit = 20 } = req.query;
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+  const hotspots = await LoginEvent.aggregate([
+    { $match: { success: false, createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: `$${groupBy}`,
+        failures: { $sum: 1 },
+        emails: { $addToSet: '$email' },
+        ipRanges: { $addToSet: '$ipRange' },
+        firstAttemptAt: { $min: '$createdAt' },
+        lastAttemptAt: { $max: '$createdAt' }
+      }
+    },
+    { $match: { failures: { $gte: parseInt(minFailures) } } },
+    { $sort: { failures: -1, lastAttemptAt: -1 } },
+    { $limit: parseInt(limit) },
+    {
+      $project: {
+        _id: 0,
+        [groupBy]: '$_id',
+        failures: 1,
+        distinctEmails: { $size: '$emails' },
+        distinctIpRanges: { $size: '$ipRanges' },
+        emails: { $slice: ['$emails', 10] },
+        firstAttemptAt: 1,
+        lastAttemptAt: 1
+      }
+    }
+  ]);
 
-  res.json({ user });
+  res.json({
+    since,
+    groupBy,
+    hotspots
+  });
+}));
+
+/**
+ * @route   GET /api/users/:id
+ * @desc    Get user by ID
+ * @access  Private (user.read.own / user.read.any)
+ */
+router.get('/:id', authenticate, requireScope('users:read'), authorizeResource('user', 'read'), asyncHandler(async (req, res) => {
+  res.json({ user: req.targetUser.getPublicProfile() });
 }));
 
 /**
  * @route   PUT /api/users/:id
  * @desc    Update user (admin or self)
- * @access  Private (admin or self)
+ * @access  Private (user.update.own / user.update.any)
  */
-router.put('/:id', authenticate, updateUserValidation, handleValidationErrors, asyncHandler(async (req, res) => {
-  const user = await User.findById(req.params.id);
-
-  if (!user) {
-    return res.status(404).json({ error: 'User not found' });
+router.put('/:id', authenticate, requireScope('users:write'), updateUserValidation, handleValidationErrors, authorizeResource('user', 'update'), asyncHandler(async (req, res) => {
+  if (req.body.role !== undefined && !(await can(req.user, 'user.role.change'))) {
+    return res.status(403).json({ error: 'Only admins can change user roles' });
   }
 
-  // Check if user is updating their own profile or is admin
-  if (req.user._id.toString() !== req.params.id && req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Not authorized to update this profile' });
+  // Credentials and roles can't be changed in someone else's name
+  if (req.impersonator && ['role', 'email', 'password'].some(field => req.body[field] !== undefined)) {
+    return res.status(403).json({ error: 'Not allowed while impersonating a user' });
   }
 
-  // Only admins can change roles
-  if (req.body.role && req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Only admins can change user roles' });
+  if (req.body.isActive !== undefined && !(await can(req.user, 'user.activate'))) {
+    return res.status(403).json({ error: 'Only admins can activate or deactivate users' });
   }
 
+  // Anything else (password, email, security state) has its own endpoint
+  const updates = {};
+  UPDATABLE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  });
+
   // Update user
   const updatedUser = await User.findByIdAndUpdate(
-    req.params.id,
-    req.body,
+    req.targetUser._id,
+    updates,
     { new: true, runValidators: true }
   ).select('-password');
 
+  await recordAuditEvent(req, 'user.update', {
+    target: updatedUser,
+    changes: diffChanges(req.targetUser, updatedUser, Object.keys(updates))
+  });
+
   logger.info(`User updated: ${updatedUser.email} by ${req.user.email}`);
 
   res.json({
     message: 'User updated successfully',
-    user: updatedUser
+    user: updatedUser.getPublicProfile()
   });
 }));
 
@@ -177,23 +305,24 @@ router.put('/:id', authenticate, updateUserValidation, handleValidationErrors, a
  * @desc    Delete user (admin only)
  * @access  Private (admin)
  */
-router.delete('/:id', authenticate, requireAdmin, asyncHandler(async (req, res) => {
-  const user = await User.findById(req.params.id);
-
-  if (!user) {
-    return res.status(404).json({ error: 'User not found' });
-  }
+router.delete('/:id', authenticate, requireScope('users:admin'), forbidImpersonation, authorizeResource('user', 'delete'), asyncHandler(async (req, res) => {
+  const user = req.targetUser;
 
   // Prevent admin from deleting themselves
   if (req.user._id.toString() === req.params.id) {
     return res.status(400).json({ error: 'Cannot delete your own account' });
   }
 
-  // Delete user's posts
-  await Post.deleteMany({ author: req.params.id });
+  // Delete user's posts, and their likes, reactions and comments elsewhere
+  await deleteUserContent(user._id, req.user._id);
 
   // Delete user
-  await User.findByIdAndDelete(req.params.id);
+  await user.deleteOne();
+
+  await recordAuditEvent(req, 'user.delete', {
+    target: user,
+    changes: { before: { email: user.email, username: user.username, role: user.role }, after: null }
+  });
 
   logger.info(`User deleted: ${user.email} by ${req.user.email}`);
 
@@ -280,21 +409,23 @@ router.get('/:id/profile', asyncHandler(async (req, res) => {
  * @desc    Deactivate user (admin only)
  * @access  Private (admin)
  */
-router.post('/:id/deactivate', authenticate, requireAdmin, asyncHandler(async (req, res) => {
-  const user = await User.findById(req.params.id);
-
-  if (!user) {
-    return res.status(404).json({ error: 'User not found' });
-  }
+router.post('/:id/deactivate', authenticate, requireScope('users:admin'), authorizeResource('user', 'activate'), asyncHandler(async (req, res) => {
+  const user = req.targetUser;
 
   // Prevent admin from deactivating themselves
   if (req.user._id.toString() === req.params.id) {
     return res.status(400).json({ error: 'Cannot deactivate your own account' });
   }
 
+  const wasActive = user.isActive;
   user.isActive = false;
   await user.save();
 
+  await recordAuditEvent(req, 'user.deactivate', {
+    target: user,
+    changes: diffChanges({ isActive: wasActive }, { isActive: false })
+  });
+
   logger.info(`User deactivated: ${user.email} by ${req.user.email}`);
 
   res.json({
@@ -307,16 +438,18 @@ router.post('/:id/deactivate', authenticate, requireAdmin, asyncHandler(async (r
  * @desc    Activate user (admin only)
  * @access  Private (admin)
  */
-router.post('/:id/activate', authenticate, requireAdmin, asyncHandler(async (req, res) => {
-  const user = await User.findById(req.params.id);
-
-  if (!user) {
-    return res.status(404).json({ error: 'User not found' });
-  }
+router.post('/:id/activate', authenticate, requireScope('users:admin'), authorizeResource('user', 'activate'), asyncHandler(async (req, res) => {
+  const user = req.targetUser;
 
+  const wasActive = user.isActive;
   user.isActive = true;
   await user.save();
 
+  await recordAuditEvent(req, 'user.activate', {
+    target: user,
+    changes: diffChanges({ isActive: wasActive }, { isActive: true })
+  });
+
   logger.info(`User activated: ${user.email} by ${req.user.email}`);
 
   res.json({
@@ -324,31 +457,127 @@ router.post('/:id/activate', authenticate, requireAdmin, asyncHandler(async (req
   });
 }));
 
+/**
+ * @route   POST /api/users/:id/unlock
+ * @desc    Unlock an account locked after failed logins (admin only)
+ * @access  Private (admin)
+ */
+router.post('/:id/unlock', authenticate, requireScope('users:admin'), authorizeResource('user', 'activate'), asyncHandler(async (req, res) => {
+  const user = req.targetUser;
+
+  const before = { failedLoginAttempts: user.failedLoginAttempts, lockUntil: user.lockUntil };
+  await user.resetLoginAttempts();
+
+  await recordAuditEvent(req, 'user.unlock', {
+    target: user,
+    changes: diffChanges(before, { failedLoginAttempts: 0, lockUntil: null })
+  });
+
+  logger.info(`User unlocked: ${user.email} by ${req.user.email}`);
+
+  res.json({
+    message: 'User unlocked successfully'
+  });
+}));
+
+/**
+ * @route   GET /api/users/:id/sessions
+ * @desc    List a user's active sessions (admin only)
+ * @access  Private (admin)
+ */
+router.get('/:id/sessions', authenticate, requireScope('users:admin'), authorizeResource('user', 'sessions.manage'), asyncHandler(async (req, res) => {
+  const user = req.targetUser;
+
+  const sessions = await Session.findActiveForUser(user._id);
+
+  res.json({
+    sessions: sessions.map(session => session.getPublicInfo())
+  });
+}));
+
+/**
+ * @route   GET /api/users/:id/logins
+ * @desc    Get a user's login history (admin only)
+ * @access  Private (user.logins.read)
+ */
+router.get('/:id/logins', authenticate, requireScope('users:admin'), authorizeResource('user', 'logins.read'), queryValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const filter = { user: req.targetUser._id };
+  const skip = (page - 1) * limit;
+
+  const logins = await LoginEvent.find(filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await LoginEvent.countDocuments(filter);
+  const totalPages = Math.ceil(total / limit);
+
+  res.json({
+    logins: logins.map(login => login.getPublicInfo()),
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages,
+      totalLogins: total,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+      limit: parseInt(limit)
+    }
+  });
+}));
+
+/**
+ * @route   DELETE /api/users/:id/sessions/:sessionId
+ * @desc    Revoke one of a user's sessions (admin only)
+ * @access  Private (admin)
+ */
+router.delete('/:id/sessions/:sessionId', authenticate, requireScope('users:admin'), requirePermission('user.sessions.manage'), asyncHandler(async (req, res) => {
+  const session = await Session.findOne({ _id: req.params.sessionId, user: req.params.id });
+
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  await session.revoke('admin');
+
+  await recordAuditEvent(req, 'session.revoke', {
+    target: session,
+    metadata: { user: req.params.id }
+  });
+
+  logger.info(`Session ${session._id} of user ${req.params.id} revoked by ${req.user.email}`);
+
+  res.json({
+    message: 'Session revoked successfully'
+  });
+}));
+
 /**
  * @route   POST /api/users/:id/change-role
  * @desc    Change user role (admin only)
  * @access  Private (admin)
  */
-router.post('/:id/change-role', authenticate, requireAdmin, [
+router.post('/:id/change-role', authenticate, requireScope('users:admin'), forbidImpersonation, authorizeResource('user', 'role.change'), [
   body('role')
-    .isIn(['user', 'moderator', 'admin'])
-    .withMessage('Role must be user, moderator, or admin')
+    .custom(isExistingRole)
 ], handleValidationErrors, asyncHandler(async (req, res) => {
   const { role } = req.body;
-  const user = await User.findById(req.params.id);
-
-  if (!user) {
-    return res.status(404).json({ error: 'User not found' });
-  }
+  const user = req.targetUser;
 
   // Prevent admin from changing their own role
   if (req.user._id.toString() === req.params.id) {
     return res.status(400).json({ error: 'Cannot change your own role' });
   }
 
+  const previousRole = user.role;
   user.role = role;
   await user.save();
 
+  await recordAuditEvent(req, 'user.role.change', {
+    target: user,
+    changes: diffChanges({ role: previousRole }, { role })
+  });
+
   logger.info(`User role changed: ${user.email} to ${role} by ${req.user.email}`);
 
   res.json({
@@ -357,12 +586,81 @@ router.post('/:id/change-role', authenticate, requireAdmin, [
   });
 }));
 
+/**
+ * @route   POST /api/users/:id/impersonate
+ * @desc    Get a short-lived token to act as the user (support)
+ * @access  Private (user.impersonate)
+ */
+router.post('/:id/impersonate', authenticate, rejectApiKey, forbidImpersonation, authorizeResource('user', 'impersonate'), [
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const user = req.targetUser;
+
+  if (req.user._id.toString() === user._id.toString()) {
+    return res.status(400).json({ error: 'Cannot impersonate yourself' });
+  }
+
+  if (!user.isActive) {
+    return res.status(400).json({ error: 'Cannot impersonate a deactivated user' });
+  }
+
+  // Impersonating another admin could be used to borrow their rights
+  if (await can(user, 'user.impersonate')) {
+    return res.status(403).json({ error: 'Cannot impersonate a user who can impersonate others' });
+  }
+
+  const token = generateImpersonationToken(user, req.user);
+  const expiresAt = getTokenExpiration(token);
+
+  await recordAuditEvent(req, 'impersonation.start', {
+    target: user,
+    metadata: { reason: req.body.reason || null, expiresAt }
+  });
+
+  logger.info(`Impersonation of ${user.email} started by ${req.user.email}`);
+
+  res.json({
+    message: 'Impersonation started',
+    token,
+    expiresAt,
+    user: user.getPublicProfile()
+  });
+}));
+
+/**
+ * @route   POST /api/users/impersonation/stop
+ * @desc    End impersonation (revokes the impersonation token)
+ * @access  Private (impersonation token)
+ */
+router.post('/impersonation/stop', authenticate, asyncHandler(async (req, res) => {
+  if (!req.impersonator) {
+    return res.status(400).json({ error: 'Not impersonating a user' });
+  }
+
+  await RevokedToken.revoke(req.tokenPayload, 'impersonation-stop');
+
+  await recordAuditEvent(req, 'impersonation.stop', {
+    actor: req.impersonator,
+    target: req.user
+  });
+
+  logger.info(`Impersonation of ${req.user.email} stopped by ${req.impersonator.email}`);
+
+  res.json({
+    message: 'Impersonation stopped'
+  });
+}));
+
 /**
  * @route   GET /api/users/stats/overview
  * @desc    Get user statistics (admin only)
  * @access  Private (admin)
  */
-router.get('/stats/overview', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+router.get('/stats/overview', authenticate, requireScope('users:admin'), requirePermission('user.stats.read'), asyncHandler(async (req, res) => {
   const totalUsers = await User.countDocuments();
   const activeUsers = await User.countDocuments({ isActive: true });
   const inactiveUsers = await User.countDocuments({ isActive: false });
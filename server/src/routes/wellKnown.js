@@ -0,0 +1,16 @@
+const express = require('express');
+const { getJwks } = require('../utils/signingKeys');
+
+const router = express.Router();
+
+/**
+ * @route   GET /.well-known/jwks.json
+ * @desc    Public keys other services can use to verify our tokens
+ * @access  Public
+ */
+router.get('/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getJwks());
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const AuditEvent = require('../models/AuditEvent');
+const { logger } = require('./logger');
+
+// Fields whose values never end up in the audit log, only the fact they changed
+const REDACTED_FIELDS = ['password', 'passwordHistory', 'passwordResetTokenHash', 'twoFactor', 'tokensValidAfter'];
+
+const normalize = (value) => {
+  if (value === undefined) return null;
+  return JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Compute the fields that differ between two versions of a document
+ * @param {Object} before - Document or plain object before the change
+ * @param {Object} after - Document or plain object after the change
+ * @param {Array} fields - Fields to compare (default: all fields of both)
+ * @returns {Object|null} Changed values as { before, after }, or null if nothing changed
+ */
+const diffChanges = (before, after, fields) => {
+  const beforeObject = before && before.toObject ? before.toObject() : before || {};
+  const afterObject = after && after.toObject ? after.toObject() : after || {};
+  const keys = fields || [...new Set([...Object.keys(beforeObject), ...Object.keys(afterObject)])];
+
+  const changes = { before: {}, after: {} };
+
+  keys
+    .filter(key => !['_id', '__v', 'createdAt', 'updatedAt'].includes(key))
+    .forEach((key) => {
+      const oldValue = normalize(beforeObject[key]);
+      const newValue = normalize(afterObject[key]);
+
+      if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+
+      const redacted = REDACTED_FIELDS.includes(key);
+      changes.before[key] = redacted ? '[redacted]' : oldValue;
+      changes.after[key] = redacted ? '[redacted]' : newValue;
+    });
+
+  return Object.keys(changes.after).length ? changes : null;
+};
+
+/**
+ * Record an audit event for the current request. Failures are logged rather
+ * than thrown so auditing never breaks the action being audited.
+ * @param {Object} req - Express request (actor, impersonator, ip)
+ * @param {String} action - Action name, e.g. 'impersonation.start'
+ * @param {Object} options - Event details
+ * @param {Object} options.target - Document the action applied to
+ * @param {Object} options.actor - Actor, if not req.user (e.g. during login)
+ * @param {Object} options.changes - Before/after values (see diffChanges)
+ * @param {Object} options.metadata - Extra details
+ * @returns {Object|null} Audit event
+ */
+const recordAuditEvent = async (req, action, { target = null, actor = req.user, changes = null, metadata = {} } = {}) => {
+  try {
+    return await AuditEvent.create({
+      action,
+      actor: actor ? actor._id : null,
+      actorEmail: actor ? actor.email : null,
+      impersonator: req.impersonator ? req.impersonator._id : null,
+      targetType: target && target.constructor ? target.constructor.modelName || null : null,
+      targetId: target ? target._id : null,
+      ...(changes && { changes }),
+      metadata,
+      ip: req.ip || null,
+      userAgent: req.get ? req.get('User-Agent') || null : null
+    });
+  } catch (error) {
+    logger.error(`Failed to record audit event ${action}:`, error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  diffChanges,
+  recordAuditEvent
+};
@@ -1,27 +1,148 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { logger } = require('./logger');
+const { getSigningKey, getVerificationKey } = require('./signingKeys');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const IMPERSONATION_EXPIRES_IN = process.env.IMPERSONATION_EXPIRES_IN || '15m';
+const JWT_ISSUER = process.env.JWT_ISSUER || 'mern-testing-app';
+const JWT_AUDIENCE = process.env.JWT_AUDIENCE || 'mern-testing-users';
+const JWT_CLOCK_TOLERANCE = parseInt(process.env.JWT_CLOCK_TOLERANCE, 10) || 0;
+const JWT_ALGORITHMS = (process.env.JWT_ALGORITHMS || 'HS256,HS384,HS512,RS256,RS384,RS512,ES256,ES384,ES512')
+  .split(',')
+  .map(alg => alg.trim());
+const AUTH_SCHEMES = ['Bearer', 'ApiKey'];
+
+// What clients are told for each token error code. Expired and foreign
+// tokens are told apart so clients know whether to refresh or sign in again;
+// every other failure gets the same generic answer.
+const TOKEN_ERROR_MESSAGES = {
+  TOKEN_EXPIRED: 'Token expired',
+  TOKEN_INVALID: 'Authentication failed',
+  TOKEN_AUDIENCE_MISMATCH: 'Token audience mismatch',
+  TOKEN_ISSUER_MISMATCH: 'Token issuer mismatch'
+};
+
+/**
+ * Build a token verification error. `code` carries the precise reason
+ * (TOKEN_EXPIRED, TOKEN_INVALID, TOKEN_AUDIENCE_MISMATCH, TOKEN_ISSUER_MISMATCH);
+ * clients only get the matching TOKEN_ERROR_MESSAGES entry (see
+ * getTokenErrorMessage) and `reason` is for the logs.
+ * @param {String} code - Error code
+ * @param {String} reason - Detail for the logs
+ * @returns {Error} Token error
+ */
+const createTokenError = (code, reason) => {
+  const error = new Error('Invalid token');
+  error.name = 'TokenError';
+  error.code = code;
+  error.reason = reason;
+  error.statusCode = 401;
+  return error;
+};
+
+/**
+ * Translate a jsonwebtoken error into a token error
+ * @param {Error} error - jsonwebtoken error
+ * @returns {Error} Token error
+ */
+const toTokenError = (error) => {
+  if (error.name === 'TokenError') return error;
+
+  if (error.name === 'TokenExpiredError') {
+    return createTokenError('TOKEN_EXPIRED', error.message);
+  }
+
+  if (/^jwt audience invalid/.test(error.message)) {
+    return createTokenError('TOKEN_AUDIENCE_MISMATCH', error.message);
+  }
+
+  if (/^jwt issuer invalid/.test(error.message)) {
+    return createTokenError('TOKEN_ISSUER_MISMATCH', error.message);
+  }
+
+  return createTokenError('TOKEN_INVALID', error.message);
+};
+
+/**
+ * Get the 401 message for a failed token check
+ * @param {Error} error - Token, jsonwebtoken or authorization header error
+ * @returns {String} Message for the client
+ */
+const getTokenErrorMessage = (error) => TOKEN_ERROR_MESSAGES[toTokenError(error).code];
+
+/**
+ * Sign a payload with the active key, recording its kid in the header
+ * @param {Object} payload - Token payload
+ * @param {Object} options - jsonwebtoken sign options
+ * @returns {String} JWT token
+ */
+const signJwt = (payload, options) => {
+  const { kid, alg, signingKey } = getSigningKey();
+
+  return jwt.sign(payload, signingKey, {
+    ...options,
+    algorithm: alg,
+    keyid: kid
+  });
+};
+
+/**
+ * Verify a token against the key named by its kid header, enforcing the
+ * algorithm allow-list, issuer and audience
+ * @param {String} token - JWT token
+ * @returns {Object} Decoded token payload
+ * @throws {Error} Token error with a `code`
+ */
+const verifyJwt = (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw createTokenError('TOKEN_INVALID', 'Malformed token');
+  }
+
+  const key = getVerificationKey(decoded.header.kid);
+  if (!key) {
+    throw createTokenError('TOKEN_INVALID', `Unknown signing key: ${decoded.header.kid}`);
+  }
+
+  if (!JWT_ALGORITHMS.includes(key.alg)) {
+    throw createTokenError('TOKEN_INVALID', `Algorithm ${key.alg} is not allowed`);
+  }
+
+  try {
+    return jwt.verify(token, key.verificationKey, {
+      algorithms: [key.alg],
+      issuer: JWT_ISSUER,
+      audience: JWT_AUDIENCE,
+      clockTolerance: JWT_CLOCK_TOLERANCE
+    });
+  } catch (error) {
+    throw toTokenError(error);
+  }
+};
 
 /**
  * Generate JWT token for user
  * @param {Object} user - User object
+ * @param {Object} options - Token options
+ * @param {String} options.sessionId - Session the token belongs to
  * @returns {String} JWT token
  */
-const generateToken = (user) => {
+const generateToken = (user, { sessionId } = {}) => {
   try {
     const payload = {
       id: user._id,
       email: user.email,
       username: user.username,
-      role: user.role
+      role: user.role,
+      ...(sessionId && { sid: sessionId.toString() })
     };
 
-    const token = jwt.sign(payload, JWT_SECRET, {
+    const token = signJwt(payload, {
       expiresIn: JWT_EXPIRES_IN,
-      issuer: 'mern-testing-app',
-      audience: 'mern-testing-users'
+      jwtid: crypto.randomUUID(),
+      issuer: JWT_ISSUER,
+      audience: JWT_AUDIENCE
     });
 
     logger.info(`Token generated for user: ${user.email}`);
@@ -32,22 +153,108 @@ const generateToken = (user) => {
   }
 };
 
+/**
+ * Generate an access token for acting as another user. The `act` claim
+ * (RFC 8693) names the real user; these tokens have no session and can't be refreshed.
+ * @param {Object} user - Impersonated user
+ * @param {Object} impersonator - User doing the impersonation
+ * @returns {String} JWT token
+ */
+const generateImpersonationToken = (user, impersonator) => {
+  try {
+    const payload = {
+      id: user._id,
+      email: user.email,
+      username: user.username,
+      role: user.role,
+      act: { sub: impersonator._id.toString(), email: impersonator.email }
+    };
+
+    const token = signJwt(payload, {
+      expiresIn: IMPERSONATION_EXPIRES_IN,
+      jwtid: crypto.randomUUID(),
+      issuer: JWT_ISSUER,
+      audience: JWT_AUDIENCE
+    });
+
+    logger.info(`Impersonation token generated for user ${user.email} by ${impersonator.email}`);
+    return token;
+  } catch (error) {
+    logger.error('Error generating impersonation token:', error);
+    throw new Error('Token generation failed');
+  }
+};
+
 /**
  * Verify JWT token
  * @param {String} token - JWT token
  * @returns {Object} Decoded token payload
+ * @throws {Error} Token error with a `code`
  */
 const verifyToken = (token) => {
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = verifyJwt(token);
+
+    // Single-purpose tokens (email verification etc.) must never act as access tokens
+    if (decoded.purpose) {
+      throw createTokenError('TOKEN_INVALID', `Unexpected ${decoded.purpose} token`);
+    }
+
     logger.debug(`Token verified for user: ${decoded.email}`);
     return decoded;
   } catch (error) {
-    logger.error('Token verification failed:', error.message);
-    throw new Error('Invalid token');
+    const tokenError = toTokenError(error);
+    logger.error('Token verification failed:', tokenError.reason);
+    throw tokenError;
+  }
+};
+
+/**
+ * Generate a short-lived token that is only valid for a single purpose
+ * (e.g. email verification) and never as an access token
+ * @param {Object} user - User object
+ * @param {String} purpose - Token purpose
+ * @param {String|Number} expiresIn - Token lifetime
+ * @param {Object} claims - Extra claims to embed
+ * @returns {String} JWT token
+ */
+const generateActionToken = (user, purpose, expiresIn, claims = {}) => {
+  try {
+    return signJwt({ ...claims, id: user._id, purpose }, {
+      expiresIn,
+      jwtid: crypto.randomUUID(),
+      issuer: JWT_ISSUER,
+      audience: JWT_AUDIENCE
+    });
+  } catch (error) {
+    logger.error('Error generating action token:', error);
+    throw new Error('Token generation failed');
   }
 };
 
+/**
+ * Verify a single-purpose token
+ * @param {String} token - JWT token
+ * @param {String} purpose - Expected token purpose
+ * @returns {Object} Decoded token payload
+ */
+const verifyActionToken = (token, purpose) => {
+  let decoded;
+  try {
+    decoded = verifyJwt(token);
+  } catch (error) {
+    logger.error(`${purpose} token verification failed:`, error.reason);
+    throw error;
+  }
+
+  if (decoded.purpose !== purpose) {
+    logger.error(`Expected ${purpose} token, got ${decoded.purpose || 'access'} token`);
+    throw createTokenError('TOKEN_INVALID', 'Unexpected token purpose');
+  }
+
+  return decoded;
+};
+
 /**
  * Decode JWT token without verification (for debugging)
  * @param {String} token - JWT token
@@ -65,22 +272,38 @@ const decodeToken = (token) => {
 };
 
 /**
- * Extract token from Authorization header
+ * Parse an Authorization header using one of the supported schemes
+ * (`Bearer <jwt>` or `ApiKey <key>`)
  * @param {String} authHeader - Authorization header
- * @returns {String} Token
+ * @returns {Object} Scheme and credentials
  */
-const extractTokenFromHeader = (authHeader) => {
+const parseAuthorizationHeader = (authHeader) => {
   if (!authHeader) {
     throw new Error('Authorization header missing');
   }
 
   const parts = authHeader.split(' ');
   
-  if (parts.length !== 2 || parts[0] !== 'Bearer') {
+  if (parts.length !== 2 || !AUTH_SCHEMES.includes(parts[0]) || !parts[1]) {
     throw new Error('Invalid authorization header format');
   }
 
-  return parts[1];
+  return { scheme: parts[0], credentials: parts[1] };
+};
+
+/**
+ * Extract token from Authorization header
+ * @param {String} authHeader - Authorization header
+ * @returns {String} Token
+ */
+const extractTokenFromHeader = (authHeader) => {
+  const { scheme, credentials } = parseAuthorizationHeader(authHeader);
+  
+  if (scheme !== 'Bearer') {
+    throw new Error('Invalid authorization header format');
+  }
+
+  return credentials;
 };
 
 /**
@@ -123,33 +346,35 @@ const getTokenExpiration = (token) => {
 };
 
 /**
- * Refresh token (generate new token with same payload)
- * @param {String} token - Current JWT token
- * @returns {String} New JWT token
+ * Generate a random opaque token (e.g. refresh tokens)
+ * @param {Number} bytes - Number of random bytes
+ * @returns {String} URL-safe token
  */
-const refreshToken = (token) => {
-  try {
-    const decoded = jwt.decode(token);
-    if (!decoded) {
-      throw new Error('Invalid token');
-    }
+const generateOpaqueToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString('base64url');
+};
 
-    // Remove standard JWT claims
-    const { iat, exp, aud, iss, ...payload } = decoded;
-    
-    return generateToken(payload);
-  } catch (error) {
-    logger.error('Error refreshing token:', error);
-    throw new Error('Token refresh failed');
-  }
+/**
+ * Hash an opaque token for storage
+ * @param {String} token - Opaque token
+ * @returns {String} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
 };
 
 module.exports = {
   generateToken,
+  generateImpersonationToken,
   verifyToken,
+  getTokenErrorMessage,
   decodeToken,
+  parseAuthorizationHeader,
   extractTokenFromHeader,
   isTokenExpired,
   getTokenExpiration,
-  refreshToken
+  generateActionToken,
+  verifyActionToken,
+  generateOpaqueToken,
+  hashToken
 }; 
\ No newline at end of file
@@ -0,0 +1,64 @@
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const Reaction = require('../models/Reaction');
+const PostRevision = require('../models/PostRevision');
+
+/**
+ * Delete posts together with their comments, likes, reactions (on the posts
+ * and on their comments) and revisions
+ * @param {Array} postIds - Post IDs
+ */
+const deletePosts = async (postIds) => {
+  await Post.deleteMany({ _id: { $in: postIds } });
+  const commentIds = await Comment.find({ post: { $in: postIds } }).distinct('_id');
+  await Reaction.removeForTargets('Comment', commentIds);
+  await Reaction.removeForTargets('Post', postIds);
+  await Comment.deleteMany({ post: { $in: postIds } });
+  await Like.deleteMany({ post: { $in: postIds } });
+  await PostRevision.deleteMany({ post: { $in: postIds } });
+};
+
+/**
+ * Remove everything a user left on the site: their posts (see deletePosts),
+ * and their likes, reactions and comments on other people's posts. Counters
+ * on those posts and comments are decremented for each removal that actually
+ * happened, so a concurrent unlike or delete isn't counted twice.
+ * @param {String} userId - User whose content is removed
+ * @param {String} deletedBy - User doing the removal, recorded on comments
+ */
+const deleteUserContent = async (userId, deletedBy) => {
+  const postIds = await Post.find({ author: userId }).distinct('_id');
+  await deletePosts(postIds);
+
+  const likes = await Like.find({ user: userId }).select('post').lean();
+  for (const like of likes) {
+    if (await Like.unlike(userId, like.post)) {
+      await Post.updateOne(
+        { _id: like.post, likeCount: { $gt: 0 } },
+        { $inc: { likeCount: -1 } }
+      );
+    }
+  }
+
+  const reactions = await Reaction.find({ user: userId }).lean();
+  for (const reaction of reactions) {
+    await Reaction.unreact(reaction.targetType, reaction.target, userId, reaction.type);
+  }
+
+  // Comments stay as placeholders so other people's replies keep their place
+  const comments = await Comment.find({ author: userId, isDeleted: false }).select('post').lean();
+  for (const comment of comments) {
+    if (await Comment.softDelete(comment._id, deletedBy)) {
+      await Post.updateOne(
+        { _id: comment.post, commentCount: { $gt: 0 } },
+        { $inc: { commentCount: -1 } }
+      );
+    }
+  }
+};
+
+module.exports = {
+  deletePosts,
+  deleteUserContent
+};
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const cookie = require('cookie');
+const { getTokenExpiration } = require('./auth');
+const Session = require('../models/Session');
+
+const ACCESS_COOKIE = 'access_token';
+const REFRESH_COOKIE = 'refresh_token';
+const CSRF_COOKIE = 'csrf_token';
+const OIDC_STATE_COOKIE = 'oidc_state';
+const CSRF_HEADER = 'X-CSRF-Token';
+
+// The refresh token is only ever needed by the auth routes
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+/**
+ * Check if cookie-based auth is turned on (AUTH_COOKIES=true)
+ * @returns {Boolean} True if enabled
+ */
+const isCookieAuthEnabled = () => process.env.AUTH_COOKIES === 'true';
+
+/**
+ * Shared cookie attributes
+ * @returns {Object} Cookie options
+ */
+const baseCookieOptions = () => ({
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.AUTH_COOKIE_SAMESITE || 'lax',
+  ...(process.env.AUTH_COOKIE_DOMAIN && { domain: process.env.AUTH_COOKIE_DOMAIN })
+});
+
+/**
+ * Parse the Cookie header into req.cookies
+ */
+const parseCookies = (req, res, next) => {
+  req.cookies = cookie.parse(req.headers.cookie || '');
+  next();
+};
+
+/**
+ * Use the refresh token cookie when the body doesn't carry one
+ */
+const refreshTokenFromCookie = (req, res, next) => {
+  if (isCookieAuthEnabled() && !req.body.refreshToken && req.cookies && req.cookies[REFRESH_COOKIE]) {
+    req.body.refreshToken = req.cookies[REFRESH_COOKIE];
+  }
+  next();
+};
+
+/**
+ * Issue a fresh CSRF token. It is readable by the client, which echoes it
+ * back in the X-CSRF-Token header (double-submit).
+ * @param {Object} res - Express response
+ * @returns {String} CSRF token
+ */
+const issueCsrfToken = (res) => {
+  const csrfToken = crypto.randomBytes(32).toString('base64url');
+
+  res.cookie(CSRF_COOKIE, csrfToken, {
+    ...baseCookieOptions(),
+    httpOnly: false,
+    path: '/'
+  });
+
+  return csrfToken;
+};
+
+/**
+ * Store the access and refresh tokens in HttpOnly cookies
+ * @param {Object} res - Express response
+ * @param {Object} tokens - Access token and refresh token
+ * @returns {String} CSRF token for the new session
+ */
+const setAuthCookies = (res, { token, refreshToken }) => {
+  const options = { ...baseCookieOptions(), httpOnly: true };
+
+  res.cookie(ACCESS_COOKIE, token, {
+    ...options,
+    path: '/',
+    expires: getTokenExpiration(token)
+  });
+
+  if (refreshToken) {
+    res.cookie(REFRESH_COOKIE, refreshToken, {
+      ...options,
+      path: REFRESH_COOKIE_PATH,
+      maxAge: Session.REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+    });
+  }
+
+  return issueCsrfToken(res);
+};
+
+/**
+ * Remove all auth cookies
+ * @param {Object} res - Express response
+ */
+const clearAuthCookies = (res) => {
+  const options = baseCookieOptions();
+
+  res.clearCookie(ACCESS_COOKIE, { ...options, httpOnly: true, path: '/' });
+  res.clearCookie(REFRESH_COOKIE, { ...options, httpOnly: true, path: REFRESH_COOKIE_PATH });
+  res.clearCookie(CSRF_COOKIE, { ...options, path: '/' });
+};
+
+/**
+ * Remember which browser started an OIDC sign-in or link (see OidcState)
+ * @param {Object} res - Express response
+ * @param {String} browserKey - Key returned by OidcState.start
+ * @param {Date} expiresAt - When the pending request expires
+ */
+const setOidcStateCookie = (res, browserKey, expiresAt) => {
+  res.cookie(OIDC_STATE_COOKIE, browserKey, {
+    ...baseCookieOptions(),
+    httpOnly: true,
+    path: REFRESH_COOKIE_PATH,
+    expires: expiresAt
+  });
+};
+
+/**
+ * Remove the OIDC browser key cookie once the callback used it
+ * @param {Object} res - Express response
+ */
+const clearOidcStateCookie = (res) => {
+  res.clearCookie(OIDC_STATE_COOKIE, { ...baseCookieOptions(), httpOnly: true, path: REFRESH_COOKIE_PATH });
+};
+
+/**
+ * Send a response carrying freshly issued tokens. In cookie mode the tokens
+ * go into cookies and are left out of the body so page scripts never see them.
+ * @param {Object} res - Express response
+ * @param {Number} status - HTTP status
+ * @param {Object} body - Response body including token and refreshToken
+ */
+const sendTokens = (res, status, body) => {
+  if (!isCookieAuthEnabled() || !body.token) {
+    return res.status(status).json(body);
+  }
+
+  const { token, refreshToken, ...rest } = body;
+  const csrfToken = setAuthCookies(res, { token, refreshToken });
+
+  res.status(status).json({ ...rest, csrfToken });
+};
+
+module.exports = {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  OIDC_STATE_COOKIE,
+  isCookieAuthEnabled,
+  parseCookies,
+  refreshTokenFromCookie,
+  issueCsrfToken,
+  setAuthCookies,
+  clearAuthCookies,
+  setOidcStateCookie,
+  clearOidcStateCookie,
+  sendTokens
+};
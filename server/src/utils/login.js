@@ -0,0 +1,90 @@
+const Session = require('../models/Session');
+const { generateToken, generateActionToken } = require('./auth');
+const { recordAuditEvent } = require('./audit');
+const { recordSuccessfulLogin } = require('./loginHistory');
+const loginThrottle = require('./loginThrottle');
+const { logger } = require('./logger');
+
+const MFA_TOKEN_EXPIRES_IN = process.env.MFA_TOKEN_EXPIRES_IN || '5m';
+
+/**
+ * Start a new session for the user and issue an access/refresh token pair
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @returns {Object} Access token and refresh token
+ */
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.issue(user, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  return {
+    token: generateToken(user, { sessionId: session._id }),
+    refreshToken
+  };
+};
+
+/**
+ * Complete a login for a fully authenticated user. Only here, once tokens
+ * are issued, is the IP's failed login count reset; an MFA challenge alone
+ * doesn't count as a successful login.
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @param {Object} options - Login options
+ * @param {String} options.method - How the user signed in (password, magic-link, oidc:<provider>)
+ * @param {Boolean} options.mfa - Whether a second factor was used
+ * @returns {Object} Tokens and public profile
+ */
+const finishLogin = async (user, req, { method = 'password', mfa = false } = {}) => {
+  user.lastLogin = new Date();
+  await user.save();
+
+  const { token, refreshToken } = await issueTokens(user, req);
+  loginThrottle.resetFailures(req.ip);
+
+  await recordAuditEvent(req, 'auth.login', {
+    actor: user,
+    target: user,
+    metadata: { method, mfa }
+  });
+  await recordSuccessfulLogin(user, req, { method });
+
+  return {
+    token,
+    refreshToken,
+    user: user.getPublicProfile()
+  };
+};
+
+/**
+ * Continue a login after the first factor succeeded. Users with 2FA (or whose
+ * role requires it) get a short-lived "mfa pending" token instead of a session.
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @param {Object} options - Login options
+ * @param {String} options.method - How the user signed in (see finishLogin)
+ * @returns {Object} Either login tokens or an MFA challenge
+ */
+const beginLogin = async (user, req, { method = 'password' } = {}) => {
+  const enabled = user.twoFactor && user.twoFactor.enabled;
+  const setupRequired = !enabled && await user.isTwoFactorRequired();
+
+  if (!enabled && !setupRequired) {
+    return finishLogin(user, req, { method });
+  }
+
+  logger.info(`Second factor required for user: ${user.email}`);
+
+  return {
+    mfaRequired: true,
+    mfaSetupRequired: setupRequired,
+    mfaToken: generateActionToken(user, 'mfa', MFA_TOKEN_EXPIRES_IN, { method })
+  };
+};
+
+module.exports = {
+  issueTokens,
+  finishLogin,
+  beginLogin
+};
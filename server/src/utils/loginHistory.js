@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const net = require('net');
+const LoginEvent = require('../models/LoginEvent');
+const { notifySuspiciousLogin } = require('./loginNotifier');
+const { logger } = require('./logger');
+
+/**
+ * Get the network an IP address belongs to: the /24 for IPv4, the /48 for IPv6
+ * @param {String} ip - IP address
+ * @returns {String|null} Range in CIDR notation
+ */
+const getIpRange = (ip) => {
+  if (!ip) return null;
+
+  const address = ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+
+  if (net.isIPv4(address)) {
+    return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+  }
+
+  if (net.isIPv6(address)) {
+    const [head, tail = ''] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = address.includes('::')
+      ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+      : headGroups;
+
+    return `${groups.slice(0, 3).map(group => parseInt(group, 16).toString(16)).join(':')}::/48`;
+  }
+
+  return null;
+};
+
+/**
+ * Identify the kind of device from its user agent. Version numbers are
+ * ignored so browser updates don't look like a new device.
+ * @param {String} userAgent - User-Agent header
+ * @returns {String|null} Device id
+ */
+const getDeviceId = (userAgent) => {
+  if (!userAgent) return null;
+
+  const normalized = userAgent.replace(/\d+([._]\d+)*/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 32);
+};
+
+/**
+ * Describe where a request came from
+ * @param {Object} req - Express request
+ * @returns {Object} IP, range, user agent and device id
+ */
+const getRequestOrigin = (req) => {
+  const userAgent = req.get('User-Agent') || null;
+
+  return {
+    ip: req.ip || null,
+    ipRange: getIpRange(req.ip),
+    userAgent,
+    deviceId: getDeviceId(userAgent)
+  };
+};
+
+/**
+ * Record a successful login and notify the user if it came from a device or
+ * network they never signed in from before. A user's first login is never flagged.
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @param {Object} options - Login details
+ * @param {String} options.method - How the user signed in
+ * @returns {Object|null} Login event
+ */
+const recordSuccessfulLogin = async (user, req, { method = 'password' } = {}) => {
+  try {
+    const origin = getRequestOrigin(req);
+    const suspiciousReasons = [];
+
+    if (await LoginEvent.hasSucceededBefore(user._id, {})) {
+      if (!(await LoginEvent.hasSucceededBefore(user._id, { deviceId: origin.deviceId }))) {
+        suspiciousReasons.push('new-device');
+      }
+      if (!(await LoginEvent.hasSucceededBefore(user._id, { ipRange: origin.ipRange }))) {
+        suspiciousReasons.push('new-ip-range');
+      }
+    }
+
+    const loginEvent = await LoginEvent.create({
+      user: user._id,
+      email: user.email,
+      success: true,
+      method,
+      ...origin,
+      suspicious: suspiciousReasons.length > 0,
+      suspiciousReasons
+    });
+
+    if (loginEvent.suspicious) {
+      logger.warn(`Suspicious login for ${user.email} from ${origin.ip}: ${suspiciousReasons.join(', ')}`);
+      await notifySuspiciousLogin(user, loginEvent);
+    }
+
+    return loginEvent;
+  } catch (error) {
+    logger.error(`Failed to record login for ${user.email}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Record a failed login attempt
+ * @param {Object} req - Express request
+ * @param {Object} details - Attempt details
+ * @param {Object} details.user - User the attempt was for, if known
+ * @param {String} details.email - Email the attempt used
+ * @param {String} details.method - How the user tried to sign in
+ * @param {String} details.reason - Why it failed
+ * @returns {Object|null} Login event
+ */
+const recordFailedLogin = async (req, { user = null, email = null, method = 'password', reason }) => {
+  try {
+    return await LoginEvent.create({
+      user: user ? user._id : null,
+      email: email || (user && user.email),
+      success: false,
+      method,
+      failureReason: reason,
+      ...getRequestOrigin(req)
+    });
+  } catch (error) {
+    logger.error('Failed to record failed login:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  getIpRange,
+  getDeviceId,
+  recordSuccessfulLogin,
+  recordFailedLogin
+};
@@ -0,0 +1,77 @@
+const { sendMail } = require('./mailer');
+const { logger } = require('./logger');
+
+const REASON_LABELS = {
+  'new-device': 'a device you have not used before',
+  'new-ip-range': 'a network you have not used before'
+};
+
+/**
+ * Built-in notifiers. A notifier is any object with an async
+ * `notify(user, loginEvent)`.
+ */
+const notifiers = {
+  // Emails the user (default)
+  email: {
+    notify: async (user, loginEvent) => {
+      const reasons = loginEvent.suspiciousReasons.map(reason => REASON_LABELS[reason] || reason).join(' and ');
+
+      await sendMail({
+        to: user.email,
+        subject: 'New sign-in to your account',
+        text: `Hi ${user.username},\n\nYour account was signed in to from ${reasons}.\n\nTime: ${loginEvent.createdAt.toISOString()}\nIP address: ${loginEvent.ip || 'unknown'}\nDevice: ${loginEvent.userAgent || 'unknown'}\n\nIf this was you, you can ignore this email. If not, change your password and sign out of all sessions.`
+      });
+    }
+  },
+
+  // Only writes a warning to the application log
+  log: {
+    notify: async (user, loginEvent) => {
+      logger.warn(`Suspicious login for ${user.email} from ${loginEvent.ip}: ${loginEvent.suspiciousReasons.join(', ')}`);
+    }
+  }
+};
+
+let notifier = null;
+
+/**
+ * Replace the suspicious-login notifier (e.g. with a push or SMS one)
+ * @param {Object|String} nextNotifier - Notifier object or built-in notifier name
+ */
+const setNotifier = (nextNotifier) => {
+  if (typeof nextNotifier === 'string') {
+    if (!notifiers[nextNotifier]) {
+      throw new Error(`Unknown login notifier: ${nextNotifier}`);
+    }
+    notifier = notifiers[nextNotifier];
+    return;
+  }
+
+  if (!nextNotifier || typeof nextNotifier.notify !== 'function') {
+    throw new Error('Login notifier must implement notify(user, loginEvent)');
+  }
+  notifier = nextNotifier;
+};
+
+/**
+ * Tell a user about a suspicious login. Failures are logged, never thrown,
+ * so a notification problem can't block the login.
+ * @param {Object} user - User document
+ * @param {Object} loginEvent - Suspicious login event
+ */
+const notifySuspiciousLogin = async (user, loginEvent) => {
+  if (!notifier) {
+    setNotifier(process.env.LOGIN_NOTIFIER || 'email');
+  }
+
+  try {
+    await notifier.notify(user, loginEvent);
+  } catch (error) {
+    logger.error(`Could not send suspicious login notification to ${user.email}:`, error.message);
+  }
+};
+
+module.exports = {
+  setNotifier,
+  notifySuspiciousLogin
+};
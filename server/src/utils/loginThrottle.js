@@ -0,0 +1,95 @@
+const { logger } = require('./logger');
+
+const FREE_ATTEMPTS = parseInt(process.env.LOGIN_IP_FREE_ATTEMPTS, 10) || 10;
+const MAX_DELAY_SECONDS = parseInt(process.env.LOGIN_IP_MAX_DELAY_SECONDS, 10) || 15 * 60;
+const FORGET_AFTER_MS = 60 * 60 * 1000;
+const MAX_TRACKED_KEYS = 10000;
+
+// key -> { failures, lastFailureAt, blockedUntil }
+const attempts = new Map();
+
+const prune = (now) => {
+  for (const [key, entry] of attempts) {
+    if (now - entry.lastFailureAt > FORGET_AFTER_MS) {
+      attempts.delete(key);
+    }
+  }
+};
+
+/**
+ * Record a failed login attempt. After the free attempts each further failure
+ * doubles the delay before the next attempt is accepted.
+ * @param {String} key - Throttling key (e.g. client IP)
+ * @returns {Number} Seconds until the next attempt is allowed
+ */
+const recordFailure = (key) => {
+  if (!key) return 0;
+
+  const now = Date.now();
+  if (attempts.size >= MAX_TRACKED_KEYS) {
+    prune(now);
+  }
+
+  const entry = attempts.get(key);
+  const failures = entry && now - entry.lastFailureAt <= FORGET_AFTER_MS ? entry.failures + 1 : 1;
+
+  let delaySeconds = 0;
+  if (failures > FREE_ATTEMPTS) {
+    delaySeconds = Math.min(2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+    logger.warn(`Login attempts from ${key} throttled for ${delaySeconds}s after ${failures} failures`);
+  }
+
+  attempts.set(key, {
+    failures,
+    lastFailureAt: now,
+    blockedUntil: now + delaySeconds * 1000
+  });
+
+  return delaySeconds;
+};
+
+/**
+ * Forget failed attempts (e.g. after a successful login)
+ * @param {String} key - Throttling key
+ */
+const resetFailures = (key) => {
+  attempts.delete(key);
+};
+
+/**
+ * Get how long a key has to wait before it may try again
+ * @param {String} key - Throttling key
+ * @returns {Number} Seconds to wait, 0 if allowed now
+ */
+const getRetryAfter = (key) => {
+  const entry = attempts.get(key);
+  if (!entry) return 0;
+
+  const remaining = entry.blockedUntil - Date.now();
+  return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+};
+
+/**
+ * Get the number of recent failures for a key
+ * @param {String} key - Throttling key
+ * @returns {Number} Failed attempts
+ */
+const getFailureCount = (key) => {
+  const entry = attempts.get(key);
+  return entry ? entry.failures : 0;
+};
+
+/**
+ * Forget all tracked keys
+ */
+const clearAll = () => {
+  attempts.clear();
+};
+
+module.exports = {
+  recordFailure,
+  resetFailures,
+  getRetryAfter,
+  getFailureCount,
+  clearAll
+};
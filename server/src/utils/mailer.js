@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@mern-testing.local';
+const MAIL_FILE_PATH = process.env.MAIL_FILE_PATH || 'logs/mail.log';
+
+// Messages delivered through the memory transport
+const sentMail = [];
+
+/**
+ * Built-in transports. A transport is any object with an async `send(message)`.
+ */
+const transports = {
+  // Writes the message to the application log (default for local dev)
+  log: {
+    send: async (message) => {
+      logger.info(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+  },
+
+  // Keeps messages in memory so tests can inspect them
+  memory: {
+    send: async (message) => {
+      sentMail.push(message);
+    }
+  },
+
+  // Appends messages as JSON lines to a file
+  file: {
+    send: async (message) => {
+      await fs.promises.mkdir(path.dirname(MAIL_FILE_PATH), { recursive: true });
+      await fs.promises.appendFile(MAIL_FILE_PATH, `${JSON.stringify(message)}\n`);
+    }
+  }
+};
+
+const defaultTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  return process.env.NODE_ENV === 'test' ? 'memory' : 'log';
+};
+
+let transport = null;
+
+/**
+ * Replace the mail transport (e.g. with an SMTP-backed one)
+ * @param {Object|String} nextTransport - Transport object or built-in transport name
+ */
+const setTransport = (nextTransport) => {
+  if (typeof nextTransport === 'string') {
+    if (!transports[nextTransport]) {
+      throw new Error(`Unknown mail transport: ${nextTransport}`);
+    }
+    transport = transports[nextTransport];
+    return;
+  }
+
+  if (!nextTransport || typeof nextTransport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transport = nextTransport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} options - Message options
+ * @param {String} options.to - Recipient address
+ * @param {String} options.subject - Subject line
+ * @param {String} options.text - Plain text body
+ * @param {String} options.html - Optional HTML body
+ * @returns {Object} The message that was sent
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!transport) {
+    setTransport(defaultTransportName());
+  }
+
+  const message = {
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    ...(html && { html }),
+    sentAt: new Date().toISOString()
+  };
+
+  try {
+    await transport.send(message);
+    logger.debug(`Mail sent to ${to}: ${subject}`);
+    return message;
+  } catch (error) {
+    logger.error(`Failed to send mail to ${to}:`, error.message);
+    throw new Error('Mail delivery failed');
+  }
+};
+
+/**
+ * Get messages delivered through the memory transport
+ * @returns {Array} Sent messages
+ */
+const getSentMail = () => [...sentMail];
+
+/**
+ * Clear messages delivered through the memory transport
+ */
+const clearSentMail = () => {
+  sentMail.length = 0;
+};
+
+/**
+ * Build an absolute link into the client application
+ * @param {String} pathname - Client route
+ * @param {Object} params - Query parameters
+ * @returns {String} URL
+ */
+const buildClientLink = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.CLIENT_URL || 'http://localhost:5173');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  getSentMail,
+  clearSentMail,
+  buildClientLink
+};
@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { logger } = require('./logger');
+
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512'];
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Build an error for a failed provider interaction
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status
+ * @returns {Error} Error
+ */
+const oidcError = (message, statusCode = 401) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Read the configured providers from OIDC_PROVIDERS, a JSON array of
+ * { name, issuer, clientId, clientSecret, redirectUri, scopes }.
+ * Endpoints are discovered from the issuer unless given explicitly
+ * (authorizationEndpoint, tokenEndpoint, jwksUri).
+ * @returns {Array} Provider configurations
+ */
+const getProviders = () => {
+  if (!process.env.OIDC_PROVIDERS) return [];
+  return JSON.parse(process.env.OIDC_PROVIDERS);
+};
+
+/**
+ * Find a configured provider by name
+ * @param {String} name - Provider name
+ * @returns {Object|null} Provider configuration
+ */
+const getProvider = (name) => {
+  return getProviders().find(provider => provider.name === name) || null;
+};
+
+/**
+ * Fetch a JSON document from a provider
+ * @param {String} url - Document URL
+ * @param {Object} options - fetch options
+ * @returns {Object} Parsed body
+ */
+const fetchJson = async (url, options) => {
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch (error) {
+    logger.error(`OIDC request to ${url} failed:`, error.message);
+    throw oidcError('Identity provider is unavailable', 502);
+  }
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    logger.error(`OIDC request to ${url} returned ${response.status}:`, body.error || '');
+    throw oidcError('Identity provider rejected the request');
+  }
+
+  return body;
+};
+
+/**
+ * Resolve the provider's endpoints, using its discovery document when they
+ * are not configured
+ * @param {Object} provider - Provider configuration
+ * @returns {Object} Issuer and endpoints
+ */
+const discover = async (provider) => {
+  if (provider.authorizationEndpoint && provider.tokenEndpoint && provider.jwksUri) {
+    return {
+      issuer: provider.issuer,
+      authorizationEndpoint: provider.authorizationEndpoint,
+      tokenEndpoint: provider.tokenEndpoint,
+      jwksUri: provider.jwksUri
+    };
+  }
+
+  const cached = discoveryCache.get(provider.issuer);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.metadata;
+  }
+
+  const document = await fetchJson(`${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+  const metadata = {
+    issuer: document.issuer,
+    authorizationEndpoint: document.authorization_endpoint,
+    tokenEndpoint: document.token_endpoint,
+    jwksUri: document.jwks_uri
+  };
+
+  discoveryCache.set(provider.issuer, { metadata, expiresAt: Date.now() + DISCOVERY_CACHE_MS });
+  return metadata;
+};
+
+/**
+ * Create a PKCE verifier and its S256 challenge
+ * @returns {Object} Code verifier and code challenge
+ */
+const createPkcePair = () => {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return { codeVerifier, codeChallenge };
+};
+
+/**
+ * Build the URL to send the user to at the provider
+ * @param {Object} provider - Provider configuration
+ * @param {Object} params - state, nonce and codeChallenge
+ * @returns {String} Authorization URL
+ */
+const buildAuthorizationUrl = async (provider, { state, nonce, codeChallenge }) => {
+  const { authorizationEndpoint } = await discover(provider);
+  const url = new URL(authorizationEndpoint);
+
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: (provider.scopes || ['openid', 'email', 'profile']).join(' '),
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return url.toString();
+};
+
+/**
+ * Find the provider key an ID token was signed with, refetching the JWKS once
+ * if the kid is unknown (the provider may have rotated its keys)
+ * @param {String} jwksUri - Provider JWKS URL
+ * @param {String} kid - Key id from the token header
+ * @returns {Object} Public key
+ */
+const getProviderKey = async (jwksUri, kid) => {
+  const findKey = (jwks) => jwks.keys.find(key => key.kid === kid || (!kid && jwks.keys.length === 1));
+
+  let jwks = jwksCache.get(jwksUri);
+  let jwk = jwks && findKey(jwks);
+
+  if (!jwk) {
+    jwks = await fetchJson(jwksUri);
+    jwksCache.set(jwksUri, jwks);
+    jwk = findKey(jwks);
+  }
+
+  if (!jwk) {
+    throw oidcError('Unknown identity provider signing key');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Verify an ID token from the provider
+ * @param {Object} provider - Provider configuration
+ * @param {String} idToken - ID token
+ * @param {String} nonce - Nonce sent with the authorization request
+ * @returns {Object} ID token claims
+ */
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const { issuer, jwksUri } = await discover(provider);
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded) {
+    throw oidcError('Invalid ID token');
+  }
+
+  const key = await getProviderKey(jwksUri, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer,
+      audience: provider.clientId
+    });
+  } catch (error) {
+    logger.error(`ID token from ${provider.name} rejected:`, error.message);
+    throw oidcError('Invalid ID token');
+  }
+
+  if (claims.nonce !== nonce) {
+    throw oidcError('Invalid ID token');
+  }
+
+  return claims;
+};
+
+/**
+ * Exchange an authorization code for tokens and return the verified identity
+ * @param {Object} provider - Provider configuration
+ * @param {Object} params - code, codeVerifier and nonce
+ * @returns {Object} Identity claims (subject, email, emailVerified, name, preferredUsername)
+ */
+const exchangeCode = async (provider, { code, codeVerifier, nonce }) => {
+  const { tokenEndpoint } = await discover(provider);
+
+  const tokens = await fetchJson(tokenEndpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      ...(provider.clientSecret && { client_secret: provider.clientSecret }),
+      code_verifier: codeVerifier
+    }).toString()
+  });
+
+  if (!tokens.id_token) {
+    throw oidcError('Identity provider did not return an ID token');
+  }
+
+  const claims = await verifyIdToken(provider, tokens.id_token, nonce);
+
+  return {
+    subject: claims.sub,
+    email: claims.email ? claims.email.toLowerCase() : null,
+    emailVerified: claims.email_verified === true,
+    name: claims.name,
+    preferredUsername: claims.preferred_username
+  };
+};
+
+/**
+ * Forget cached discovery documents and key sets
+ */
+const clearCache = () => {
+  discoveryCache.clear();
+  jwksCache.clear();
+};
+
+module.exports = {
+  getProviders,
+  getProvider,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  clearCache
+};
@@ -0,0 +1,137 @@
+const bcrypt = require('bcryptjs');
+
+/**
+ * Password hashing. Hashes are stored in their standard self-describing
+ * formats, which record the algorithm and its parameters:
+ *   bcrypt:   $2b$12$<salt+hash>
+ *   argon2id: $argon2id$v=19$m=19456,p=1,t=2$<salt>$<hash>
+ * so a hash made with outdated settings can be detected and upgraded.
+ */
+
+const ALGORITHMS = ['bcrypt', 'argon2id'];
+
+/**
+ * Read the hashing settings from the environment
+ * @returns {Object} Algorithm and parameters for new hashes
+ */
+const getHashingConfig = () => {
+  const algorithm = process.env.PASSWORD_HASH_ALGORITHM || 'bcrypt';
+
+  if (!ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unknown password hash algorithm: ${algorithm}`);
+  }
+
+  return {
+    algorithm,
+    bcrypt: {
+      rounds: parseInt(process.env.BCRYPT_ROUNDS, 10) || 12
+    },
+    // Defaults follow the OWASP minimum for argon2id (19 MiB, 2 iterations)
+    argon2id: {
+      memoryCost: parseInt(process.env.ARGON2_MEMORY_COST, 10) || 19456,
+      timeCost: parseInt(process.env.ARGON2_TIME_COST, 10) || 2,
+      parallelism: parseInt(process.env.ARGON2_PARALLELISM, 10) || 1
+    }
+  };
+};
+
+/**
+ * Load the optional argon2 package
+ * @returns {Object} argon2 module
+ */
+const loadArgon2 = () => {
+  try {
+    return require('argon2');
+  } catch (error) {
+    throw new Error('argon2id password hashing requires the "argon2" package to be installed');
+  }
+};
+
+/**
+ * Work out which algorithm and parameters a stored hash was made with
+ * @param {String} hash - Stored password hash
+ * @returns {Object|null} { algorithm, params }, or null if unrecognised
+ */
+const identifyHash = (hash) => {
+  if (typeof hash !== 'string') return null;
+
+  const bcryptMatch = hash.match(/^\$2[aby]\$(\d{2})\$/);
+  if (bcryptMatch) {
+    return { algorithm: 'bcrypt', params: { rounds: parseInt(bcryptMatch[1], 10) } };
+  }
+
+  // Parameters are comma separated key=value pairs in any order
+  const argon2Match = hash.match(/^\$argon2id\$v=\d+\$([^$]+)\$/);
+  if (argon2Match) {
+    const values = Object.fromEntries(argon2Match[1].split(',').map(pair => pair.split('=')));
+    return {
+      algorithm: 'argon2id',
+      params: {
+        memoryCost: parseInt(values.m, 10),
+        timeCost: parseInt(values.t, 10),
+        parallelism: parseInt(values.p, 10)
+      }
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Hash a password with the configured algorithm
+ * @param {String} password - Plain password
+ * @returns {String} Hash
+ */
+const hashPassword = async (password) => {
+  const config = getHashingConfig();
+
+  if (config.algorithm === 'argon2id') {
+    const argon2 = loadArgon2();
+    return await argon2.hash(password, { type: argon2.argon2id, ...config.argon2id });
+  }
+
+  const salt = await bcrypt.genSalt(config.bcrypt.rounds);
+  return await bcrypt.hash(password, salt);
+};
+
+/**
+ * Check a password against a hash made with any supported algorithm
+ * @param {String} password - Plain password
+ * @param {String} hash - Stored password hash
+ * @returns {Boolean} True if the password matches
+ */
+const verifyPassword = async (password, hash) => {
+  const identified = identifyHash(hash);
+  if (!identified || typeof password !== 'string') return false;
+
+  if (identified.algorithm === 'argon2id') {
+    return await loadArgon2().verify(hash, password);
+  }
+
+  return await bcrypt.compare(password, hash);
+};
+
+/**
+ * Check whether a hash was made with a different algorithm or parameters
+ * than the ones currently configured
+ * @param {String} hash - Stored password hash
+ * @returns {Boolean} True if the password should be hashed again
+ */
+const needsRehash = (hash) => {
+  const identified = identifyHash(hash);
+  if (!identified) return false;
+
+  const config = getHashingConfig();
+  if (identified.algorithm !== config.algorithm) return true;
+
+  const wanted = config[config.algorithm];
+  return Object.keys(wanted).some(key => identified.params[key] !== wanted[key]);
+};
+
+module.exports = {
+  getHashingConfig,
+  identifyHash,
+  hashPassword,
+  verifyPassword,
+  needsRehash
+};
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const { body } = require('express-validator');
+const { logger } = require('./logger');
+const { verifyPassword } = require('./passwordHasher');
+
+const DEFAULT_BLOCKLIST_FILE = path.join(__dirname, '..', 'data', 'common-passwords.txt');
+
+const CHARACTER_CLASSES = {
+  lowercase: { pattern: /[a-z]/, label: 'one lowercase letter' },
+  uppercase: { pattern: /[A-Z]/, label: 'one uppercase letter' },
+  digit: { pattern: /\d/, label: 'one number' },
+  symbol: { pattern: /[^a-zA-Z0-9]/, label: 'one symbol' }
+};
+
+// Parts of a username or email shorter than this are too common to reject
+const MIN_PERSONAL_INFO_LENGTH = 3;
+
+/**
+ * Read the password policy from the environment
+ * @returns {Object} Policy
+ */
+const getPasswordPolicy = () => ({
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+  maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH, 10) || 128,
+  requiredClasses: (process.env.PASSWORD_REQUIRED_CLASSES || 'lowercase,uppercase,digit')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => CHARACTER_CLASSES[name]),
+  historySize: process.env.PASSWORD_HISTORY_SIZE !== undefined
+    ? parseInt(process.env.PASSWORD_HISTORY_SIZE, 10)
+    : 5
+});
+
+let blocklist = null;
+
+/**
+ * Load the common/breached password list (once)
+ * @returns {Set} Blocked passwords
+ */
+const getBlocklist = () => {
+  if (blocklist) return blocklist;
+
+  const file = process.env.PASSWORD_BLOCKLIST_FILE || DEFAULT_BLOCKLIST_FILE;
+
+  try {
+    blocklist = new Set(
+      fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  } catch (error) {
+    logger.error(`Could not load password blocklist ${file}:`, error.message);
+    blocklist = new Set();
+  }
+
+  return blocklist;
+};
+
+/**
+ * Drop the cached blocklist, e.g. after PASSWORD_BLOCKLIST_FILE changed
+ */
+const resetBlocklist = () => {
+  blocklist = null;
+};
+
+/**
+ * Get the username and email parts a password must not contain
+ * @param {Object} context - Account details
+ * @returns {Array} Lowercased words
+ */
+const getPersonalInfo = ({ username, email } = {}) => {
+  const words = [];
+  if (username) words.push(username);
+  if (email) words.push(email.split('@')[0]);
+
+  return words
+    .map(word => word.toLowerCase())
+    .filter(word => word.length >= MIN_PERSONAL_INFO_LENGTH);
+};
+
+/**
+ * Check a password against every rule of the policy except reuse
+ * @param {String} password - Candidate password
+ * @param {Object} context - Account the password is for
+ * @param {String} context.username - Username
+ * @param {String} context.email - Email address
+ * @returns {Array} Failed rules as { rule, message }
+ */
+const validatePassword = (password, context = {}) => {
+  const policy = getPasswordPolicy();
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length < policy.minLength) {
+    errors.push({ rule: 'minLength', message: `Password must be at least ${policy.minLength} characters long` });
+  }
+
+  if (typeof password !== 'string') {
+    return errors;
+  }
+
+  if (password.length > policy.maxLength) {
+    errors.push({ rule: 'maxLength', message: `Password cannot exceed ${policy.maxLength} characters` });
+  }
+
+  policy.requiredClasses.forEach((name) => {
+    if (!CHARACTER_CLASSES[name].pattern.test(password)) {
+      errors.push({ rule: name, message: `Password must contain at least ${CHARACTER_CLASSES[name].label}` });
+    }
+  });
+
+  const lowered = password.toLowerCase();
+  if (getPersonalInfo(context).some(word => lowered.includes(word))) {
+    errors.push({ rule: 'personalInfo', message: 'Password cannot contain your username or email address' });
+  }
+
+  if (getBlocklist().has(password)) {
+    errors.push({ rule: 'common', message: 'Password is too common, please choose a less predictable one' });
+  }
+
+  return errors;
+};
+
+/**
+ * Check whether a password matches the current or a recent password
+ * @param {String} password - Candidate password
+ * @param {Array} hashes - Current and previous password hashes
+ * @returns {Boolean} True if the password was used before
+ */
+const isPasswordReused = async (password, hashes = []) => {
+  for (const hash of hashes.filter(Boolean)) {
+    if (await verifyPassword(password, hash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Build a 400 error in the same shape as express-validator failures
+ * @param {String} field - Body field holding the password
+ * @param {Array} errors - Failed rules as { rule, message }
+ * @returns {Error} Validation error
+ */
+const createPasswordPolicyError = (field, errors) => {
+  const error = new Error('Validation failed');
+  error.statusCode = 400;
+  error.details = errors.map(({ rule, message }) => ({
+    type: 'field',
+    location: 'body',
+    path: field,
+    msg: message,
+    rule
+  }));
+  return error;
+};
+
+/**
+ * Error for a password that matches one of the user's recent passwords
+ * @param {String} field - Body field holding the password
+ * @returns {Error} Validation error
+ */
+const createPasswordReuseError = (field) => {
+  const { historySize } = getPasswordPolicy();
+  return createPasswordPolicyError(field, [{
+    rule: 'history',
+    message: `Password cannot match any of your last ${historySize} passwords`
+  }]);
+};
+
+/**
+ * Validation chains applying the password policy to a request body field,
+ * one per rule so every failed rule is reported with its own message.
+ * The username and email come from the body or the signed-in user.
+ * @param {String} field - Body field holding the new password
+ * @returns {Array} express-validator chains
+ */
+const passwordPolicyValidation = (field = 'password') => {
+  const { requiredClasses } = getPasswordPolicy();
+  const rules = ['minLength', 'maxLength', ...requiredClasses, 'personalInfo', 'common'];
+
+  return rules.map(rule => body(field).custom((value, { req }) => {
+    const context = {
+      username: req.body.username || (req.user && req.user.username),
+      email: req.body.email || (req.user && req.user.email)
+    };
+
+    const failed = validatePassword(value, context).find(error => error.rule === rule);
+    if (failed) {
+      throw new Error(failed.message);
+    }
+    return true;
+  }));
+};
+
+module.exports = {
+  getPasswordPolicy,
+  validatePassword,
+  isPasswordReused,
+  passwordPolicyValidation,
+  createPasswordPolicyError,
+  createPasswordReuseError,
+  resetBlocklist
+};
@@ -0,0 +1,178 @@
+const Role = require('../models/Role');
+
+const PERMISSION_CACHE_TTL_MS = parseInt(process.env.PERMISSION_CACHE_TTL_MS, 10) || 60 * 1000;
+
+/**
+ * Every permission the application checks. `.own` variants only apply to
+ * resources the user owns, `.any` variants to all of them.
+ */
+const PERMISSIONS = {
+  'post.create': 'Create posts',
+  'post.update.own': 'Edit own posts',
+  'post.update.any': 'Edit any post',
+  'post.delete.own': 'Delete own posts',
+  'post.delete.any': 'Delete any post',
+  'post.like': 'Like posts',
+  'comment.create': 'Comment on posts',
+  'reaction.add': 'React to posts and comments',
+  'comment.update.own': 'Edit own comments',
+  'comment.update.any': 'Edit any comment',
+  'comment.delete.own': 'Delete own comments',
+  'comment.delete.any': 'Delete any comment',
+  'user.read.own': 'View own account',
+  'user.read.any': 'View any account',
+  'user.update.own': 'Edit own account',
+  'user.update.any': 'Edit any account',
+  'user.list': 'List and search users',
+  'user.delete': 'Delete users',
+  'user.activate': 'Activate, deactivate and unlock users',
+  'user.role.change': 'Change user roles',
+  'user.sessions.manage': 'View and revoke other users\' sessions',
+  'user.impersonate': 'Sign in as another user',
+  'user.logins.read': 'View login history and failed-login hotspots',
+  'user.stats.read': 'View user statistics',
+  'apikey.admin': 'Create API keys with the users:admin scope',
+  'settings.manage': 'Change security settings',
+  'audit.read': 'View and export the audit log',
+  'role.manage': 'Create and edit roles'
+};
+
+const USER_PERMISSIONS = [
+  'post.create',
+  'post.update.own',
+  'post.delete.own',
+  'post.like',
+  'reaction.add',
+  'comment.create',
+  'comment.update.own',
+  'comment.delete.own',
+  'user.read.own',
+  'user.update.own'
+];
+
+/**
+ * Permissions of the built-in roles when no Role document overrides them
+ */
+const DEFAULT_ROLES = {
+  user: USER_PERMISSIONS,
+  moderator: [...USER_PERMISSIONS, 'post.update.any', 'post.delete.any', 'comment.update.any', 'comment.delete.any'],
+  admin: Object.keys(PERMISSIONS)
+};
+
+const cache = new Map();
+
+/**
+ * Check if a role is one of the built-in roles. Only own keys count, so names
+ * like "constructor" or "__proto__" aren't mistaken for roles.
+ * @param {String} roleName - Role name
+ * @returns {Boolean} True for built-in roles
+ */
+const isBuiltInRole = (roleName) => Object.hasOwn(DEFAULT_ROLES, roleName);
+
+/**
+ * Get the permissions granted to a role (cached)
+ * @param {String} roleName - Role name
+ * @returns {Set} Permissions
+ */
+const getRolePermissions = async (roleName) => {
+  const cached = cache.get(roleName);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await Role.findOne({ name: roleName }).lean();
+  const permissions = new Set(role ? role.permissions : isBuiltInRole(roleName) ? DEFAULT_ROLES[roleName] : []);
+
+  cache.set(roleName, { permissions, expiresAt: Date.now() + PERMISSION_CACHE_TTL_MS });
+  return permissions;
+};
+
+/**
+ * Drop cached role permissions, e.g. after a role was edited
+ * @param {String} roleName - Role to drop, or all roles if omitted
+ */
+const clearPermissionCache = (roleName) => {
+  if (roleName) {
+    cache.delete(roleName);
+  } else {
+    cache.clear();
+  }
+};
+
+/**
+ * Get the id of the user owning a resource. Users own themselves,
+ * other resources are owned by their `author` or `user`.
+ * @param {Object} resource - Resource
+ * @returns {String|null} Owner id
+ */
+const getOwnerId = (resource) => {
+  if (!resource) return null;
+
+  const owner = resource.author || resource.user ||
+    (resource.constructor && resource.constructor.modelName === 'User' ? resource._id : null);
+
+  if (!owner) return null;
+  return (owner._id || owner).toString();
+};
+
+/**
+ * Check if a user may perform an action
+ * @param {Object} user - User document
+ * @param {String} action - Permission, or an action with own/any variants (e.g. 'post.update')
+ * @param {Object} resource - Resource the action applies to, for `.own` checks
+ * @returns {Boolean} True if allowed
+ */
+const can = async (user, action, resource = null) => {
+  if (!user) return false;
+
+  const permissions = await getRolePermissions(user.role);
+
+  if (permissions.has(action) || permissions.has(`${action}.any`)) {
+    return true;
+  }
+
+  if (permissions.has(`${action}.own`)) {
+    const ownerId = getOwnerId(resource);
+    return !!ownerId && ownerId === user._id.toString();
+  }
+
+  return false;
+};
+
+/**
+ * Check if a role exists (built-in or stored)
+ * @param {String} roleName - Role name
+ * @returns {Boolean} True if the role exists
+ */
+const roleExists = async (roleName) => {
+  if (isBuiltInRole(roleName)) return true;
+  return !!(await Role.exists({ name: roleName }));
+};
+
+/**
+ * List all roles with their effective permissions
+ * @returns {Array} Roles
+ */
+const listRoles = async () => {
+  const stored = await Role.find().sort('name').lean();
+  const storedNames = new Set(stored.map(role => role.name));
+
+  const builtIn = Object.entries(DEFAULT_ROLES)
+    .filter(([name]) => !storedNames.has(name))
+    .map(([name, permissions]) => ({ name, description: '', permissions }));
+
+  return [...builtIn, ...stored]
+    .map(role => ({ ...role, builtIn: isBuiltInRole(role.name) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  isBuiltInRole,
+  can,
+  getRolePermissions,
+  clearPermissionCache,
+  roleExists,
+  listRoles
+};
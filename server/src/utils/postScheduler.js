@@ -0,0 +1,75 @@
+const Post = require('../models/Post');
+const { logger } = require('./logger');
+
+const POST_SCHEDULER_INTERVAL_MS = parseInt(process.env.POST_SCHEDULER_INTERVAL_MS, 10) || 30 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Publish every scheduled post that is due. Safe to run on several server
+ * instances at once: each post is claimed atomically by Post.publishNextDue.
+ * @param {Date} now - Publish posts scheduled up to this time
+ * @returns {Array} Published posts
+ */
+const publishDuePosts = async (now = new Date()) => {
+  const published = [];
+
+  let post = await Post.publishNextDue(now);
+  while (post) {
+    logger.info(`Scheduled post published: ${post.title} (${post._id})`);
+    published.push(post);
+    post = await Post.publishNextDue(now);
+  }
+
+  return published;
+};
+
+/**
+ * Run one scheduler pass, skipping it if the previous one is still going.
+ * Errors are logged so a database hiccup doesn't stop the scheduler.
+ */
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    await publishDuePosts();
+  } catch (error) {
+    logger.error('Scheduled publishing failed:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start checking for due posts every POST_SCHEDULER_INTERVAL_MS
+ * @param {Object} options - Options
+ * @param {Number} options.intervalMs - Check interval
+ */
+const startPostScheduler = ({ intervalMs = POST_SCHEDULER_INTERVAL_MS } = {}) => {
+  if (timer) return;
+
+  timer = setInterval(tick, intervalMs);
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+
+  logger.info(`Post scheduler started, checking every ${intervalMs}ms`);
+  tick();
+};
+
+/**
+ * Stop the scheduler
+ */
+const stopPostScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  publishDuePosts,
+  startPostScheduler,
+  stopPostScheduler
+};
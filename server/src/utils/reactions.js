@@ -0,0 +1,47 @@
+/**
+ * Reactions readers can leave on posts and comments, by name
+ */
+const DEFAULT_REACTIONS = {
+  like: '👍',
+  love: '❤️',
+  laugh: '😂',
+  wow: '😮',
+  sad: '😢',
+  celebrate: '🎉'
+};
+
+// Names are used as keys of reactionCounts, so no dots or dollar signs
+const REACTION_NAME_PATTERN = /^[a-z][a-z0-9_-]{0,29}$/;
+
+/**
+ * Get the reaction set. REACTION_TYPES is a comma separated list of
+ * `name:emoji` pairs; the emoji may be left out for built-in names,
+ * e.g. "like,love,insightful:💡".
+ * @returns {Array} Reactions as { type, emoji }
+ */
+const getReactionTypes = () => {
+  if (!process.env.REACTION_TYPES) {
+    return Object.entries(DEFAULT_REACTIONS).map(([type, emoji]) => ({ type, emoji }));
+  }
+
+  return process.env.REACTION_TYPES
+    .split(',')
+    .map((entry) => {
+      const [name, emoji] = entry.split(':').map(part => part.trim());
+      return { type: name.toLowerCase(), emoji: emoji || DEFAULT_REACTIONS[name.toLowerCase()] };
+    })
+    .filter(({ type, emoji }) => REACTION_NAME_PATTERN.test(type) && emoji);
+};
+
+/**
+ * Check if a reaction is part of the configured set
+ * @param {String} type - Reaction name
+ * @returns {Boolean} True if readers may use it
+ */
+const isReactionType = (type) => getReactionTypes().some(reaction => reaction.type === type);
+
+module.exports = {
+  DEFAULT_REACTIONS,
+  getReactionTypes,
+  isReactionType
+};
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { logger } = require('./logger');
+
+const DEFAULT_SECRET = 'your-secret-key';
+const SUPPORTED_ALGORITHMS = ['HS256', 'HS384', 'HS512', 'RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512'];
+const KEY_TYPES = { RS: 'rsa', ES: 'ec' };
+
+let keyring = null;
+
+/**
+ * Read the raw key configuration. Keys come from JWT_SIGNING_KEYS (JSON) or
+ * JWT_SIGNING_KEYS_FILE (path to JSON); without either, JWT_SECRET is used as
+ * a single HS256 key with kid "default".
+ *
+ * Each key: { kid, alg, secret } for HMAC or { kid, alg, privateKey, publicKey }
+ * (PEM) for RSA/EC. Keys without a privateKey are verify-only, and `notAfter`
+ * (ISO date) stops accepting a retired key once its tokens have expired.
+ * @returns {Array} Key definitions
+ */
+const readKeyConfig = () => {
+  if (process.env.JWT_SIGNING_KEYS_FILE) {
+    return JSON.parse(fs.readFileSync(process.env.JWT_SIGNING_KEYS_FILE, 'utf8'));
+  }
+
+  if (process.env.JWT_SIGNING_KEYS) {
+    return JSON.parse(process.env.JWT_SIGNING_KEYS);
+  }
+
+  return [{ kid: 'default', alg: 'HS256', secret: process.env.JWT_SECRET || DEFAULT_SECRET }];
+};
+
+/**
+ * Validate a key definition and turn PEMs into key objects
+ * @param {Object} definition - Key definition
+ * @returns {Object} Normalized key
+ */
+const normalizeKey = (definition) => {
+  const { kid, alg, secret, privateKey, publicKey, notAfter } = definition;
+
+  if (!kid) {
+    throw new Error('Signing key is missing a kid');
+  }
+
+  if (!SUPPORTED_ALGORITHMS.includes(alg)) {
+    throw new Error(`Signing key ${kid} has unsupported algorithm ${alg}`);
+  }
+
+  const key = {
+    kid,
+    alg,
+    notAfter: notAfter ? new Date(notAfter) : null
+  };
+
+  if (alg.startsWith('HS')) {
+    if (!secret) {
+      throw new Error(`Signing key ${kid} is missing its secret`);
+    }
+    key.secret = secret;
+    key.signingKey = secret;
+    key.verificationKey = secret;
+    return key;
+  }
+
+  if (!privateKey && !publicKey) {
+    throw new Error(`Signing key ${kid} needs a privateKey or publicKey`);
+  }
+
+  key.signingKey = privateKey ? crypto.createPrivateKey(privateKey) : null;
+  key.verificationKey = publicKey ? crypto.createPublicKey(publicKey) : crypto.createPublicKey(key.signingKey);
+
+  const expectedType = KEY_TYPES[alg.slice(0, 2)];
+  if (key.verificationKey.asymmetricKeyType !== expectedType) {
+    throw new Error(`Signing key ${kid} is not a valid ${alg} key`);
+  }
+
+  return key;
+};
+
+/**
+ * Load (once) and return the keyring
+ * @returns {Object} Keys by kid and the active kid
+ */
+const getKeyring = () => {
+  if (keyring) return keyring;
+
+  const keys = readKeyConfig().map(normalizeKey);
+  const byKid = new Map();
+
+  keys.forEach((key) => {
+    if (byKid.has(key.kid)) {
+      throw new Error(`Duplicate signing key kid: ${key.kid}`);
+    }
+    byKid.set(key.kid, key);
+  });
+
+  const signingCandidates = keys.filter(key => key.signingKey);
+  const activeKid = process.env.JWT_ACTIVE_KID || (signingCandidates[0] && signingCandidates[0].kid);
+  const activeKey = byKid.get(activeKid);
+
+  if (!activeKey || !activeKey.signingKey) {
+    throw new Error(`Active signing key ${activeKid} is missing or verify-only`);
+  }
+
+  keyring = { byKid, activeKid };
+  logger.debug(`Loaded ${keys.length} signing key(s), active kid: ${activeKid}`);
+  return keyring;
+};
+
+/**
+ * Get the key new tokens are signed with
+ * @returns {Object} Active key
+ */
+const getSigningKey = () => {
+  const { byKid, activeKid } = getKeyring();
+  return byKid.get(activeKid);
+};
+
+/**
+ * Get the key to verify a token with
+ * @param {String} kid - Key id from the token header; tokens without one predate
+ * key rotation and are checked against the "default" key
+ * @returns {Object|null} Key, or null if unknown or retired
+ */
+const getVerificationKey = (kid) => {
+  const { byKid } = getKeyring();
+  const key = byKid.get(kid || 'default');
+
+  if (!key || (key.notAfter && key.notAfter <= new Date())) {
+    return null;
+  }
+
+  return key;
+};
+
+/**
+ * Build the JSON Web Key Set with the public half of every asymmetric key
+ * that is still accepted. HMAC secrets are never published.
+ * @returns {Object} JWKS document
+ */
+const getJwks = () => {
+  const { byKid } = getKeyring();
+  const now = new Date();
+
+  const keys = [...byKid.values()]
+    .filter(key => !key.alg.startsWith('HS'))
+    .filter(key => !key.notAfter || key.notAfter > now)
+    .map(key => ({
+      ...key.verificationKey.export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.alg,
+      use: 'sig'
+    }));
+
+  return { keys };
+};
+
+/**
+ * Refuse to run in production with the well-known default secret
+ * @throws {Error} If the configuration is insecure
+ */
+const assertSecureConfiguration = () => {
+  if (process.env.NODE_ENV !== 'production') return;
+
+  const { byKid } = getKeyring();
+  const usesDefault = [...byKid.values()].some(key => key.secret === DEFAULT_SECRET);
+
+  if (usesDefault) {
+    throw new Error('Refusing to start in production with the default JWT secret; set JWT_SECRET or JWT_SIGNING_KEYS');
+  }
+};
+
+/**
+ * Drop the cached keyring so the next call reloads the configuration
+ */
+const resetKeyring = () => {
+  keyring = null;
+};
+
+module.exports = {
+  getSigningKey,
+  getVerificationKey,
+  getJwks,
+  assertSecureConfiguration,
+  resetKeyring
+};
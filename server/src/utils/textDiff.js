@@ -0,0 +1,120 @@
+// Largest LCS table (in cells, 4 bytes each) built for one diff. Bigger
+// changes fall back to a line-level diff, then to replacing the whole block.
+const MAX_TABLE_CELLS = 1000000;
+
+/**
+ * Split text into words and the whitespace between them, so joining the
+ * tokens gives back the original text
+ * @param {String} text - Text
+ * @returns {Array} Tokens
+ */
+const tokenize = (text) => (text ? text.split(/(\s+)/).filter(token => token !== '') : []);
+
+/**
+ * Split text into lines, each keeping its line break
+ * @param {String} text - Text
+ * @returns {Array} Lines
+ */
+const splitLines = (text) => (text ? text.split(/(?<=\n)/) : []);
+
+/**
+ * Merge neighbouring parts of the same type and drop empty ones
+ * @param {Array} parts - Diff parts
+ * @returns {Array} Merged parts
+ */
+const mergeParts = (parts) => parts.reduce((merged, part) => {
+  if (!part.value) return merged;
+
+  const last = merged[merged.length - 1];
+  if (last && last.type === part.type) {
+    last.value += part.value;
+  } else {
+    merged.push({ ...part });
+  }
+  return merged;
+}, []);
+
+/**
+ * Diff two token lists with a longest common subsequence table
+ * @param {Array} a - Old tokens
+ * @param {Array} b - New tokens
+ * @returns {Array|null} Diff parts, or null if the table would be too big
+ */
+const lcsDiff = (a, b) => {
+  const rows = a.length;
+  const cols = b.length;
+  const width = cols + 1;
+
+  if ((rows + 1) * width > MAX_TABLE_CELLS) return null;
+
+  // lcs[i * width + j] = LCS length of a[i..] and b[j..]
+  const lcs = new Uint32Array((rows + 1) * width);
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const parts = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (a[i] === b[j]) {
+      parts.push({ type: 'equal', value: a[i] });
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      parts.push({ type: 'delete', value: a[i++] });
+    } else {
+      parts.push({ type: 'insert', value: b[j++] });
+    }
+  }
+  while (i < rows) parts.push({ type: 'delete', value: a[i++] });
+  while (j < cols) parts.push({ type: 'insert', value: b[j++] });
+
+  return parts;
+};
+
+/**
+ * Word-level diff of two texts, based on their longest common subsequence
+ * of words. Very large changes are diffed line by line instead, or shown as
+ * one replaced block. Joining the `equal` and `delete` parts gives the old
+ * text, joining the `equal` and `insert` parts gives the new one.
+ * @param {String} oldText - Previous text
+ * @param {String} newText - Current text
+ * @returns {Array} Parts as { type: 'equal' | 'insert' | 'delete', value }
+ */
+const diffWords = (oldText, newText) => {
+  const a = tokenize(oldText);
+  const b = tokenize(newText);
+
+  // Unchanged start and end don't need the (quadratic) LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const changedA = a.slice(start, endA);
+  const changedB = b.slice(start, endB);
+
+  const changes = lcsDiff(changedA, changedB) ||
+    lcsDiff(splitLines(changedA.join('')), splitLines(changedB.join(''))) ||
+    [{ type: 'delete', value: changedA.join('') }, { type: 'insert', value: changedB.join('') }];
+
+  return mergeParts([
+    { type: 'equal', value: a.slice(0, start).join('') },
+    ...changes,
+    { type: 'equal', value: a.slice(endA).join('') }
+  ]);
+};
+
+module.exports = {
+  diffWords
+};
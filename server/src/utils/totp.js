@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'MERN Testing App';
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {String} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {String} input - Base32 string (case-insensitive, padding and spaces ignored)
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random TOTP secret
+ * @param {Number} bytes - Secret length in bytes
+ * @returns {String} Base32 encoded secret
+ */
+const generateSecret = (bytes = 20) => {
+  return base32Encode(crypto.randomBytes(bytes));
+};
+
+/**
+ * Generate an HOTP code (RFC 4226)
+ * @param {String} secret - Base32 encoded secret
+ * @param {Number} counter - Moving factor
+ * @returns {String} Zero-padded code
+ */
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Get the TOTP time step for a point in time
+ * @param {Number} time - Unix time in milliseconds
+ * @returns {Number} Time step
+ */
+const getTimeStep = (time = Date.now()) => {
+  return Math.floor(time / 1000 / PERIOD_SECONDS);
+};
+
+/**
+ * Generate a TOTP code (RFC 6238)
+ * @param {String} secret - Base32 encoded secret
+ * @param {Number} time - Unix time in milliseconds
+ * @returns {String} Zero-padded code
+ */
+const generateTotp = (secret, time = Date.now()) => {
+  return generateHotp(secret, getTimeStep(time));
+};
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {String} secret - Base32 encoded secret
+ * @param {String} code - Code entered by the user
+ * @param {Object} options - Verification options
+ * @param {Number} options.window - Accepted time steps before/after the current one
+ * @param {Number} options.time - Unix time in milliseconds
+ * @returns {Number|null} The matching time step, or null if the code is wrong
+ */
+const verifyTotp = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  if (!secret || typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(time);
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const expected = Buffer.from(generateHotp(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build an otpauth:// URI for authenticator apps
+ * @param {Object} options - URI options
+ * @param {String} options.secret - Base32 encoded secret
+ * @param {String} options.label - Account label (e.g. email)
+ * @param {String} options.issuer - Service name
+ * @returns {String} otpauth URI
+ */
+const buildOtpauthUri = ({ secret, label, issuer = TOTP_ISSUER }) => {
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${encodeURIComponent(`${issuer}:${label}`)}?${params.toString()}`;
+};
+
+/**
+ * Generate one-time recovery codes
+ * @param {Number} count - Number of codes
+ * @returns {Array} Codes formatted as xxxxx-xxxxx
+ */
+const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  generateTotp,
+  getTimeStep,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes
+};
@@ -0,0 +1,123 @@
+// apiKeys.test.js - Integration tests for personal API keys
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const ApiKey = require('../../src/models/ApiKey');
+const { generateToken } = require('../../src/utils/auth');
+
+describe('API keys', () => {
+  let user;
+  let token;
+
+  beforeEach(async () => {
+    user = await User.create({
+      username: 'keyuser',
+      email: 'keys@example.com',
+      password: 'Password123'
+    });
+    token = generateToken(user);
+  });
+
+  const createKey = (data) => request(app)
+    .post('/api/auth/api-keys')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ name: 'CI script', scopes: ['users:read'], ...data });
+
+  it('should create a key and only store its hash', async () => {
+    const res = await createKey();
+
+    expect(res.status).toBe(201);
+    expect(res.body.key).toMatch(/^mk_/);
+    expect(res.body.apiKey.keyHash).toBeUndefined();
+
+    const stored = await ApiKey.findById(res.body.apiKey._id).select('+keyHash');
+    expect(stored.keyHash).not.toBe(res.body.key);
+  });
+
+  it('should authenticate requests with an ApiKey header', async () => {
+    const { body } = await createKey();
+
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `ApiKey ${body.key}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.email).toBe('keys@example.com');
+
+    const stored = await ApiKey.findById(body.apiKey._id);
+    expect(stored.lastUsedAt).not.toBeNull();
+  });
+
+  it('should reject requests outside the key scopes', async () => {
+    const { body } = await createKey({ scopes: ['posts:read'] });
+
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `ApiKey ${body.key}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should require the posts:read scope for authenticated post reads', async () => {
+    const readKey = await createKey({ scopes: ['posts:read'] });
+    const userKey = await createKey({ scopes: ['users:read'] });
+
+    const allowed = await request(app)
+      .get('/api/posts/liked')
+      .set('Authorization', `ApiKey ${readKey.body.key}`);
+    expect(allowed.status).toBe(200);
+
+    const denied = await request(app)
+      .get('/api/posts/liked')
+      .set('Authorization', `ApiKey ${userKey.body.key}`);
+    expect(denied.status).toBe(403);
+
+    const published = await request(app)
+      .get('/api/posts/published')
+      .set('Authorization', `ApiKey ${userKey.body.key}`);
+    expect(published.status).toBe(403);
+  });
+
+  it('should not allow managing keys with a key', async () => {
+    const { body } = await createKey();
+
+    const res = await request(app)
+      .get('/api/auth/api-keys')
+      .set('Authorization', `ApiKey ${body.key}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should reject revoked keys', async () => {
+    const { body } = await createKey();
+
+    await request(app)
+      .delete(`/api/auth/api-keys/${body.apiKey._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `ApiKey ${body.key}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should reject expired keys', async () => {
+    const { apiKey, key } = await ApiKey.generate({ user, name: 'old', scopes: ['users:read'] });
+    await ApiKey.updateOne({ _id: apiKey._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `ApiKey ${key}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should not let non-admins create users:admin keys', async () => {
+    const res = await createKey({ scopes: ['users:admin'] });
+
+    expect(res.status).toBe(403);
+  });
+});
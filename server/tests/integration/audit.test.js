@@ -0,0 +1,134 @@
+// audit.test.js - Integration tests for the audit log
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const AuditEvent = require('../../src/models/AuditEvent');
+const { generateToken } = require('../../src/utils/auth');
+const { generateTotp } = require('../../src/utils/totp');
+
+describe('Audit API', () => {
+  let admin, user;
+
+  const auth = (account) => ({ Authorization: `Bearer ${generateToken(account)}` });
+
+  beforeEach(async () => {
+    admin = await User.create({ username: 'auditor', email: 'auditor@example.com', password: 'Password123', role: 'admin' });
+    user = await User.create({ username: 'audited', email: 'audited@example.com', password: 'Password123' });
+  });
+
+  it('should record role changes with a before/after diff', async () => {
+    await request(app)
+      .post(`/api/users/${user._id}/change-role`)
+      .set(auth(admin))
+      .send({ role: 'moderator' });
+
+    const event = await AuditEvent.findOne({ action: 'user.role.change' });
+    expect(event.actor.toString()).toBe(admin._id.toString());
+    expect(event.targetId.toString()).toBe(user._id.toString());
+    expect(event.toObject().changes).toEqual({ before: { role: 'user' }, after: { role: 'moderator' } });
+    expect(event.ip).toBeDefined();
+  });
+
+  it('should record successful and failed logins', async () => {
+    await request(app).post('/api/auth/login').send({ email: 'audited@example.com', password: 'Password123' });
+    await request(app).post('/api/auth/login').send({ email: 'audited@example.com', password: 'WrongPassword1' });
+
+    const login = await AuditEvent.findOne({ action: 'auth.login' });
+    expect(login.actor.toString()).toBe(user._id.toString());
+    expect(login.metadata.method).toBe('password');
+
+    const failed = await AuditEvent.findOne({ action: 'auth.login.failed' });
+    expect(failed.actor).toBeNull();
+    expect(failed.metadata.email).toBe('audited@example.com');
+  });
+
+  it('should record 2FA being enabled and disabled', async () => {
+    const setup = await request(app).post('/api/auth/2fa/setup').set(auth(user));
+    // Codes are single-use per time step, so the two calls use adjacent steps
+    await request(app)
+      .post('/api/auth/2fa/enable')
+      .set(auth(user))
+      .send({ code: generateTotp(setup.body.secret, Date.now() - 30000) });
+
+    const res = await request(app)
+      .post('/api/auth/2fa/disable')
+      .set(auth(user))
+      .send({ password: 'Password123', code: generateTotp(setup.body.secret) });
+    expect(res.status).toBe(200);
+
+    const events = await AuditEvent.find({ action: /^auth\.2fa\./ }).sort('createdAt');
+    expect(events.map(event => event.action)).toEqual(['auth.2fa.enable', 'auth.2fa.disable']);
+    expect(events[1].actor.toString()).toBe(user._id.toString());
+    expect(events[1].targetId.toString()).toBe(user._id.toString());
+  });
+
+  it('should record API keys being created and revoked', async () => {
+    const created = await request(app)
+      .post('/api/auth/api-keys')
+      .set(auth(user))
+      .send({ name: 'CI', scopes: ['posts:write'] });
+    expect(created.status).toBe(201);
+
+    await request(app).delete(`/api/auth/api-keys/${created.body.apiKey._id}`).set(auth(user));
+
+    const create = await AuditEvent.findOne({ action: 'apikey.create' });
+    expect(create.actor.toString()).toBe(user._id.toString());
+    expect(create.targetType).toBe('ApiKey');
+    expect(create.metadata.scopes).toEqual(['posts:write']);
+    // The key itself never ends up in the log
+    expect(JSON.stringify(create)).not.toContain(created.body.key);
+
+    const revoke = await AuditEvent.findOne({ action: 'apikey.revoke' });
+    expect(revoke.targetId.toString()).toBe(create.targetId.toString());
+  });
+
+  it('should filter events by actor, target, action and date', async () => {
+    await request(app).post(`/api/users/${user._id}/deactivate`).set(auth(admin));
+    await request(app).post(`/api/users/${user._id}/activate`).set(auth(admin));
+    await request(app).put('/api/auth/me').set(auth(admin)).send({ bio: 'Hello' });
+
+    const byTarget = await request(app)
+      .get(`/api/audit?target=${user._id}&action=user.deactivate,user.activate`)
+      .set(auth(admin));
+    expect(byTarget.status).toBe(200);
+    expect(byTarget.body.events.map(event => event.action)).toEqual(['user.activate', 'user.deactivate']);
+
+    const byPrefix = await request(app).get(`/api/audit?actor=${admin._id}&action=user.*`).set(auth(admin));
+    expect(byPrefix.body.pagination.totalEvents).toBe(3);
+
+    const future = await request(app)
+      .get(`/api/audit?from=${new Date(Date.now() + 60000).toISOString()}`)
+      .set(auth(admin));
+    expect(future.body.events).toHaveLength(0);
+  });
+
+  it('should export events as CSV', async () => {
+    await request(app).post(`/api/users/${user._id}/deactivate`).set(auth(admin));
+
+    const res = await request(app).get('/api/audit?format=csv').set(auth(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    const lines = res.text.trim().split('\r\n');
+    expect(lines[0]).toBe('createdAt,action,actor,actorEmail,impersonator,targetType,targetId,ip,userAgent,changes,metadata');
+    expect(lines[1]).toContain('user.deactivate');
+    expect(lines[1]).toContain('""isActive"":true');
+  });
+
+  it('should only let users with audit.read see the log', async () => {
+    const res = await request(app).get('/api/audit').set(auth(user));
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should refuse to modify or delete audit events', async () => {
+    await request(app).post(`/api/users/${user._id}/deactivate`).set(auth(admin));
+    const event = await AuditEvent.findOne();
+
+    event.action = 'something.else';
+    await expect(event.save()).rejects.toThrow('append-only');
+    await expect(AuditEvent.deleteMany({})).rejects.toThrow('append-only');
+    expect(await AuditEvent.countDocuments()).toBe(1);
+  });
+});
@@ -0,0 +1,474 @@
+// auth.test.js - Integration tests for auth API endpoints
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Session = require('../../src/models/Session');
+const { getSentMail, clearSentMail } = require('../../src/utils/mailer');
+const { identifyHash } = require('../../src/utils/passwordHasher');
+const bcrypt = require('bcryptjs');
+
+const credentials = {
+  email: 'auth@example.com',
+  password: 'Password123'
+};
+
+const login = () => request(app).post('/api/auth/login').send(credentials);
+
+const lastMailToken = () => {
+  const [message] = getSentMail().slice(-1);
+  return new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+};
+
+describe('Auth API', () => {
+  beforeEach(async () => {
+    await User.create({
+      username: 'authuser',
+      ...credentials
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('should issue an access token and a refresh token', async () => {
+      const res = await login();
+
+      expect(res.status).toBe(200);
+      expect(res.body.token).toBeDefined();
+      expect(res.body.refreshToken).toBeDefined();
+
+      const sessions = await Session.find().select('+tokenHash');
+      expect(sessions).toHaveLength(1);
+      expect(sessions[0].tokenHash).not.toBe(res.body.refreshToken);
+    });
+
+    it('should upgrade password hashes made with outdated parameters', async () => {
+      const oldHash = await bcrypt.hash(credentials.password, 4);
+      await User.updateOne({ email: credentials.email }, { $set: { password: oldHash } });
+
+      const res = await login();
+      expect(res.status).toBe(200);
+
+      const user = await User.findOne({ email: credentials.email }).select('+password');
+      expect(user.password).not.toBe(oldHash);
+      expect(identifyHash(user.password)).toEqual({ algorithm: 'bcrypt', params: { rounds: 12 } });
+
+      const again = await login();
+      expect(again.status).toBe(200);
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    it('should rotate the refresh token', async () => {
+      const { body } = await login();
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: body.refreshToken });
+
+      expect(res.status).toBe(200);
+      expect(res.body.token).toBeDefined();
+      expect(res.body.refreshToken).toBeDefined();
+      expect(res.body.refreshToken).not.toBe(body.refreshToken);
+    });
+
+    it('should reject a refresh token that was already used', async () => {
+      const { body } = await login();
+
+      await request(app).post('/api/auth/refresh').send({ refreshToken: body.refreshToken });
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: body.refreshToken });
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should revoke the whole token family when reuse is detected', async () => {
+      const { body } = await login();
+
+      const rotated = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: body.refreshToken });
+
+      // Replaying the old token kills the session...
+      await request(app).post('/api/auth/refresh').send({ refreshToken: body.refreshToken });
+
+      // ...so the legitimately rotated token no longer works either
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: rotated.body.refreshToken });
+
+      expect(res.status).toBe(401);
+
+      const session = await Session.findOne();
+      expect(session.revokedReason).toBe('reuse');
+    });
+
+    it('should only remember the most recent rotated tokens', async () => {
+      const user = await User.findOne({ email: credentials.email });
+      let { refreshToken } = await Session.issue(user);
+
+      const used = [];
+      for (let i = 0; i < 55; i++) {
+        used.push(refreshToken);
+        ({ refreshToken } = await Session.rotate(refreshToken));
+      }
+
+      const session = await Session.findOne().select('+previousTokenHashes');
+      expect(session.previousTokenHashes).toHaveLength(50);
+
+      // Recent tokens are still recognised as reuse
+      await expect(Session.rotate(used[used.length - 1])).rejects.toMatchObject({ reuseDetected: true });
+    });
+
+    it('should return 401 for an unknown refresh token', async () => {
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'not-a-real-token' });
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should return 400 when the refresh token is missing', async () => {
+      const res = await request(app).post('/api/auth/refresh').send({});
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    it('should revoke the access token', async () => {
+      const { body } = await login();
+
+      const res = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${body.token}`);
+
+      expect(res.status).toBe(200);
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${body.token}`);
+
+      expect(me.status).toBe(401);
+      expect(me.body.error).toBe('Token has been revoked');
+    });
+
+    it('should revoke the refresh token when one is given', async () => {
+      const { body } = await login();
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${body.token}`)
+        .send({ refreshToken: body.refreshToken });
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: body.refreshToken });
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/auth/logout-all', () => {
+    it('should revoke every token and session of the user', async () => {
+      const first = await login();
+      const second = await login();
+
+      const res = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${first.body.token}`);
+
+      expect(res.status).toBe(200);
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${second.body.token}`);
+      expect(me.status).toBe(401);
+
+      const refresh = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: second.body.refreshToken });
+      expect(refresh.status).toBe(401);
+    });
+
+    it('should accept tokens issued right after the cut-off', async () => {
+      const { body } = await login();
+
+      await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(200);
+
+      // Usually within the same second as the cut-off
+      const again = await login();
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${again.body.token}`);
+      expect(me.status).toBe(200);
+    });
+
+    it('should reject a cut-off time in the future', async () => {
+      const { body } = await login();
+
+      const res = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${body.token}`)
+        .send({ before: new Date(Date.now() + 60000).toISOString() });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('Email verification', () => {
+    beforeEach(() => {
+      clearSentMail();
+    });
+
+    it('should send a verification email on register', async () => {
+      const res = await request(app).post('/api/auth/register').send({
+        username: 'newuser',
+        email: 'new@example.com',
+        password: 'Password123'
+      });
+
+      expect(res.status).toBe(201);
+      expect(getSentMail()).toHaveLength(1);
+      expect(getSentMail()[0].to).toBe('new@example.com');
+    });
+
+    it('should verify the email with a valid token only once', async () => {
+      const { body } = await login();
+
+      await request(app)
+        .post('/api/auth/verify-email/request')
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(200);
+
+      const token = lastMailToken();
+
+      const res = await request(app).post('/api/auth/verify-email/confirm').send({ token });
+      expect(res.status).toBe(200);
+      expect(res.body.user.emailVerified).toBe(true);
+
+      const replay = await request(app).post('/api/auth/verify-email/confirm').send({ token });
+      expect(replay.status).toBe(400);
+    });
+
+    it('should confirm once for concurrent requests with the same token', async () => {
+      const { body } = await login();
+
+      await request(app)
+        .post('/api/auth/verify-email/request')
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(200);
+
+      const token = lastMailToken();
+      const responses = await Promise.all([1, 2].map(() => request(app).post('/api/auth/verify-email/confirm').send({ token })));
+
+      expect(responses.map(res => res.status).sort()).toEqual([200, 400]);
+    });
+
+    it('should not accept a verification token as an access token', async () => {
+      const { body } = await login();
+
+      await request(app)
+        .post('/api/auth/verify-email/request')
+        .set('Authorization', `Bearer ${body.token}`);
+
+      const res = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${lastMailToken()}`);
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should reject an invalid verification token', async () => {
+      const res = await request(app)
+        .post('/api/auth/verify-email/confirm')
+        .send({ token: 'invalid.token.here' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('Password reset', () => {
+    beforeEach(() => {
+      clearSentMail();
+    });
+
+    it('should not reveal whether an email is registered', async () => {
+      const res = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toMatch(/if an account with that email exists/i);
+      expect(getSentMail()).toHaveLength(0);
+    });
+
+    it('should reset the password and revoke existing sessions', async () => {
+      const { body } = await login();
+
+      const forgot = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: credentials.email });
+      expect(forgot.status).toBe(200);
+
+      const token = lastMailToken();
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'NewPassword456' });
+      expect(res.status).toBe(200);
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${body.token}`);
+      expect(me.status).toBe(401);
+
+      const refresh = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: body.refreshToken });
+      expect(refresh.status).toBe(401);
+
+      const relogin = await request(app)
+        .post('/api/auth/login')
+        .send({ email: credentials.email, password: 'NewPassword456' });
+      expect(relogin.status).toBe(200);
+
+      const replay = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'OtherPassword789' });
+      expect(replay.status).toBe(400);
+    });
+
+    it('should reject an invalid reset token', async () => {
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'not-a-real-token', password: 'NewPassword456' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('Password policy', () => {
+    const register = (password, username = 'policyuser') => request(app)
+      .post('/api/auth/register')
+      .send({ username, email: 'policy@example.com', password });
+
+    const changePassword = (token, currentPassword, newPassword) => request(app)
+      .post('/api/auth/change-password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword, newPassword });
+
+    it('should reject common passwords with a clear message', async () => {
+      const res = await register('Welcome123');
+
+      expect(res.status).toBe(400);
+      expect(res.body.details.map(detail => detail.msg)).toContain('Password is too common, please choose a less predictable one');
+    });
+
+    it('should report each failed rule', async () => {
+      const res = await register('policyuser');
+
+      expect(res.status).toBe(400);
+      expect(res.body.details.map(detail => detail.msg)).toEqual(expect.arrayContaining([
+        'Password must contain at least one uppercase letter',
+        'Password must contain at least one number',
+        'Password cannot contain your username or email address'
+      ]));
+    });
+
+    it('should not let users reuse recent passwords', async () => {
+      const { body } = await login();
+
+      const same = await changePassword(body.token, 'Password123', 'Password123');
+      expect(same.status).toBe(400);
+      expect(same.body.details[0].msg).toMatch(/cannot match any of your last \d+ passwords/);
+
+      const changed = await changePassword(body.token, 'Password123', 'Different456');
+      expect(changed.status).toBe(200);
+
+      const back = await changePassword(body.token, 'Different456', 'Password123');
+      expect(back.status).toBe(400);
+    });
+
+    it('should apply the policy to password resets', async () => {
+      clearSentMail();
+      await request(app).post('/api/auth/forgot-password').send({ email: credentials.email });
+
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: lastMailToken(), password: credentials.password });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details[0].msg).toMatch(/cannot match/);
+    });
+  });
+
+  describe('Magic link login', () => {
+    beforeEach(() => {
+      clearSentMail();
+    });
+
+    const requestLink = () => request(app)
+      .post('/api/auth/magic-link')
+      .send({ email: credentials.email });
+
+    it('should not reveal whether an email is registered', async () => {
+      const res = await request(app)
+        .post('/api/auth/magic-link')
+        .send({ email: 'nobody@example.com' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toMatch(/if an account with that email exists/i);
+      expect(getSentMail()).toHaveLength(0);
+    });
+
+    it('should sign in once with the emailed link', async () => {
+      await requestLink().expect(200);
+      const token = lastMailToken();
+
+      const res = await request(app).post('/api/auth/magic-link/confirm').send({ token });
+      expect(res.status).toBe(200);
+      expect(res.body.token).toBeDefined();
+      expect(res.body.refreshToken).toBeDefined();
+      expect(res.body.user.emailVerified).toBe(true);
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${res.body.token}`);
+      expect(me.status).toBe(200);
+
+      const replay = await request(app).post('/api/auth/magic-link/confirm').send({ token });
+      expect(replay.status).toBe(401);
+    });
+
+    it('should not accept other single-purpose tokens', async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: credentials.email });
+      const { body } = await login();
+      await request(app)
+        .post('/api/auth/verify-email/request')
+        .set('Authorization', `Bearer ${body.token}`);
+
+      const res = await request(app)
+        .post('/api/auth/magic-link/confirm')
+        .send({ token: lastMailToken() });
+      expect(res.status).toBe(401);
+    });
+
+    it('should throttle requests per email', async () => {
+      const requestThrottledLink = () => request(app)
+        .post('/api/auth/magic-link')
+        .send({ email: 'throttled@example.com' });
+
+      for (let i = 0; i < 3; i++) {
+        await requestThrottledLink().expect(200);
+      }
+
+      const res = await requestThrottledLink();
+      expect(res.status).toBe(429);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+// comments.test.js - Integration tests for threaded post comments
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Comment = require('../../src/models/Comment');
+const { generateToken } = require('../../src/utils/auth');
+
+describe('Comments API', () => {
+  let author, reader, moderator, post;
+
+  const auth = (user) => ({ Authorization: `Bearer ${generateToken(user)}` });
+
+  const comment = (user, content, parent) => request(app)
+    .post(`/api/posts/${post._id}/comments`)
+    .set(auth(user))
+    .send({ content, parent });
+
+  beforeEach(async () => {
+    author = await User.create({ username: 'writer', email: 'writer@example.com', password: 'Password123', emailVerified: true });
+    reader = await User.create({ username: 'reader', email: 'reader@example.com', password: 'Password123', emailVerified: true });
+    moderator = await User.create({ username: 'mod', email: 'mod@example.com', password: 'Password123', emailVerified: true, role: 'moderator' });
+    post = await Post.create({
+      title: 'Commented Post',
+      content: 'A post that people comment on',
+      author: author._id,
+      category: new mongoose.Types.ObjectId(),
+      status: 'published'
+    });
+  });
+
+  it('should create comments and replies and list them as threads', async () => {
+    const first = await comment(reader, 'First!');
+    expect(first.status).toBe(201);
+    expect(first.body.comment.author.username).toBe('reader');
+
+    const reply = await comment(author, 'Thanks for reading', first.body.comment.id);
+    expect(reply.status).toBe(201);
+    expect(reply.body.comment.depth).toBe(1);
+
+    await comment(reader, 'You are welcome', reply.body.comment.id);
+    await comment(moderator, 'Second thread');
+
+    const res = await request(app).get(`/api/posts/${post._id}/comments`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.commentCount).toBe(4);
+    expect(res.body.pagination.totalComments).toBe(2);
+    expect(res.body.comments.map(thread => thread.content)).toEqual(['First!', 'Second thread']);
+    expect(res.body.comments[0].replies[0].content).toBe('Thanks for reading');
+    expect(res.body.comments[0].replies[0].replies[0].content).toBe('You are welcome');
+  });
+
+  it('should only allow comments on published posts', async () => {
+    await Post.updateOne({ _id: post._id }, { status: 'draft' });
+
+    const res = await comment(reader, 'Too early');
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should let authors and moderators edit a comment', async () => {
+    const { body } = await comment(reader, 'Typo here');
+    const url = `/api/posts/${post._id}/comments/${body.comment.id}`;
+
+    const own = await request(app).put(url).set(auth(reader)).send({ content: 'Fixed typo' });
+    expect(own.status).toBe(200);
+    expect(own.body.comment.content).toBe('Fixed typo');
+    expect(own.body.comment.editedAt).toBeDefined();
+
+    const other = await request(app).put(url).set(auth(author)).send({ content: 'Hijacked' });
+    expect(other.status).toBe(403);
+
+    const moderated = await request(app).put(url).set(auth(moderator)).send({ content: '[removed link]' });
+    expect(moderated.status).toBe(200);
+  });
+
+  it('should soft delete comments and keep their replies', async () => {
+    const parent = await comment(reader, 'Parent comment');
+    await comment(author, 'A reply', parent.body.comment.id);
+
+    const url = `/api/posts/${post._id}/comments/${parent.body.comment.id}`;
+    const res = await request(app).delete(url).set(auth(reader));
+    expect(res.status).toBe(200);
+
+    const again = await request(app).delete(url).set(auth(reader));
+    expect(again.status).toBe(404);
+
+    const list = await request(app).get(`/api/posts/${post._id}/comments`);
+    expect(list.body.commentCount).toBe(1);
+    expect(list.body.comments[0].isDeleted).toBe(true);
+    expect(list.body.comments[0].content).toBeNull();
+    expect(list.body.comments[0].author).toBeNull();
+    expect(list.body.comments[0].replies[0].content).toBe('A reply');
+
+    const reply = await comment(author, 'Reply to deleted', parent.body.comment.id);
+    expect(reply.status).toBe(400);
+  });
+
+  it('should not find comments through another post', async () => {
+    const { body } = await comment(reader, 'On the first post');
+    const otherPost = await Post.create({
+      title: 'Another Post',
+      content: 'Some other post content',
+      author: author._id,
+      category: new mongoose.Types.ObjectId(),
+      status: 'published'
+    });
+
+    const res = await request(app)
+      .delete(`/api/posts/${otherPost._id}/comments/${body.comment.id}`)
+      .set(auth(reader));
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should remove comments with their post', async () => {
+    await comment(reader, 'Soon gone');
+
+    await request(app).delete(`/api/posts/${post._id}`).set(auth(author));
+
+    expect(await Comment.countDocuments({ post: post._id })).toBe(0);
+  });
+});
@@ -0,0 +1,119 @@
+// cookieAuth.test.js - Integration tests for cookie-based auth and CSRF protection
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+
+const credentials = {
+  email: 'cookies@example.com',
+  password: 'Password123'
+};
+
+const getCookie = (res, name) => (res.headers['set-cookie'] || [])
+  .find(cookie => cookie.startsWith(`${name}=`));
+
+describe('Cookie auth mode', () => {
+  const originalSetting = process.env.AUTH_COOKIES;
+  let agent;
+
+  beforeAll(() => {
+    process.env.AUTH_COOKIES = 'true';
+  });
+
+  afterAll(() => {
+    process.env.AUTH_COOKIES = originalSetting;
+  });
+
+  beforeEach(async () => {
+    await User.create({ username: 'cookieuser', ...credentials });
+    agent = request.agent(app);
+  });
+
+  const login = () => agent.post('/api/auth/login').send(credentials);
+
+  it('should set HttpOnly auth cookies instead of returning tokens', async () => {
+    const res = await login();
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeUndefined();
+    expect(res.body.refreshToken).toBeUndefined();
+    expect(res.body.csrfToken).toBeDefined();
+
+    const accessCookie = getCookie(res, 'access_token');
+    expect(accessCookie).toMatch(/HttpOnly/);
+    expect(accessCookie).toMatch(/SameSite=Lax/);
+    expect(getCookie(res, 'refresh_token')).toMatch(/Path=\/api\/auth/);
+    expect(getCookie(res, 'csrf_token')).not.toMatch(/HttpOnly/);
+  });
+
+  it('should authenticate requests with the access cookie', async () => {
+    await login();
+
+    const res = await agent.get('/api/auth/me');
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.email).toBe(credentials.email);
+  });
+
+  it('should require the CSRF token on state-changing requests', async () => {
+    const { body } = await login();
+
+    const forged = await agent.put('/api/auth/me').send({ bio: 'forged' });
+    expect(forged.status).toBe(403);
+    expect(forged.body.error).toBe('Invalid CSRF token');
+
+    const wrong = await agent.put('/api/auth/me').set('X-CSRF-Token', 'wrong').send({ bio: 'forged' });
+    expect(wrong.status).toBe(403);
+
+    const res = await agent.put('/api/auth/me').set('X-CSRF-Token', body.csrfToken).send({ bio: 'legit' });
+    expect(res.status).toBe(200);
+    expect(res.body.user.bio).toBe('legit');
+  });
+
+  it('should refresh with the refresh cookie', async () => {
+    const { body } = await login();
+
+    const res = await agent.post('/api/auth/refresh').set('X-CSRF-Token', body.csrfToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeUndefined();
+    expect(getCookie(res, 'access_token')).toBeDefined();
+    expect(getCookie(res, 'refresh_token')).toBeDefined();
+  });
+
+  it('should clear the cookies on logout', async () => {
+    const { body } = await login();
+
+    const res = await agent.post('/api/auth/logout').set('X-CSRF-Token', body.csrfToken);
+    expect(res.status).toBe(200);
+    expect(getCookie(res, 'access_token')).toMatch(/Expires=Thu, 01 Jan 1970/);
+
+    const me = await agent.get('/api/auth/me');
+    expect(me.status).toBe(401);
+  });
+
+  it('should issue a CSRF token on request', async () => {
+    const res = await agent.get('/api/auth/csrf');
+
+    expect(res.status).toBe(200);
+    expect(res.body.csrfToken).toBeDefined();
+    expect(getCookie(res, 'csrf_token')).toContain(res.body.csrfToken);
+  });
+
+  it('should not apply CSRF checks to header-authenticated requests', async () => {
+    await User.create({ username: 'headeruser', email: 'header@example.com', password: 'Password123' });
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'header@example.com', password: 'Password123' });
+
+    const accessCookie = getCookie(loginRes, 'access_token').split(';')[0];
+    const token = decodeURIComponent(accessCookie.split('=')[1]);
+
+    const res = await request(app)
+      .put('/api/auth/me')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ bio: 'via header' });
+
+    expect(res.status).toBe(200);
+  });
+});
@@ -0,0 +1,136 @@
+// impersonation.test.js - Integration tests for admin impersonation
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const AuditEvent = require('../../src/models/AuditEvent');
+const ApiKey = require('../../src/models/ApiKey');
+const Session = require('../../src/models/Session');
+const { generateToken } = require('../../src/utils/auth');
+
+describe('Impersonation API', () => {
+  let admin, user;
+
+  const auth = (token) => ({ Authorization: `Bearer ${token}` });
+
+  const impersonate = (target, by = admin) => request(app)
+    .post(`/api/users/${target._id}/impersonate`)
+    .set(auth(generateToken(by)))
+    .send({ reason: 'Support ticket 42' });
+
+  beforeEach(async () => {
+    admin = await User.create({ username: 'support', email: 'support@example.com', password: 'Password123', role: 'admin' });
+    user = await User.create({ username: 'customer', email: 'customer@example.com', password: 'Password123' });
+  });
+
+  it('should issue a token that acts as the user and audit it', async () => {
+    const res = await impersonate(user);
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeDefined();
+    expect(new Date(res.body.expiresAt).getTime()).toBeGreaterThan(Date.now());
+
+    const me = await request(app).get('/api/auth/me').set(auth(res.body.token));
+    expect(me.status).toBe(200);
+    expect(me.body.user.email).toBe('customer@example.com');
+
+    const event = await AuditEvent.findOne({ action: 'impersonation.start' });
+    expect(event.actor.toString()).toBe(admin._id.toString());
+    expect(event.targetId.toString()).toBe(user._id.toString());
+    expect(event.metadata.reason).toBe('Support ticket 42');
+  });
+
+  it('should forbid sensitive actions while impersonating', async () => {
+    const { body } = await impersonate(user);
+
+    const changePassword = await request(app)
+      .post('/api/auth/change-password')
+      .set(auth(body.token))
+      .send({ currentPassword: 'Password123', newPassword: 'NewPassword123' });
+    expect(changePassword.status).toBe(403);
+
+    const chained = await request(app)
+      .post(`/api/users/${admin._id}/impersonate`)
+      .set(auth(body.token));
+    expect(chained.status).toBe(403);
+  });
+
+  it('should forbid changes that outlast the impersonation', async () => {
+    const { body } = await impersonate(user);
+
+    const setup2fa = await request(app).post('/api/auth/2fa/setup').set(auth(body.token));
+    expect(setup2fa.status).toBe(403);
+
+    const linkIdentity = await request(app)
+      .post('/api/auth/me/identities/google/authorize')
+      .set(auth(body.token));
+    expect(linkIdentity.status).toBe(403);
+
+    for (const changes of [{ email: 'taken-over@example.com' }, { password: 'Hijacked123' }]) {
+      const res = await request(app)
+        .put(`/api/users/${user._id}`)
+        .set(auth(body.token))
+        .send(changes);
+      expect(res.status).toBe(403);
+    }
+
+    const stored = await User.findById(user._id);
+    expect(stored.email).toBe('customer@example.com');
+    expect(stored.twoFactor.enabled).toBe(false);
+  });
+
+  it('should not let the admin sign the user out or revoke their keys', async () => {
+    const { session } = await Session.issue(user);
+    const { apiKey } = await ApiKey.generate({ user, name: 'CI', scopes: ['posts:read'] });
+    const { body } = await impersonate(user);
+
+    const logoutAll = await request(app).post('/api/auth/logout-all').set(auth(body.token));
+    expect(logoutAll.status).toBe(403);
+
+    const revokeSession = await request(app).delete(`/api/auth/sessions/${session._id}`).set(auth(body.token));
+    expect(revokeSession.status).toBe(403);
+
+    const revokeKey = await request(app).delete(`/api/auth/api-keys/${apiKey._id}`).set(auth(body.token));
+    expect(revokeKey.status).toBe(403);
+
+    expect((await Session.findById(session._id)).revokedAt).toBeNull();
+    expect((await ApiKey.findById(apiKey._id)).revokedAt).toBeNull();
+    expect((await User.findById(user._id)).tokensValidAfter).toBeNull();
+  });
+
+  it('should only let users with user.impersonate impersonate', async () => {
+    const res = await impersonate(admin, user);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should refuse to impersonate other admins', async () => {
+    const otherAdmin = await User.create({ username: 'otheradmin', email: 'otheradmin@example.com', password: 'Password123', role: 'admin' });
+
+    const res = await impersonate(otherAdmin);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should revoke the token and audit when stopped', async () => {
+    const { body } = await impersonate(user);
+
+    const stop = await request(app).post('/api/users/impersonation/stop').set(auth(body.token));
+    expect(stop.status).toBe(200);
+
+    const me = await request(app).get('/api/auth/me').set(auth(body.token));
+    expect(me.status).toBe(401);
+
+    expect(await AuditEvent.countDocuments({ action: 'impersonation.stop' })).toBe(1);
+  });
+
+  it('should stop working once the admin loses access', async () => {
+    const { body } = await impersonate(user);
+
+    await User.updateOne({ _id: admin._id }, { isActive: false });
+
+    const me = await request(app).get('/api/auth/me').set(auth(body.token));
+    expect(me.status).toBe(401);
+    expect(me.body.error).toBe('Impersonation is no longer valid');
+  });
+});
@@ -0,0 +1,98 @@
+// likes.test.js - Integration tests for liking posts
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Like = require('../../src/models/Like');
+const { generateToken } = require('../../src/utils/auth');
+
+describe('Likes API', () => {
+  let author, reader, post;
+
+  const auth = (user) => ({ Authorization: `Bearer ${generateToken(user)}` });
+
+  const createPost = (title, status = 'published') => Post.create({
+    title,
+    content: 'Content worth liking',
+    author: author._id,
+    category: new mongoose.Types.ObjectId(),
+    status
+  });
+
+  beforeEach(async () => {
+    author = await User.create({ username: 'writer', email: 'writer@example.com', password: 'Password123' });
+    reader = await User.create({ username: 'reader', email: 'reader@example.com', password: 'Password123' });
+    post = await createPost('A Likeable Post');
+  });
+
+  it('should like and unlike a post idempotently', async () => {
+    const url = `/api/posts/${post._id}/like`;
+
+    const first = await request(app).post(url).set(auth(reader));
+    const second = await request(app).post(url).set(auth(reader));
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    expect(second.body).toMatchObject({ liked: true, likeCount: 1 });
+    expect(await Like.countDocuments({ post: post._id })).toBe(1);
+
+    const unliked = await request(app).delete(url).set(auth(reader));
+    const again = await request(app).delete(url).set(auth(reader));
+
+    expect(unliked.body).toMatchObject({ liked: false, likeCount: 0 });
+    expect(again.status).toBe(200);
+    expect((await Post.findById(post._id)).likeCount).toBe(0);
+  });
+
+  it('should count concurrent likes once', async () => {
+    const url = `/api/posts/${post._id}/like`;
+
+    await Promise.all([1, 2, 3].map(() => request(app).post(url).set(auth(reader))));
+
+    expect(await Like.countDocuments({ post: post._id })).toBe(1);
+    expect((await Post.findById(post._id)).likeCount).toBe(1);
+  });
+
+  it('should only allow liking published posts', async () => {
+    const draft = await createPost('An Unfinished Post', 'draft');
+
+    const res = await request(app).post(`/api/posts/${draft._id}/like`).set(auth(reader));
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should flag posts the caller liked', async () => {
+    await request(app).post(`/api/posts/${post._id}/like`).set(auth(reader));
+
+    const mine = await request(app).get(`/api/posts/${post._id}`).set(auth(reader));
+    expect(mine.body.post.likedByMe).toBe(true);
+
+    const theirs = await request(app).get('/api/posts/published').set(auth(author));
+    expect(theirs.body.posts[0].likedByMe).toBe(false);
+
+    const anonymous = await request(app).get(`/api/posts/${post._id}`);
+    expect(anonymous.body.post.likedByMe).toBeUndefined();
+  });
+
+  it('should list the posts the current user liked', async () => {
+    const older = await createPost('An Older Favourite');
+    const unpublished = await createPost('Soon To Be Archived');
+
+    for (const liked of [older, post, unpublished]) {
+      await request(app).post(`/api/posts/${liked._id}/like`).set(auth(reader));
+    }
+    await Post.updateOne({ _id: unpublished._id }, { status: 'archived' });
+
+    const res = await request(app).get('/api/posts/liked').set(auth(reader));
+
+    expect(res.status).toBe(200);
+    expect(res.body.posts.map(liked => liked.title)).toEqual(['A Likeable Post', 'An Older Favourite']);
+    expect(res.body.posts[0].likedByMe).toBe(true);
+    expect(res.body.pagination.totalPosts).toBe(2);
+
+    const anonymous = await request(app).get('/api/posts/liked');
+    expect(anonymous.status).toBe(401);
+  });
+});
@@ -0,0 +1,89 @@
+// loginHistory.test.js - Integration tests for login history and suspicious-login detection
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const LoginEvent = require('../../src/models/LoginEvent');
+const { generateToken } = require('../../src/utils/auth');
+const { setTransport, getSentMail, clearSentMail } = require('../../src/utils/mailer');
+const { setNotifier } = require('../../src/utils/loginNotifier');
+
+describe('Login History API', () => {
+  let user;
+
+  const FIREFOX = 'Mozilla/5.0 (X11; Linux x86_64) Firefox/120.0';
+  const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) Safari/604.1';
+
+  const login = (password = 'Password123', userAgent = FIREFOX) => request(app)
+    .post('/api/auth/login')
+    .set('User-Agent', userAgent)
+    .send({ email: 'history@example.com', password });
+
+  beforeEach(async () => {
+    setTransport('memory');
+    setNotifier('email');
+    clearSentMail();
+    user = await User.create({ username: 'history', email: 'history@example.com', password: 'Password123' });
+  });
+
+  it('should list successful and failed logins for the current user', async () => {
+    await login();
+    await login('WrongPassword1');
+
+    const res = await request(app)
+      .get('/api/auth/me/logins')
+      .set('Authorization', `Bearer ${generateToken(user)}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.logins).toHaveLength(2);
+    expect(res.body.logins[0].success).toBe(false);
+    expect(res.body.logins[0].failureReason).toBe('invalid-credentials');
+    expect(res.body.logins[1].success).toBe(true);
+    expect(res.body.logins[1].userAgent).toBe(FIREFOX);
+    expect(res.body.logins[1].ip).toBeDefined();
+  });
+
+  it('should not flag the first login or a known device', async () => {
+    await login();
+    await login();
+
+    expect(await LoginEvent.countDocuments({ suspicious: true })).toBe(0);
+    expect(getSentMail()).toHaveLength(0);
+  });
+
+  it('should flag and notify logins from a new device', async () => {
+    await login();
+    await login('Password123', IPHONE);
+
+    const event = await LoginEvent.findOne({ suspicious: true });
+    expect(event.suspiciousReasons).toEqual(['new-device']);
+
+    const sent = getSentMail();
+    expect(sent).toHaveLength(1);
+    expect(sent[0].to).toBe('history@example.com');
+  });
+
+  it('should show failed-login hotspots to admins only', async () => {
+    for (let i = 0; i < 3; i++) {
+      await login('WrongPassword1');
+    }
+    await request(app).post('/api/auth/login').send({ email: 'nobody@example.com', password: 'WrongPassword1' });
+
+    const admin = await User.create({ username: 'secadmin', email: 'secadmin@example.com', password: 'Password123', role: 'admin' });
+
+    const res = await request(app)
+      .get('/api/users/logins/hotspots?minFailures=2')
+      .set('Authorization', `Bearer ${generateToken(admin)}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.groupBy).toBe('ipRange');
+    expect(res.body.hotspots).toHaveLength(1);
+    expect(res.body.hotspots[0].failures).toBe(4);
+    expect(res.body.hotspots[0].distinctEmails).toBe(2);
+
+    const denied = await request(app)
+      .get('/api/users/logins/hotspots')
+      .set('Authorization', `Bearer ${generateToken(user)}`);
+    expect(denied.status).toBe(403);
+  });
+});
@@ -0,0 +1,187 @@
+// oidc.test.js - Integration tests for OpenID Connect sign-in and identity linking
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const { clearCache } = require('../../src/utils/oidc');
+const { startMockOidcProvider } = require('../mocks/oidcProvider');
+
+describe('OIDC API', () => {
+  let provider;
+  const originalProviders = process.env.OIDC_PROVIDERS;
+
+  const profile = {
+    sub: 'mock-user-1',
+    email: 'social@example.com',
+    preferredUsername: 'social.user'
+  };
+
+  // An agent keeps the cookie binding the flow to the browser that started it
+  const signIn = async (claims = profile) => {
+    const browser = request.agent(app);
+    const start = await browser.post('/api/auth/oidc/mock/authorize').expect(200);
+    const { code, state } = provider.authorize(start.body.authorizationUrl, claims);
+
+    return browser
+      .post('/api/auth/oidc/mock/callback')
+      .send({ code, state });
+  };
+
+  beforeAll(async () => {
+    provider = await startMockOidcProvider();
+    process.env.OIDC_PROVIDERS = JSON.stringify([provider.config('mock')]);
+  });
+
+  afterAll(async () => {
+    process.env.OIDC_PROVIDERS = originalProviders;
+    clearCache();
+    await provider.close();
+  });
+
+  it('should list configured providers', async () => {
+    const res = await request(app).get('/api/auth/oidc/providers');
+
+    expect(res.status).toBe(200);
+    expect(res.body.providers).toEqual([{ name: 'mock', displayName: 'mock' }]);
+  });
+
+  it('should send users to the provider with a PKCE challenge', async () => {
+    const res = await request(app).post('/api/auth/oidc/mock/authorize');
+    const params = new URL(res.body.authorizationUrl).searchParams;
+
+    expect(res.body.authorizationUrl.startsWith(`${provider.issuer}/authorize`)).toBe(true);
+    expect(params.get('code_challenge_method')).toBe('S256');
+    expect(params.get('code_challenge')).toBeDefined();
+    expect(params.get('state')).toBeDefined();
+    expect(params.get('nonce')).toBeDefined();
+  });
+
+  it('should create an account on first sign-in and reuse it afterwards', async () => {
+    const first = await signIn();
+
+    expect(first.status).toBe(201);
+    expect(first.body.token).toBeDefined();
+    expect(first.body.refreshToken).toBeDefined();
+    expect(first.body.user.email).toBe(profile.email);
+    expect(first.body.user.username).toBe('socialuser');
+    expect(first.body.user.emailVerified).toBe(true);
+
+    const second = await signIn();
+
+    expect(second.status).toBe(200);
+    expect(second.body.user._id).toBe(first.body.user._id);
+    expect(await User.countDocuments()).toBe(1);
+  });
+
+  it('should reject a state that was already used', async () => {
+    const browser = request.agent(app);
+    const start = await browser.post('/api/auth/oidc/mock/authorize');
+    const { code, state } = provider.authorize(start.body.authorizationUrl, profile);
+    const [browserCookie] = start.headers['set-cookie'];
+
+    await browser.post('/api/auth/oidc/mock/callback').send({ code, state }).expect(201);
+
+    const replay = await request(app)
+      .post('/api/auth/oidc/mock/callback')
+      .set('Cookie', browserCookie)
+      .send({ code, state });
+    expect(replay.status).toBe(400);
+  });
+
+  it('should not finish a sign-in started in another browser', async () => {
+    // The attacker starts a flow with their own provider account...
+    const attacker = request.agent(app);
+    const start = await attacker.post('/api/auth/oidc/mock/authorize');
+    const { code, state } = provider.authorize(start.body.authorizationUrl, profile);
+
+    // ...and has the victim's browser complete it
+    const victim = request.agent(app);
+    await victim.post('/api/auth/oidc/mock/authorize');
+    const res = await victim.post('/api/auth/oidc/mock/callback').send({ code, state });
+
+    expect(res.status).toBe(400);
+    expect(await User.countDocuments()).toBe(0);
+  });
+
+  it('should not take over an existing account with the same email', async () => {
+    await User.create({ username: 'existing', email: profile.email, password: 'Password123' });
+
+    const res = await signIn();
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toMatch(/already exists/);
+  });
+
+  it('should return 404 for unknown providers', async () => {
+    const res = await request(app).post('/api/auth/oidc/unknown/authorize');
+
+    expect(res.status).toBe(404);
+  });
+
+  describe('Linking from /api/auth/me', () => {
+    let token;
+
+    beforeEach(async () => {
+      await User.create({ username: 'linker', email: 'linker@example.com', password: 'Password123' });
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'linker@example.com', password: 'Password123' });
+      token = login.body.token;
+    });
+
+    const link = async (claims) => {
+      const browser = request.agent(app);
+      const start = await browser
+        .post('/api/auth/me/identities/mock/authorize')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      const { code, state } = provider.authorize(start.body.authorizationUrl, claims);
+
+      return browser
+        .post('/api/auth/me/identities/mock/callback')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code, state });
+    };
+
+    it('should link a provider and allow signing in with it', async () => {
+      const res = await link({ sub: 'mock-linked', email: 'other-address@example.com' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.identities).toHaveLength(1);
+      expect(res.body.identities[0].provider).toBe('mock');
+
+      const signInRes = await signIn({ sub: 'mock-linked', email: 'other-address@example.com' });
+      expect(signInRes.status).toBe(200);
+      expect(signInRes.body.user.email).toBe('linker@example.com');
+    });
+
+    it('should refuse to link an identity owned by another user', async () => {
+      await signIn();
+
+      const res = await link(profile);
+
+      expect(res.status).toBe(409);
+    });
+
+    it('should unlink a provider', async () => {
+      await link({ sub: 'mock-linked', email: 'linker@example.com' });
+
+      const res = await request(app)
+        .delete('/api/auth/me/identities/mock')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.identities).toHaveLength(0);
+    });
+
+    it('should not unlink the only sign-in method of a password-less account', async () => {
+      const { body } = await signIn();
+
+      const res = await request(app)
+        .delete('/api/auth/me/identities/mock')
+        .set('Authorization', `Bearer ${body.token}`);
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
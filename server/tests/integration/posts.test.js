@@ -24,6 +24,7 @@ beforeAll(async () => {
     username: 'testuser',
     email: 'test@example.com',
     password: 'password123',
+    emailVerified: true,
   });
   userId = user._id;
   token = generateToken(user);
@@ -202,6 +203,30 @@ describe('PUT /api/posts/:id', () => {
     expect(res.body.content).toBe(updates.content);
   });
 
+  it('should ignore fields the server keeps', async () => {
+    const res = await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Updated Test Post',
+        likeCount: 1000,
+        commentCount: 1000,
+        viewCount: 1000,
+        reactionCounts: { like: 1000 },
+        author: new mongoose.Types.ObjectId().toString(),
+        isPublished: true,
+        publishedAt: new Date().toISOString()
+      });
+
+    expect(res.status).toBe(200);
+
+    const post = await Post.findById(postId);
+    expect(post.title).toBe('Updated Test Post');
+    expect(post).toMatchObject({ likeCount: 0, commentCount: 0, viewCount: 0, isPublished: false, publishedAt: null });
+    expect(post.reactionCounts.size).toBe(0);
+    expect(post.author.toString()).toBe(userId.toString());
+  });
+
   it('should return 401 if not authenticated', async () => {
     const updates = {
       title: 'Unauthorized Update',
@@ -0,0 +1,103 @@
+// reactions.test.js - Integration tests for reactions on posts and comments
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Comment = require('../../src/models/Comment');
+const Reaction = require('../../src/models/Reaction');
+const { generateToken } = require('../../src/utils/auth');
+
+describe('Reactions API', () => {
+  let author, reader, post;
+
+  const auth = (user) => ({ Authorization: `Bearer ${generateToken(user)}` });
+
+  const react = (url, user, type) => request(app).post(`${url}/reactions/${type}`).set(auth(user));
+
+  beforeEach(async () => {
+    author = await User.create({ username: 'writer', email: 'writer@example.com', password: 'Password123' });
+    reader = await User.create({ username: 'reader', email: 'reader@example.com', password: 'Password123' });
+    post = await Post.create({
+      title: 'A Moving Post',
+      content: 'Content that moves people',
+      author: author._id,
+      category: new mongoose.Types.ObjectId(),
+      status: 'published'
+    });
+  });
+
+  it('should count one reaction per type per user', async () => {
+    const url = `/api/posts/${post._id}`;
+
+    await react(url, reader, 'love');
+    await react(url, reader, 'love');
+    await react(url, reader, 'wow');
+    const res = await react(url, author, 'love');
+
+    expect(res.status).toBe(200);
+    expect(res.body.reactionCounts).toEqual({ love: 2, wow: 1 });
+
+    const removed = await request(app).delete(`${url}/reactions/love`).set(auth(reader));
+    expect(removed.body.reactionCounts).toEqual({ love: 1, wow: 1 });
+
+    const again = await request(app).delete(`${url}/reactions/love`).set(auth(reader));
+    expect(again.body.reactionCounts).toEqual({ love: 1, wow: 1 });
+  });
+
+  it('should return reaction counts with posts', async () => {
+    await react(`/api/posts/${post._id}`, reader, 'celebrate');
+
+    const single = await request(app).get(`/api/posts/${post._id}`);
+    expect(single.body.post.reactionCounts).toEqual({ celebrate: 1 });
+
+    const list = await request(app).get('/api/posts/published');
+    expect(list.body.posts[0].reactionCounts).toEqual({ celebrate: 1 });
+  });
+
+  it('should reject unknown reaction types', async () => {
+    const res = await react(`/api/posts/${post._id}`, reader, 'meh');
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should list who reacted with what', async () => {
+    const url = `/api/posts/${post._id}`;
+    await react(url, reader, 'laugh');
+    await react(url, author, 'sad');
+
+    const res = await request(app).get(`${url}/reactions?limit=1`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.reactions).toHaveLength(1);
+    expect(res.body.reactions[0]).toMatchObject({ type: 'sad', user: { username: 'writer' } });
+    expect(res.body.pagination.totalReactions).toBe(2);
+    expect(res.body.types.map(reaction => reaction.type)).toContain('laugh');
+
+    const laughs = await request(app).get(`${url}/reactions?type=laugh`);
+    expect(laughs.body.reactions.map(reaction => reaction.user.username)).toEqual(['reader']);
+  });
+
+  it('should support reactions on comments', async () => {
+    const comment = await Comment.create({ post: post._id, author: author._id, content: 'Nice one' });
+    const url = `/api/posts/${post._id}/comments/${comment._id}`;
+
+    const res = await react(url, reader, 'like');
+    expect(res.body.reactionCounts).toEqual({ like: 1 });
+
+    const list = await request(app).get(`/api/posts/${post._id}/comments`);
+    expect(list.body.comments[0].reactionCounts).toEqual({ like: 1 });
+
+    const wrongPost = await react(`/api/posts/${new mongoose.Types.ObjectId()}/comments/${comment._id}`, reader, 'like');
+    expect(wrongPost.status).toBe(404);
+  });
+
+  it('should remove reactions with their post', async () => {
+    await react(`/api/posts/${post._id}`, reader, 'love');
+
+    await request(app).delete(`/api/posts/${post._id}`).set(auth(author));
+
+    expect(await Reaction.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,104 @@
+// revisions.test.js - Integration tests for post revision history
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Category = require('../../src/models/Category');
+const PostRevision = require('../../src/models/PostRevision');
+const { generateToken } = require('../../src/utils/auth');
+
+describe('Post Revisions API', () => {
+  let author, postId;
+
+  const auth = (user) => ({ Authorization: `Bearer ${generateToken(user)}` });
+
+  const edit = (changes, user = author) => request(app)
+    .put(`/api/posts/${postId}`)
+    .set(auth(user))
+    .send(changes);
+
+  beforeEach(async () => {
+    author = await User.create({ username: 'writer', email: 'writer@example.com', password: 'Password123', emailVerified: true });
+    const category = await Category.create({ name: 'Revisions' });
+
+    const res = await request(app)
+      .post('/api/posts')
+      .set(auth(author))
+      .send({ title: 'First Draft Title', content: 'The first version of the content', category: category._id, tags: ['draft'] });
+    postId = res.body.post._id;
+  });
+
+  it('should store a revision for every edit', async () => {
+    await edit({ content: 'The second version of the content' });
+    await edit({ title: 'Final Title', tags: ['final'] });
+    await edit({ title: 'Final Title' });
+
+    const res = await request(app).get(`/api/posts/${postId}/revisions`).set(auth(author));
+
+    expect(res.status).toBe(200);
+    expect(res.body.revisions.map(revision => revision.version)).toEqual([3, 2, 1]);
+    expect(res.body.revisions[0].title).toBe('Final Title');
+    expect(res.body.revisions[0].editor.username).toBe('writer');
+  });
+
+  it('should diff two revisions word by word', async () => {
+    await edit({ content: 'The second version of all content', tags: ['draft', 'edited'] });
+    const revisions = await PostRevision.find({ post: postId }).sort({ version: 1 });
+
+    const res = await request(app)
+      .get(`/api/posts/${postId}/revisions/diff?from=${revisions[0]._id}&to=${revisions[1]._id}`)
+      .set(auth(author));
+
+    expect(res.status).toBe(200);
+    expect(res.body.changes.content).toEqual([
+      { type: 'equal', value: 'The ' },
+      { type: 'delete', value: 'first' },
+      { type: 'insert', value: 'second' },
+      { type: 'equal', value: ' version of ' },
+      { type: 'delete', value: 'the' },
+      { type: 'insert', value: 'all' },
+      { type: 'equal', value: ' content' }
+    ]);
+    expect(res.body.changes.title).toEqual([{ type: 'equal', value: 'First Draft Title' }]);
+    expect(res.body.changes.tags).toEqual({ added: ['edited'], removed: [] });
+  });
+
+  it('should restore an old revision as a new one', async () => {
+    await edit({ title: 'A Worse Title', content: 'Content that should be undone' });
+    const first = await PostRevision.findOne({ post: postId, version: 1 });
+
+    const res = await request(app)
+      .post(`/api/posts/${postId}/revisions/${first._id}/restore`)
+      .set(auth(author));
+
+    expect(res.status).toBe(200);
+    expect(res.body.post.title).toBe('First Draft Title');
+    expect(res.body.revision).toMatchObject({ version: 3, restoredFrom: 1 });
+
+    const post = await Post.findById(postId);
+    expect(post.content).toBe('The first version of the content');
+  });
+
+  it('should record the original text of posts from before revision history', async () => {
+    await PostRevision.deleteMany({});
+
+    await edit({ title: 'Edited Legacy Title' });
+
+    const revisions = await PostRevision.find({ post: postId }).sort({ version: 1 });
+    expect(revisions.map(revision => revision.title)).toEqual(['First Draft Title', 'Edited Legacy Title']);
+  });
+
+  it('should only show history to users who can edit the post', async () => {
+    const other = await User.create({ username: 'other', email: 'other@example.com', password: 'Password123' });
+
+    const res = await request(app).get(`/api/posts/${postId}/revisions`).set(auth(other));
+    expect(res.status).toBe(403);
+
+    const missing = await request(app)
+      .get(`/api/posts/${postId}/revisions/${new mongoose.Types.ObjectId()}`)
+      .set(auth(author));
+    expect(missing.status).toBe(404);
+  });
+});
@@ -0,0 +1,141 @@
+// roles.test.js - Integration tests for roles and permission checks
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Category = require('../../src/models/Category');
+const { generateToken } = require('../../src/utils/auth');
+const { clearPermissionCache } = require('../../src/utils/permissions');
+
+describe('Roles API', () => {
+  let admin, author, other, post;
+
+  const auth = (user) => ({ Authorization: `Bearer ${generateToken(user)}` });
+
+  const updatePost = (user) => request(app)
+    .put(`/api/posts/${post._id}`)
+    .set(auth(user))
+    .send({ title: 'An updated title' });
+
+  beforeEach(async () => {
+    admin = await User.create({ username: 'roleadmin', email: 'roleadmin@example.com', password: 'Password123', role: 'admin' });
+    author = await User.create({ username: 'author', email: 'author@example.com', password: 'Password123' });
+    other = await User.create({ username: 'other', email: 'other@example.com', password: 'Password123' });
+
+    const category = await Category.create({ name: 'Roles' });
+    post = await Post.create({
+      title: 'A post about roles',
+      content: 'Some content about roles and permissions',
+      author: author._id,
+      category: category._id
+    });
+  });
+
+  afterEach(() => {
+    clearPermissionCache();
+  });
+
+  it('should list built-in roles and the permission registry', async () => {
+    const roles = await request(app).get('/api/roles').set(auth(admin));
+    expect(roles.status).toBe(200);
+    expect(roles.body.roles.map(role => role.name)).toEqual(['admin', 'moderator', 'user']);
+
+    const permissions = await request(app).get('/api/roles/permissions').set(auth(admin));
+    expect(permissions.body.permissions.map(permission => permission.name)).toContain('post.update.any');
+  });
+
+  it('should only let users with role.manage manage roles', async () => {
+    const res = await request(app).get('/api/roles').set(auth(other));
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should apply own/any permissions to posts', async () => {
+    expect((await updatePost(author)).status).toBe(200);
+    expect((await updatePost(other)).status).toBe(403);
+
+    const moderator = await User.create({ username: 'mod', email: 'mod@example.com', password: 'Password123', role: 'moderator' });
+    expect((await updatePost(moderator)).status).toBe(200);
+  });
+
+  it('should grant permissions through custom roles', async () => {
+    const created = await request(app)
+      .post('/api/roles')
+      .set(auth(admin))
+      .send({ name: 'Editor', permissions: ['post.update.any'] });
+    expect(created.status).toBe(201);
+    expect(created.body.role.name).toBe('editor');
+
+    const assigned = await request(app)
+      .post(`/api/users/${other._id}/change-role`)
+      .set(auth(admin))
+      .send({ role: 'editor' });
+    expect(assigned.status).toBe(200);
+
+    other.role = 'editor';
+    expect((await updatePost(other)).status).toBe(200);
+
+    const deleteWhileAssigned = await request(app).delete('/api/roles/editor').set(auth(admin));
+    expect(deleteWhileAssigned.status).toBe(400);
+  });
+
+  it('should reject unknown roles and permissions', async () => {
+    const unknownPermission = await request(app)
+      .post('/api/roles')
+      .set(auth(admin))
+      .send({ name: 'broken', permissions: ['post.fly'] });
+    expect(unknownPermission.status).toBe(400);
+
+    const unknownRole = await request(app)
+      .post(`/api/users/${other._id}/change-role`)
+      .set(auth(admin))
+      .send({ role: 'ghost' });
+    expect(unknownRole.status).toBe(400);
+  });
+
+  it('should not treat object prototype keys as built-in roles', async () => {
+    for (const name of ['constructor', 'toString']) {
+      const assigned = await request(app)
+        .post(`/api/users/${other._id}/change-role`)
+        .set(auth(admin))
+        .send({ role: name });
+      expect(assigned.status).toBe(400);
+
+      const updated = await request(app)
+        .put(`/api/roles/${name}`)
+        .set(auth(admin))
+        .send({ permissions: ['post.create'] });
+      expect(updated.status).toBe(404);
+
+      const deleted = await request(app).delete(`/api/roles/${name}`).set(auth(admin));
+      expect(deleted.status).toBe(404);
+    }
+  });
+
+  it('should let admins edit built-in roles at runtime', async () => {
+    const res = await request(app)
+      .put('/api/roles/user')
+      .set(auth(admin))
+      .send({ permissions: ['user.read.own', 'user.update.own'] });
+    expect(res.status).toBe(200);
+
+    const blocked = await request(app)
+      .post('/api/posts')
+      .set(auth(other))
+      .send({ title: 'Not allowed anymore', content: 'Users cannot post now', category: post.category.toString() });
+    expect(blocked.status).toBe(403);
+
+    await request(app).delete('/api/roles/user').set(auth(admin)).expect(200);
+    expect((await updatePost(author)).status).toBe(200);
+  });
+
+  it('should not let the admin role lose role.manage', async () => {
+    const res = await request(app)
+      .put('/api/roles/admin')
+      .set(auth(admin))
+      .send({ permissions: ['user.list'] });
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,150 @@
+// scheduling.test.js - Integration tests for scheduled publishing of posts
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Category = require('../../src/models/Category');
+const { generateToken } = require('../../src/utils/auth');
+const { publishDuePosts } = require('../../src/utils/postScheduler');
+
+describe('Scheduled Publishing', () => {
+  let author, category;
+
+  const auth = (user) => ({ Authorization: `Bearer ${generateToken(user)}` });
+  const inMinutes = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+  const createDraft = (title = 'Scheduled Post Title') => Post.create({
+    title,
+    content: 'Content that goes live later',
+    author: author._id,
+    category: category._id
+  });
+
+  beforeEach(async () => {
+    author = await User.create({ username: 'writer', email: 'writer@example.com', password: 'Password123', emailVerified: true });
+    category = await Category.create({ name: 'Scheduling' });
+  });
+
+  it('should create scheduled posts that stay hidden until due', async () => {
+    const res = await request(app)
+      .post('/api/posts')
+      .set(auth(author))
+      .send({
+        title: 'Scheduled Post Title',
+        content: 'Content that goes live later',
+        category: category._id,
+        status: 'scheduled',
+        publishAt: inMinutes(60).toISOString()
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.post.status).toBe('scheduled');
+    expect(res.body.post.publishedAt).toBeNull();
+
+    const published = await request(app).get('/api/posts/published');
+    expect(published.body.posts).toHaveLength(0);
+  });
+
+  it('should require a future publish date', async () => {
+    const base = { title: 'Scheduled Post Title', content: 'Content that goes live later', category: category._id, status: 'scheduled' };
+
+    const missing = await request(app).post('/api/posts').set(auth(author)).send(base);
+    expect(missing.status).toBe(400);
+
+    const past = await request(app).post('/api/posts').set(auth(author)).send({ ...base, publishAt: inMinutes(-5).toISOString() });
+    expect(past.status).toBe(400);
+  });
+
+  it('should publish due posts exactly once', async () => {
+    const due = await createDraft('A Post That Is Due');
+    const later = await createDraft('A Post For Later');
+    await Post.updateOne({ _id: due._id }, { status: 'scheduled', publishAt: inMinutes(-1) });
+    await Post.updateOne({ _id: later._id }, { status: 'scheduled', publishAt: inMinutes(60) });
+
+    // Several server instances running the scheduler at the same time
+    const runs = await Promise.all([publishDuePosts(), publishDuePosts(), publishDuePosts()]);
+
+    expect(runs.flat().map(post => post.title)).toEqual(['A Post That Is Due']);
+
+    const published = await Post.findById(due._id);
+    expect(published.status).toBe('published');
+    expect(published.isPublished).toBe(true);
+    expect(published.publishedAt).toBeInstanceOf(Date);
+    expect((await Post.findById(later._id)).status).toBe('scheduled');
+  });
+
+  it('should reschedule and cancel scheduled posts', async () => {
+    const post = await createDraft();
+    const url = `/api/posts/${post._id}/schedule`;
+
+    const scheduled = await request(app).put(url).set(auth(author)).send({ publishAt: inMinutes(30).toISOString() });
+    expect(scheduled.status).toBe(200);
+    expect(scheduled.body.post.status).toBe('scheduled');
+
+    const moved = inMinutes(90);
+    const rescheduled = await request(app).put(url).set(auth(author)).send({ publishAt: moved.toISOString() });
+    expect(new Date(rescheduled.body.post.publishAt).getTime()).toBe(moved.getTime());
+
+    const cancelled = await request(app).delete(url).set(auth(author));
+    expect(cancelled.status).toBe(200);
+    expect(cancelled.body.post).toMatchObject({ status: 'draft', publishAt: null });
+
+    const again = await request(app).delete(url).set(auth(author));
+    expect(again.status).toBe(400);
+  });
+
+  it('should apply the scheduling rules to status changes in PUT /api/posts/:id', async () => {
+    const post = await createDraft();
+    const url = `/api/posts/${post._id}`;
+
+    const scheduled = await request(app).put(url).set(auth(author)).send({ status: 'scheduled', publishAt: inMinutes(30).toISOString() });
+    expect(scheduled.status).toBe(200);
+    expect(scheduled.body.post.isPublished).toBe(false);
+
+    const unscheduled = await request(app).put(url).set(auth(author)).send({ status: 'draft' });
+    expect(unscheduled.body.post).toMatchObject({ status: 'draft', publishAt: null });
+
+    await Post.updateOne({ _id: post._id }, { status: 'published', isPublished: true });
+    const republished = await request(app).put(url).set(auth(author)).send({ status: 'scheduled', publishAt: inMinutes(30).toISOString() });
+    expect(republished.status).toBe(400);
+    expect((await Post.findById(post._id)).status).toBe('published');
+  });
+
+  it('should publish a scheduled post straight away through PUT /api/posts/:id', async () => {
+    const post = await createDraft();
+    await Post.updateOne({ _id: post._id }, { status: 'scheduled', publishAt: inMinutes(30) });
+
+    const res = await request(app).put(`/api/posts/${post._id}`).set(auth(author)).send({ status: 'published' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.post).toMatchObject({ status: 'published', isPublished: true, publishAt: null });
+    expect(res.body.post.publishedAt).not.toBeNull();
+
+    const published = await request(app).get('/api/posts/published');
+    expect(published.body.posts.map(item => item._id)).toEqual([post._id.toString()]);
+  });
+
+  it('should not schedule published posts or other authors\' posts', async () => {
+    const post = await createDraft();
+    await Post.updateOne({ _id: post._id }, { status: 'published', isPublished: true });
+
+    const published = await request(app)
+      .put(`/api/posts/${post._id}/schedule`)
+      .set(auth(author))
+      .send({ publishAt: inMinutes(30).toISOString() });
+    expect(published.status).toBe(400);
+
+    const other = await User.create({ username: 'other', email: 'other@example.com', password: 'Password123' });
+    const forbidden = await request(app)
+      .delete(`/api/posts/${post._id}/schedule`)
+      .set(auth(other));
+    expect(forbidden.status).toBe(403);
+
+    const missing = await request(app)
+      .delete(`/api/posts/${new mongoose.Types.ObjectId()}/schedule`)
+      .set(auth(author));
+    expect(missing.status).toBe(404);
+  });
+});
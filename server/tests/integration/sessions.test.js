@@ -0,0 +1,113 @@
+// sessions.test.js - Integration tests for session listing and revocation
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+const credentials = {
+  email: 'sessions@example.com',
+  password: 'Password123'
+};
+
+const login = (userAgent = 'jest') => request(app)
+  .post('/api/auth/login')
+  .set('User-Agent', userAgent)
+  .send(credentials);
+
+describe('Sessions API', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await User.create({ username: 'sessionuser', ...credentials });
+  });
+
+  it('should list active sessions and flag the current one', async () => {
+    await login('laptop');
+    const { body } = await login('phone');
+
+    const res = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${body.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.sessions).toHaveLength(2);
+
+    const current = res.body.sessions.find(session => session.current);
+    expect(current.userAgent).toBe('phone');
+    expect(current.ip).toBeDefined();
+    expect(current.lastSeenAt).toBeDefined();
+  });
+
+  it('should reject access tokens of a revoked session', async () => {
+    const laptop = await login('laptop');
+    const phone = await login('phone');
+
+    const list = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${phone.body.token}`);
+    const laptopSession = list.body.sessions.find(session => session.userAgent === 'laptop');
+
+    await request(app)
+      .delete(`/api/auth/sessions/${laptopSession._id}`)
+      .set('Authorization', `Bearer ${phone.body.token}`)
+      .expect(200);
+
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${laptop.body.token}`);
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Session has been revoked');
+
+    const refresh = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: laptop.body.refreshToken });
+    expect(refresh.status).toBe(401);
+  });
+
+  it('should not revoke sessions of other users', async () => {
+    const { body } = await login();
+    const other = await User.create({
+      username: 'otheruser',
+      email: 'other@example.com',
+      password: 'Password123'
+    });
+
+    const list = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${body.token}`);
+
+    const res = await request(app)
+      .delete(`/api/auth/sessions/${list.body.sessions[0]._id}`)
+      .set('Authorization', `Bearer ${generateToken(other)}`);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should let admins list and revoke sessions of any user', async () => {
+    const { body } = await login();
+    const admin = await User.create({
+      username: 'adminuser',
+      email: 'admin@example.com',
+      password: 'Password123',
+      role: 'admin'
+    });
+    const adminToken = generateToken(admin);
+
+    const list = await request(app)
+      .get(`/api/users/${user._id}/sessions`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(list.status).toBe(200);
+    expect(list.body.sessions).toHaveLength(1);
+
+    await request(app)
+      .delete(`/api/users/${user._id}/sessions/${list.body.sessions[0]._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${body.token}`);
+    expect(res.status).toBe(401);
+  });
+});
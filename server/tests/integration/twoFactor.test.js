@@ -0,0 +1,170 @@
+// twoFactor.test.js - Integration tests for two-factor authentication
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Setting = require('../../src/models/Setting');
+const { generateTotp } = require('../../src/utils/totp');
+
+const credentials = {
+  email: 'mfa@example.com',
+  password: 'Password123'
+};
+
+const login = () => request(app).post('/api/auth/login').send(credentials);
+
+// Codes are single-use per time step, so tests that need two codes use adjacent steps
+const codeAt = (secret, offsetSteps = 0) => generateTotp(secret, Date.now() + offsetSteps * 30000);
+
+describe('Two-factor authentication', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await User.create({ username: 'mfauser', ...credentials });
+  });
+
+  const enroll = async () => {
+    const { body } = await login();
+
+    const setup = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${body.token}`);
+
+    const enable = await request(app)
+      .post('/api/auth/2fa/enable')
+      .set('Authorization', `Bearer ${body.token}`)
+      .send({ code: codeAt(setup.body.secret, -1) });
+
+    return { secret: setup.body.secret, recoveryCodes: enable.body.recoveryCodes };
+  };
+
+  it('should return an otpauth URI on setup', async () => {
+    const { body } = await login();
+
+    const res = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${body.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+  });
+
+  it('should enable 2FA and return recovery codes', async () => {
+    const { recoveryCodes } = await enroll();
+
+    expect(recoveryCodes).toHaveLength(10);
+
+    const stored = await User.findWithTwoFactorSecrets(user._id);
+    expect(stored.twoFactor.enabled).toBe(true);
+    expect(stored.twoFactor.recoveryCodes).not.toContain(recoveryCodes[0]);
+  });
+
+  it('should require a second factor on login once enabled', async () => {
+    const { secret } = await enroll();
+
+    const res = await login();
+    expect(res.status).toBe(200);
+    expect(res.body.mfaRequired).toBe(true);
+    expect(res.body.token).toBeUndefined();
+
+    const mfa = await request(app)
+      .post('/api/auth/login/mfa')
+      .send({ mfaToken: res.body.mfaToken, code: codeAt(secret) });
+
+    expect(mfa.status).toBe(200);
+    expect(mfa.body.token).toBeDefined();
+  });
+
+  it('should not accept the mfa pending token as an access token', async () => {
+    await enroll();
+    const { body } = await login();
+
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${body.mfaToken}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should accept a recovery code only once', async () => {
+    const { recoveryCodes } = await enroll();
+
+    const first = await login();
+    const ok = await request(app)
+      .post('/api/auth/login/mfa')
+      .send({ mfaToken: first.body.mfaToken, recoveryCode: recoveryCodes[0] });
+    expect(ok.status).toBe(200);
+
+    const second = await login();
+    const replay = await request(app)
+      .post('/api/auth/login/mfa')
+      .send({ mfaToken: second.body.mfaToken, recoveryCode: recoveryCodes[0] });
+    expect(replay.status).toBe(401);
+  });
+
+  it('should give one session for concurrent requests with the same mfa token', async () => {
+    const { recoveryCodes } = await enroll();
+    const { body } = await login();
+
+    const responses = await Promise.all(recoveryCodes.slice(0, 2).map(recoveryCode => request(app)
+      .post('/api/auth/login/mfa')
+      .send({ mfaToken: body.mfaToken, recoveryCode })));
+
+    expect(responses.map(res => res.status).sort()).toEqual([200, 401]);
+  });
+
+  it('should reject a wrong code', async () => {
+    await enroll();
+    const { body } = await login();
+
+    const res = await request(app)
+      .post('/api/auth/login/mfa')
+      .send({ mfaToken: body.mfaToken, code: '000000' });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should lock the account and revoke the mfa token after repeated wrong codes', async () => {
+    const { secret } = await enroll();
+    const { body } = await login();
+
+    let res;
+    for (let i = 0; i < 5; i++) {
+      res = await request(app)
+        .post('/api/auth/login/mfa')
+        .send({ mfaToken: body.mfaToken, code: '000000' });
+    }
+    expect(res.status).toBe(423);
+
+    // Logging in with the password again doesn't reset the count
+    const locked = await login();
+    expect(locked.status).toBe(423);
+
+    const retry = await request(app)
+      .post('/api/auth/login/mfa')
+      .send({ mfaToken: body.mfaToken, code: codeAt(secret) });
+    expect(retry.status).toBe(401);
+  });
+
+  it('should force enrollment for roles that require 2FA', async () => {
+    await User.updateOne({ _id: user._id }, { role: 'moderator' });
+    await Setting.setValue('mfa.requiredRoles', ['moderator']);
+
+    const res = await login();
+    expect(res.body.mfaRequired).toBe(true);
+    expect(res.body.mfaSetupRequired).toBe(true);
+
+    const setup = await request(app)
+      .post('/api/auth/login/mfa/setup')
+      .send({ mfaToken: res.body.mfaToken });
+    expect(setup.status).toBe(200);
+
+    const mfa = await request(app)
+      .post('/api/auth/login/mfa')
+      .send({ mfaToken: res.body.mfaToken, code: codeAt(setup.body.secret) });
+
+    expect(mfa.status).toBe(200);
+    expect(mfa.body.token).toBeDefined();
+    expect(mfa.body.recoveryCodes).toHaveLength(10);
+  });
+});
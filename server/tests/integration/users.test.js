@@ -0,0 +1,116 @@
+// users.test.js - Integration tests for user management endpoints
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Comment = require('../../src/models/Comment');
+const Like = require('../../src/models/Like');
+const Reaction = require('../../src/models/Reaction');
+const { generateToken } = require('../../src/utils/auth');
+
+describe('Users API', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await User.create({ username: 'member', email: 'member@example.com', password: 'Password123' });
+  });
+
+  const expectNoSecurityFields = (body) => {
+    ['password', 'tokensValidAfter', 'failedLoginAttempts', 'lockUntil', 'identities'].forEach((field) => {
+      expect(body).not.toHaveProperty(field);
+    });
+  };
+
+  describe('GET /api/users/:id', () => {
+    it('should not expose security fields', async () => {
+      await User.updateOne({ _id: user._id }, {
+        failedLoginAttempts: 2,
+        lockUntil: new Date(Date.now() - 1000),
+        identities: [{ provider: 'mock', subject: 'sub-1', email: 'member@example.com' }]
+      });
+
+      const res = await request(app)
+        .get(`/api/users/${user._id}`)
+        .set('Authorization', `Bearer ${generateToken(user)}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.user.username).toBe('member');
+      expectNoSecurityFields(res.body.user);
+    });
+  });
+
+  describe('PUT /api/users/:id', () => {
+    it('should update profile fields', async () => {
+      const res = await request(app)
+        .put(`/api/users/${user._id}`)
+        .set('Authorization', `Bearer ${generateToken(user)}`)
+        .send({ firstName: 'Mem', bio: 'Hello there' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.user.firstName).toBe('Mem');
+      expect(res.body.user.bio).toBe('Hello there');
+      expectNoSecurityFields(res.body.user);
+    });
+
+    it('should ignore password, verification and security fields', async () => {
+      const res = await request(app)
+        .put(`/api/users/${user._id}`)
+        .set('Authorization', `Bearer ${generateToken(user)}`)
+        .send({
+          firstName: 'Sneaky',
+          emailVerified: true,
+          password: 'plaintext',
+          twoFactor: { enabled: true },
+          tokensValidAfter: null
+        });
+
+      expect(res.status).toBe(200);
+
+      const stored = await User.findById(user._id).select('+password');
+      expect(stored.firstName).toBe('Sneaky');
+      expect(stored.emailVerified).toBe(false);
+      expect(stored.twoFactor.enabled).toBe(false);
+      expect(stored.password).not.toBe('plaintext');
+      expect(await stored.comparePassword('Password123')).toBe(true);
+    });
+  });
+
+  describe('DELETE /api/users/:id', () => {
+    it('should remove the user\'s posts and their likes, reactions and comments elsewhere', async () => {
+      const admin = await User.create({ username: 'useradmin', email: 'useradmin@example.com', password: 'Password123', role: 'admin' });
+      const writer = await User.create({ username: 'writer', email: 'writer@example.com', password: 'Password123', emailVerified: true });
+      await User.updateOne({ _id: user._id }, { emailVerified: true });
+      const auth = (someone) => ({ Authorization: `Bearer ${generateToken(someone)}` });
+
+      const [ownPost, otherPost] = await Post.create([
+        { title: 'Member Post', content: 'By the member', author: user._id, category: new mongoose.Types.ObjectId(), status: 'published' },
+        { title: 'Writer Post', content: 'By the writer', author: writer._id, category: new mongoose.Types.ObjectId(), status: 'published' }
+      ]);
+
+      await request(app).post(`/api/posts/${ownPost._id}/comments`).set(auth(writer)).send({ content: 'Nice one' });
+      await request(app).post(`/api/posts/${otherPost._id}/like`).set(auth(user));
+      await request(app).post(`/api/posts/${otherPost._id}/reactions/love`).set(auth(user));
+      const commented = await request(app).post(`/api/posts/${otherPost._id}/comments`).set(auth(user)).send({ content: 'Great post' });
+
+      const res = await request(app)
+        .delete(`/api/users/${user._id}`)
+        .set(auth(admin));
+
+      expect(res.status).toBe(200);
+      expect(await Post.findById(ownPost._id)).toBeNull();
+      expect(await Comment.countDocuments({ post: ownPost._id })).toBe(0);
+      expect(await Like.countDocuments({ user: user._id })).toBe(0);
+      expect(await Reaction.countDocuments({ user: user._id })).toBe(0);
+
+      const updated = await Post.findById(otherPost._id);
+      expect(updated.likeCount).toBe(0);
+      expect(updated.commentCount).toBe(0);
+      expect(updated.reactionCounts.get('love')).toBe(0);
+
+      const comment = await Comment.findById(commented.body.comment.id);
+      expect(comment.isDeleted).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+// oidcProvider.js - Minimal OpenID Connect provider for integration tests
+
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Start a local OIDC provider supporting the authorization-code flow with PKCE.
+ * Instead of a login page, `authorize(url, profile)` plays the part of the
+ * user approving the request and returns the code/state the client gets back.
+ * @returns {Object} Provider handle
+ */
+const startMockOidcProvider = async () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'mock-key';
+  const codes = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const issuer = `http://127.0.0.1:${server.address().port}`;
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+  });
+
+  app.post('/token', (req, res) => {
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+
+    if (!grant || grant.clientId !== req.body.client_id || grant.redirectUri !== req.body.redirect_uri ||
+      grant.codeChallenge !== challenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign({
+      sub: grant.profile.sub,
+      email: grant.profile.email,
+      email_verified: grant.profile.emailVerified !== false,
+      preferred_username: grant.profile.preferredUsername,
+      nonce: grant.nonce
+    }, privateKey, {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer,
+      audience: grant.clientId,
+      expiresIn: '5m'
+    });
+
+    res.json({ access_token: 'mock-access-token', token_type: 'Bearer', id_token: idToken });
+  });
+
+  return {
+    issuer,
+
+    /**
+     * Provider entry for OIDC_PROVIDERS
+     * @param {String} name - Provider name
+     * @returns {Object} Provider configuration
+     */
+    config: (name = 'mock') => ({
+      name,
+      issuer,
+      clientId: 'mock-client',
+      clientSecret: 'mock-secret',
+      redirectUri: 'http://localhost:5173/auth/callback'
+    }),
+
+    /**
+     * Approve an authorization request as the given user
+     * @param {String} authorizationUrl - URL returned by our authorize endpoint
+     * @param {Object} profile - sub, email, emailVerified, preferredUsername
+     * @returns {Object} code and state for the callback
+     */
+    authorize: (authorizationUrl, profile) => {
+      const params = new URL(authorizationUrl).searchParams;
+      const code = crypto.randomBytes(16).toString('hex');
+
+      codes.set(code, {
+        clientId: params.get('client_id'),
+        redirectUri: params.get('redirect_uri'),
+        codeChallenge: params.get('code_challenge'),
+        nonce: params.get('nonce'),
+        profile
+      });
+
+      return { code, state: params.get('state') };
+    },
+
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+module.exports = { startMockOidcProvider };
@@ -27,8 +27,7 @@ beforeAll(async () => {
       // Create a test user
       createTestUser: async (userData = {}) => {
         const User = require('../src/models/User');
-        const bcrypt = require('bcryptjs');
-        
+
         const defaultUser = {
           username: 'testuser',
           email: 'test@example.com',
@@ -37,14 +36,8 @@ beforeAll(async () => {
           lastName: 'User'
         };
         
-        const userDataToSave = { ...defaultUser, ...userData };
-        
-        // Hash password if provided
-        if (userDataToSave.password) {
-          userDataToSave.password = await bcrypt.hash(userDataToSave.password, 10);
-        }
-        
-        const user = new User(userDataToSave);
+        // The password is hashed by the model's pre-save hook
+        const user = new User({ ...defaultUser, ...userData });
         return await user.save();
       },
 
@@ -346,6 +346,35 @@ describe('User Model', () => {
         await expect(User.findByCredentials('test@example.com', 'WrongPassword'))
           .rejects.toThrow('Invalid login credentials');
       });
+
+      it('should count failed attempts', async () => {
+        await expect(User.findByCredentials('test@example.com', 'WrongPassword')).rejects.toThrow();
+
+        const updatedUser = await User.findById(user._id);
+        expect(updatedUser.failedLoginAttempts).toBe(1);
+        expect(updatedUser.isLocked).toBe(false);
+      });
+
+      it('should lock the account after too many failed attempts', async () => {
+        for (let i = 0; i < 5; i++) {
+          await expect(User.findByCredentials('test@example.com', 'WrongPassword')).rejects.toThrow();
+        }
+
+        const lockedUser = await User.findById(user._id);
+        expect(lockedUser.isLocked).toBe(true);
+
+        // Even the correct password is refused while locked
+        await expect(User.findByCredentials('test@example.com', 'Password123'))
+          .rejects.toMatchObject({ statusCode: 423 });
+      });
+
+      it('should reset failed attempts after a successful login', async () => {
+        await expect(User.findByCredentials('test@example.com', 'WrongPassword')).rejects.toThrow();
+        await User.findByCredentials('test@example.com', 'Password123');
+
+        const updatedUser = await User.findById(user._id);
+        expect(updatedUser.failedLoginAttempts).toBe(0);
+      });
     });
 
     describe('emailExists', () => {
@@ -0,0 +1,42 @@
+const { diffChanges } = require('../../src/utils/audit');
+
+describe('Audit Utilities', () => {
+  describe('diffChanges', () => {
+    it('should only include changed fields', () => {
+      const changes = diffChanges(
+        { firstName: 'Ann', lastName: 'Lee', role: 'user' },
+        { firstName: 'Ann', lastName: 'Smith', role: 'admin' }
+      );
+
+      expect(changes).toEqual({
+        before: { lastName: 'Lee', role: 'user' },
+        after: { lastName: 'Smith', role: 'admin' }
+      });
+    });
+
+    it('should limit the comparison to the given fields', () => {
+      const changes = diffChanges({ bio: 'a', role: 'user' }, { bio: 'b', role: 'admin' }, ['bio']);
+
+      expect(changes).toEqual({ before: { bio: 'a' }, after: { bio: 'b' } });
+    });
+
+    it('should redact sensitive values', () => {
+      const changes = diffChanges({ password: 'old-hash' }, { password: 'new-hash' });
+
+      expect(changes).toEqual({ before: { password: '[redacted]' }, after: { password: '[redacted]' } });
+    });
+
+    it('should compare dates and nested values by content', () => {
+      const date = new Date('2024-01-01T00:00:00Z');
+
+      expect(diffChanges(
+        { lockUntil: date, tags: ['a'] },
+        { lockUntil: new Date(date), tags: ['a'] }
+      )).toBeNull();
+    });
+
+    it('should treat missing values as null', () => {
+      expect(diffChanges({}, { bio: 'New' })).toEqual({ before: { bio: null }, after: { bio: 'New' } });
+    });
+  });
+});
@@ -2,11 +2,12 @@ const jwt = require('jsonwebtoken');
 const { 
   generateToken, 
   verifyToken, 
+  getTokenErrorMessage,
   decodeToken, 
+  parseAuthorizationHeader,
   extractTokenFromHeader,
   isTokenExpired,
-  getTokenExpiration,
-  refreshToken
+  getTokenExpiration
 } = require('../../src/utils/auth');
 
 // Mock the logger to avoid console output during tests
@@ -140,6 +141,74 @@ describe('Auth Utilities', () => {
 
       expect(() => verifyToken(wrongAudienceToken)).toThrow('Invalid token');
     });
+
+    it('should report why verification failed', () => {
+      const secret = process.env.JWT_SECRET || 'your-secret-key';
+      const codeFor = (token) => {
+        try {
+          verifyToken(token);
+        } catch (error) {
+          return error.code;
+        }
+        return null;
+      };
+
+      expect(codeFor(jwt.sign(
+        { ...mockUser, exp: Math.floor(Date.now() / 1000) - 3600 },
+        secret,
+        { issuer: 'mern-testing-app', audience: 'mern-testing-users' }
+      ))).toBe('TOKEN_EXPIRED');
+      expect(codeFor(jwt.sign(mockUser, secret, { issuer: 'wrong-issuer', audience: 'mern-testing-users' })))
+        .toBe('TOKEN_ISSUER_MISMATCH');
+      expect(codeFor(jwt.sign(mockUser, secret, { issuer: 'mern-testing-app', audience: 'wrong-audience' })))
+        .toBe('TOKEN_AUDIENCE_MISMATCH');
+      expect(codeFor('invalid.token.here')).toBe('TOKEN_INVALID');
+    });
+
+    it('should word token errors the same way for every caller', () => {
+      const messageFor = (token) => {
+        try {
+          verifyToken(token);
+        } catch (error) {
+          return getTokenErrorMessage(error);
+        }
+        return null;
+      };
+      const secret = process.env.JWT_SECRET || 'your-secret-key';
+
+      expect(messageFor('invalid.token.here')).toBe('Authentication failed');
+      expect(messageFor(jwt.sign(mockUser, secret, { issuer: 'mern-testing-app', audience: 'wrong-audience' })))
+        .toBe('Token audience mismatch');
+      expect(getTokenErrorMessage(new jwt.TokenExpiredError('jwt expired', new Date()))).toBe('Token expired');
+      expect(getTokenErrorMessage(new Error('Authorization header missing'))).toBe('Authentication failed');
+    });
+
+    it('should reject tokens using an algorithm other than the key\'s', () => {
+      const noneToken = jwt.sign(mockUser, null, {
+        algorithm: 'none',
+        issuer: 'mern-testing-app',
+        audience: 'mern-testing-users'
+      });
+
+      expect(() => verifyToken(noneToken)).toThrow('Invalid token');
+    });
+
+    it('should honour JWT_CLOCK_TOLERANCE', () => {
+      const justExpired = jwt.sign(
+        { ...mockUser, exp: Math.floor(Date.now() / 1000) - 5 },
+        process.env.JWT_SECRET || 'your-secret-key',
+        { issuer: 'mern-testing-app', audience: 'mern-testing-users' }
+      );
+
+      process.env.JWT_CLOCK_TOLERANCE = '30';
+      jest.isolateModules(() => {
+        const { verifyToken: tolerantVerify } = require('../../src/utils/auth');
+        expect(tolerantVerify(justExpired).email).toBe(mockUser.email);
+      });
+      delete process.env.JWT_CLOCK_TOLERANCE;
+
+      expect(() => verifyToken(justExpired)).toThrow('Invalid token');
+    });
   });
 
   describe('decodeToken', () => {
@@ -197,6 +266,32 @@ describe('Auth Utilities', () => {
 
     it('should throw error for non-Bearer scheme', () => {
       expect(() => extractTokenFromHeader('Basic dGVzdDp0ZXN0')).toThrow('Invalid authorization header format');
+      expect(() => extractTokenFromHeader('ApiKey mk_abc_def')).toThrow('Invalid authorization header format');
+    });
+  });
+
+  describe('parseAuthorizationHeader', () => {
+    it('should parse a Bearer header', () => {
+      expect(parseAuthorizationHeader('Bearer valid.jwt.token')).toEqual({
+        scheme: 'Bearer',
+        credentials: 'valid.jwt.token'
+      });
+    });
+
+    it('should parse an ApiKey header', () => {
+      expect(parseAuthorizationHeader('ApiKey mk_abc_def')).toEqual({
+        scheme: 'ApiKey',
+        credentials: 'mk_abc_def'
+      });
+    });
+
+    it('should throw error for unsupported schemes', () => {
+      expect(() => parseAuthorizationHeader('Basic dGVzdDp0ZXN0')).toThrow('Invalid authorization header format');
+      expect(() => parseAuthorizationHeader('ApiKey')).toThrow('Invalid authorization header format');
+    });
+
+    it('should throw error for missing header', () => {
+      expect(() => parseAuthorizationHeader(undefined)).toThrow('Authorization header missing');
     });
   });
 
@@ -261,59 +356,6 @@ describe('Auth Utilities', () => {
     });
   });
 
-  describe('refreshToken', () => {
-    let originalToken;
-
-    beforeEach(() => {
-      originalToken = generateToken(mockUser);
-    });
-
-    it('should generate new token with same payload', () => {
-      const newToken = refreshToken(originalToken);
-
-      expect(newToken).toBeDefined();
-      expect(typeof newToken).toBe('string');
-      expect(newToken).not.toBe(originalToken);
-
-      const originalDecoded = jwt.decode(originalToken);
-      const newDecoded = jwt.decode(newToken);
-
-      expect(newDecoded.id).toBe(originalDecoded.id);
-      expect(newDecoded.email).toBe(originalDecoded.email);
-      expect(newDecoded.username).toBe(originalDecoded.username);
-      expect(newDecoded.role).toBe(originalDecoded.role);
-    });
-
-    it('should have new expiration time', () => {
-      const newToken = refreshToken(originalToken);
-
-      const originalDecoded = jwt.decode(originalToken);
-      const newDecoded = jwt.decode(newToken);
-
-      expect(newDecoded.exp).toBeGreaterThan(originalDecoded.exp);
-    });
-
-    it('should throw error for invalid token', () => {
-      expect(() => refreshToken('invalid.token')).toThrow('Token refresh failed');
-    });
-
-    it('should throw error for malformed token', () => {
-      expect(() => refreshToken('not.a.jwt.token')).toThrow('Token refresh failed');
-    });
-
-    it('should handle token generation failure', () => {
-      // Mock generateToken to throw error
-      const originalGenerateToken = require('../../src/utils/auth').generateToken;
-      require('../../src/utils/auth').generateToken = jest.fn().mockImplementation(() => {
-        throw new Error('Token generation failed');
-      });
-
-      expect(() => refreshToken(originalToken)).toThrow('Token refresh failed');
-
-      require('../../src/utils/auth').generateToken = originalGenerateToken;
-    });
-  });
-
   describe('Environment Variables', () => {
     const originalEnv = process.env;
 
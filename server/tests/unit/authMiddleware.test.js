@@ -8,12 +8,14 @@ const {
   authRateLimit 
 } = require('../../src/middleware/auth');
 const User = require('../../src/models/User');
+const jwt = require('jsonwebtoken');
 const { generateToken } = require('../../src/utils/auth');
 
 // Mock the logger to avoid console output during tests
 jest.mock('../../src/utils/logger', () => ({
   logger: {
     info: jest.fn(),
+    warn: jest.fn(),
     error: jest.fn(),
     debug: jest.fn()
   }
@@ -172,47 +174,47 @@ describe('Auth Middleware', () => {
       mockReq.user = testUser;
     });
 
-    it('should allow access for user with required role', () => {
+    it('should allow access for user with required role', async () => {
       const authorizeUser = authorize('user');
 
-      authorizeUser(mockReq, mockRes, mockNext);
+      await authorizeUser(mockReq, mockRes, mockNext);
 
       expect(mockNext).toHaveBeenCalledWith();
     });
 
-    it('should allow access for user with one of required roles', () => {
+    it('should allow access for user with one of required roles', async () => {
       const authorizeModeratorOrAdmin = authorize(['moderator', 'admin']);
 
-      authorizeModeratorOrAdmin(mockReq, mockRes, mockNext);
+      await authorizeModeratorOrAdmin(mockReq, mockRes, mockNext);
 
       expect(mockNext).toHaveBeenCalledWith();
     });
 
-    it('should deny access for user without required role', () => {
+    it('should deny access for user without required role', async () => {
       const authorizeAdmin = authorize('admin');
 
-      authorizeAdmin(mockReq, mockRes, mockNext);
+      await authorizeAdmin(mockReq, mockRes, mockNext);
 
       expect(mockRes.status).toHaveBeenCalledWith(403);
       expect(mockRes.json).toHaveBeenCalledWith({ error: 'Insufficient permissions' });
       expect(mockNext).not.toHaveBeenCalled();
     });
 
-    it('should return 401 for unauthenticated user', () => {
+    it('should return 401 for unauthenticated user', async () => {
       mockReq.user = null;
       const authorizeUser = authorize('user');
 
-      authorizeUser(mockReq, mockRes, mockNext);
+      await authorizeUser(mockReq, mockRes, mockNext);
 
       expect(mockRes.status).toHaveBeenCalledWith(401);
       expect(mockRes.json).toHaveBeenCalledWith({ error: 'Authentication required' });
       expect(mockNext).not.toHaveBeenCalled();
     });
 
-    it('should handle single role as array', () => {
+    it('should handle single role as array', async () => {
       const authorizeUser = authorize('user');
 
-      authorizeUser(mockReq, mockRes, mockNext);
+      await authorizeUser(mockReq, mockRes, mockNext);
 
       expect(mockNext).toHaveBeenCalledWith();
     });
@@ -231,13 +233,13 @@ describe('Auth Middleware', () => {
       await testUser.save();
       mockReq.user = testUser;
 
-      requireAdmin(mockReq, mockRes, mockNext);
+      await requireAdmin(mockReq, mockRes, mockNext);
 
       expect(mockNext).toHaveBeenCalledWith();
     });
 
-    it('should deny access for non-admin user', () => {
-      requireAdmin(mockReq, mockRes, mockNext);
+    it('should deny access for non-admin user', async () => {
+      await requireAdmin(mockReq, mockRes, mockNext);
 
       expect(mockRes.status).toHaveBeenCalledWith(403);
       expect(mockRes.json).toHaveBeenCalledWith({ error: 'Insufficient permissions' });
@@ -249,7 +251,7 @@ describe('Auth Middleware', () => {
       await testUser.save();
       mockReq.user = testUser;
 
-      requireAdmin(mockReq, mockRes, mockNext);
+      await requireAdmin(mockReq, mockRes, mockNext);
 
       expect(mockRes.status).toHaveBeenCalledWith(403);
       expect(mockRes.json).toHaveBeenCalledWith({ error: 'Insufficient permissions' });
@@ -270,7 +272,7 @@ describe('Auth Middleware', () => {
       await testUser.save();
       mockReq.user = testUser;
 
-      requireModerator(mockReq, mockRes, mockNext);
+      await requireModerator(mockReq, mockRes, mockNext);
 
       expect(mockNext).toHaveBeenCalledWith();
     });
@@ -280,13 +282,13 @@ describe('Auth Middleware', () => {
       await testUser.save();
       mockReq.user = testUser;
 
-      requireModerator(mockReq, mockRes, mockNext);
+      await requireModerator(mockReq, mockRes, mockNext);
 
       expect(mockNext).toHaveBeenCalledWith();
     });
 
-    it('should deny access for regular user', () => {
-      requireModerator(mockReq, mockRes, mockNext);
+    it('should deny access for regular user', async () => {
+      await requireModerator(mockReq, mockRes, mockNext);
 
       expect(mockRes.status).toHaveBeenCalledWith(403);
       expect(mockRes.json).toHaveBeenCalledWith({ error: 'Insufficient permissions' });
@@ -306,77 +308,111 @@ describe('Auth Middleware', () => {
       });
     });
 
-    it('should allow access for admin to any resource', () => {
+    it('should allow access for admin to any resource', async () => {
       mockReq.user = adminUser;
       mockReq.params = { userId: testUser._id.toString() };
 
       const middleware = requireSelfOrAdmin('userId');
-      middleware(mockReq, mockRes, mockNext);
+      await middleware(mockReq, mockRes, mockNext);
 
       expect(mockNext).toHaveBeenCalledWith();
     });
 
-    it('should allow access for user to their own resource', () => {
+    it('should allow access for user to their own resource', async () => {
       mockReq.user = testUser;
       mockReq.params = { userId: testUser._id.toString() };
 
       const middleware = requireSelfOrAdmin('userId');
-      middleware(mockReq, mockRes, mockNext);
+      await middleware(mockReq, mockRes, mockNext);
 
       expect(mockNext).toHaveBeenCalledWith();
     });
 
-    it('should allow access for user to their own resource from body', () => {
+    it('should allow access for user to their own resource from body', async () => {
       mockReq.user = testUser;
       mockReq.body = { userId: testUser._id.toString() };
 
       const middleware = requireSelfOrAdmin('userId');
-      middleware(mockReq, mockRes, mockNext);
+      await middleware(mockReq, mockRes, mockNext);
 
       expect(mockNext).toHaveBeenCalledWith();
     });
 
-    it('should deny access for user to another user\'s resource', () => {
+    it('should deny access for user to another user\'s resource', async () => {
       mockReq.user = testUser;
       mockReq.params = { userId: adminUser._id.toString() };
 
       const middleware = requireSelfOrAdmin('userId');
-      middleware(mockReq, mockRes, mockNext);
+      await middleware(mockReq, mockRes, mockNext);
 
       expect(mockRes.status).toHaveBeenCalledWith(403);
       expect(mockRes.json).toHaveBeenCalledWith({ error: 'Access denied' });
       expect(mockNext).not.toHaveBeenCalled();
     });
 
-    it('should return 401 for unauthenticated user', () => {
+    it('should return 401 for unauthenticated user', async () => {
       mockReq.user = null;
       mockReq.params = { userId: testUser._id.toString() };
 
       const middleware = requireSelfOrAdmin('userId');
-      middleware(mockReq, mockRes, mockNext);
+      await middleware(mockReq, mockRes, mockNext);
 
       expect(mockRes.status).toHaveBeenCalledWith(401);
       expect(mockRes.json).toHaveBeenCalledWith({ error: 'Authentication required' });
       expect(mockNext).not.toHaveBeenCalled();
     });
 
-    it('should use default field name when not specified', () => {
+    it('should use default field name when not specified', async () => {
       mockReq.user = testUser;
       mockReq.params = { userId: testUser._id.toString() };
 
       const middleware = requireSelfOrAdmin();
-      middleware(mockReq, mockRes, mockNext);
+      await middleware(mockReq, mockRes, mockNext);
 
       expect(mockNext).toHaveBeenCalledWith();
     });
   });
 
   describe('authRateLimit', () => {
+    const loginThrottle = require('../../src/utils/loginThrottle');
+
+    beforeEach(() => {
+      loginThrottle.clearAll();
+    });
+
     it('should call next function', () => {
       authRateLimit(mockReq, mockRes, mockNext);
 
       expect(mockNext).toHaveBeenCalledWith();
     });
+
+    it('should reject requests from a throttled IP with 429', () => {
+      mockReq.ip = '203.0.113.7';
+      for (let i = 0; i < 11; i++) {
+        loginThrottle.recordFailure(mockReq.ip);
+      }
+
+      authRateLimit(mockReq, mockRes, mockNext);
+
+      const error = mockNext.mock.calls[0][0];
+      expect(error.statusCode).toBe(429);
+      expect(error.retryAfter).toBeGreaterThan(0);
+    });
+
+    it('should not forget failures when a response succeeds without a login', () => {
+      mockReq.ip = '203.0.113.8';
+      for (let i = 0; i < 10; i++) {
+        loginThrottle.recordFailure(mockReq.ip);
+      }
+
+      // e.g. the 200 "two-factor authentication required" response
+      mockRes.on = jest.fn();
+      mockRes.statusCode = 200;
+      authRateLimit(mockReq, mockRes, mockNext);
+      mockRes.on.mock.calls[0][1]();
+
+      expect(loginThrottle.recordFailure(mockReq.ip)).toBeGreaterThan(0);
+    });
   });
 
   describe('Error Handling', () => {
@@ -389,6 +425,22 @@ describe('Auth Middleware', () => {
       expect(mockRes.json).toHaveBeenCalledWith({ error: 'Authentication failed' });
     });
 
+    it('should pass expired tokens to the error handler with a precise code', async () => {
+      const expiredToken = jwt.sign(
+        { id: '507f1f77bcf86cd799439011', exp: Math.floor(Date.now() / 1000) - 60 },
+        process.env.JWT_SECRET || 'your-secret-key',
+        { issuer: 'mern-testing-app', audience: 'mern-testing-users' }
+      );
+      mockReq.header.mockReturnValue(`Bearer ${expiredToken}`);
+
+      await authenticate(mockReq, mockRes, mockNext);
+
+      const error = mockNext.mock.calls[0][0];
+      expect(error.code).toBe('TOKEN_EXPIRED');
+      expect(error.statusCode).toBe(401);
+      expect(mockRes.status).not.toHaveBeenCalled();
+    });
+
     it('should handle database errors gracefully', async () => {
       const validToken = generateToken({
         _id: '507f1f77bcf86cd799439011',
@@ -0,0 +1,93 @@
+const { getIpRange, getDeviceId } = require('../../src/utils/loginHistory');
+const { setNotifier, notifySuspiciousLogin } = require('../../src/utils/loginNotifier');
+const { setTransport, getSentMail, clearSentMail } = require('../../src/utils/mailer');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+describe('Login History', () => {
+  describe('getIpRange', () => {
+    it('should group IPv4 addresses by /24', () => {
+      expect(getIpRange('203.0.113.57')).toBe('203.0.113.0/24');
+      expect(getIpRange('::ffff:203.0.113.57')).toBe('203.0.113.0/24');
+    });
+
+    it('should group IPv6 addresses by /48', () => {
+      expect(getIpRange('2001:db8:abcd:12::1')).toBe('2001:db8:abcd::/48');
+      expect(getIpRange('2001:0db8::1')).toBe('2001:db8:0::/48');
+    });
+
+    it('should return null for missing or invalid addresses', () => {
+      expect(getIpRange(undefined)).toBeNull();
+      expect(getIpRange('not-an-ip')).toBeNull();
+    });
+  });
+
+  describe('getDeviceId', () => {
+    it('should ignore browser version changes', () => {
+      const before = getDeviceId('Mozilla/5.0 (X11; Linux x86_64) Firefox/120.0');
+      const after = getDeviceId('Mozilla/5.0 (X11; Linux x86_64) Firefox/121.0');
+
+      expect(before).toBe(after);
+      expect(getDeviceId('Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) Safari/604.1')).not.toBe(before);
+    });
+
+    it('should return null without a user agent', () => {
+      expect(getDeviceId(null)).toBeNull();
+    });
+  });
+
+  describe('notifySuspiciousLogin', () => {
+    const user = { email: 'test@example.com', username: 'testuser' };
+    const loginEvent = {
+      ip: '203.0.113.57',
+      userAgent: 'Firefox',
+      suspiciousReasons: ['new-device'],
+      createdAt: new Date()
+    };
+
+    beforeEach(() => {
+      setTransport('memory');
+      clearSentMail();
+    });
+
+    it('should email the user by default', async () => {
+      setNotifier('email');
+
+      await notifySuspiciousLogin(user, loginEvent);
+
+      const sent = getSentMail();
+      expect(sent).toHaveLength(1);
+      expect(sent[0].subject).toBe('New sign-in to your account');
+      expect(sent[0].text).toContain('203.0.113.57');
+    });
+
+    it('should use a custom notifier', async () => {
+      const notify = jest.fn().mockResolvedValue();
+      setNotifier({ notify });
+
+      await notifySuspiciousLogin(user, loginEvent);
+
+      expect(notify).toHaveBeenCalledWith(user, loginEvent);
+      expect(getSentMail()).toHaveLength(0);
+    });
+
+    it('should not throw when the notifier fails', async () => {
+      setNotifier({ notify: jest.fn().mockRejectedValue(new Error('down')) });
+
+      await expect(notifySuspiciousLogin(user, loginEvent)).resolves.toBeUndefined();
+    });
+
+    it('should reject invalid notifiers', () => {
+      expect(() => setNotifier('pigeon')).toThrow('Unknown login notifier');
+      expect(() => setNotifier({})).toThrow('must implement notify');
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const loginThrottle = require('../../src/utils/loginThrottle');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+describe('Login Throttle', () => {
+  const ip = '203.0.113.7';
+
+  beforeEach(() => {
+    loginThrottle.clearAll();
+  });
+
+  describe('recordFailure', () => {
+    it('should not delay the first attempts', () => {
+      for (let i = 0; i < 10; i++) {
+        expect(loginThrottle.recordFailure(ip)).toBe(0);
+      }
+
+      expect(loginThrottle.getRetryAfter(ip)).toBe(0);
+      expect(loginThrottle.getFailureCount(ip)).toBe(10);
+    });
+
+    it('should back off exponentially after the free attempts', () => {
+      for (let i = 0; i < 10; i++) {
+        loginThrottle.recordFailure(ip);
+      }
+
+      expect(loginThrottle.recordFailure(ip)).toBe(2);
+      expect(loginThrottle.recordFailure(ip)).toBe(4);
+      expect(loginThrottle.recordFailure(ip)).toBe(8);
+      expect(loginThrottle.getRetryAfter(ip)).toBeGreaterThan(0);
+    });
+
+    it('should cap the delay', () => {
+      for (let i = 0; i < 40; i++) {
+        loginThrottle.recordFailure(ip);
+      }
+
+      expect(loginThrottle.getRetryAfter(ip)).toBeLessThanOrEqual(15 * 60);
+    });
+
+    it('should ignore a missing key', () => {
+      expect(loginThrottle.recordFailure(undefined)).toBe(0);
+      expect(loginThrottle.getRetryAfter(undefined)).toBe(0);
+    });
+  });
+
+  describe('resetFailures', () => {
+    it('should forget failures for the key only', () => {
+      for (let i = 0; i < 12; i++) {
+        loginThrottle.recordFailure(ip);
+      }
+      loginThrottle.recordFailure('198.51.100.1');
+
+      loginThrottle.resetFailures(ip);
+
+      expect(loginThrottle.getRetryAfter(ip)).toBe(0);
+      expect(loginThrottle.getFailureCount(ip)).toBe(0);
+      expect(loginThrottle.getFailureCount('198.51.100.1')).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const {
+  sendMail,
+  setTransport,
+  getSentMail,
+  clearSentMail,
+  buildClientLink
+} = require('../../src/utils/mailer');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+describe('Mailer', () => {
+  beforeEach(() => {
+    setTransport('memory');
+    clearSentMail();
+  });
+
+  describe('sendMail', () => {
+    it('should deliver messages through the memory transport', async () => {
+      await sendMail({ to: 'test@example.com', subject: 'Hello', text: 'Body' });
+
+      const sent = getSentMail();
+      expect(sent).toHaveLength(1);
+      expect(sent[0].to).toBe('test@example.com');
+      expect(sent[0].subject).toBe('Hello');
+      expect(sent[0].from).toBeDefined();
+    });
+
+    it('should use a custom transport', async () => {
+      const send = jest.fn().mockResolvedValue();
+      setTransport({ send });
+
+      await sendMail({ to: 'test@example.com', subject: 'Hello', text: 'Body' });
+
+      expect(send).toHaveBeenCalledWith(expect.objectContaining({ to: 'test@example.com' }));
+      expect(getSentMail()).toHaveLength(0);
+    });
+
+    it('should throw error when the transport fails', async () => {
+      setTransport({ send: jest.fn().mockRejectedValue(new Error('SMTP down')) });
+
+      await expect(sendMail({ to: 'test@example.com', subject: 'Hello', text: 'Body' }))
+        .rejects.toThrow('Mail delivery failed');
+    });
+  });
+
+  describe('setTransport', () => {
+    it('should throw error for unknown transport name', () => {
+      expect(() => setTransport('carrier-pigeon')).toThrow('Unknown mail transport: carrier-pigeon');
+    });
+
+    it('should throw error for transport without send', () => {
+      expect(() => setTransport({})).toThrow('Mail transport must implement send(message)');
+    });
+  });
+
+  describe('buildClientLink', () => {
+    it('should build a client URL with query parameters', () => {
+      const link = buildClientLink('/verify-email', { token: 'abc' });
+
+      expect(link).toBe('http://localhost:5173/verify-email?token=abc');
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const {
+  identifyHash,
+  hashPassword,
+  verifyPassword,
+  needsRehash
+} = require('../../src/utils/passwordHasher');
+const bcrypt = require('bcryptjs');
+
+describe('Password Hasher', () => {
+  beforeEach(() => {
+    process.env.BCRYPT_ROUNDS = '4';
+    process.env.ARGON2_MEMORY_COST = '1024';
+  });
+
+  afterEach(() => {
+    delete process.env.BCRYPT_ROUNDS;
+    delete process.env.ARGON2_MEMORY_COST;
+    delete process.env.PASSWORD_HASH_ALGORITHM;
+  });
+
+  it('should hash with bcrypt and the configured cost by default', async () => {
+    const hash = await hashPassword('Password123');
+
+    expect(identifyHash(hash)).toEqual({ algorithm: 'bcrypt', params: { rounds: 4 } });
+    expect(await verifyPassword('Password123', hash)).toBe(true);
+    expect(await verifyPassword('WrongPassword1', hash)).toBe(false);
+  });
+
+  it('should hash with argon2id when configured', async () => {
+    process.env.PASSWORD_HASH_ALGORITHM = 'argon2id';
+
+    const hash = await hashPassword('Password123');
+
+    expect(hash.startsWith('$argon2id$')).toBe(true);
+    expect(identifyHash(hash)).toEqual({
+      algorithm: 'argon2id',
+      params: { memoryCost: 1024, timeCost: 2, parallelism: 1 }
+    });
+    expect(await verifyPassword('Password123', hash)).toBe(true);
+    expect(await verifyPassword('WrongPassword1', hash)).toBe(false);
+  });
+
+  it('should verify hashes made with either algorithm', async () => {
+    const bcryptHash = await hashPassword('Password123');
+    process.env.PASSWORD_HASH_ALGORITHM = 'argon2id';
+
+    expect(await verifyPassword('Password123', bcryptHash)).toBe(true);
+  });
+
+  it('should flag hashes with outdated parameters for rehashing', async () => {
+    const oldHash = await bcrypt.hash('Password123', 5);
+    const currentHash = await hashPassword('Password123');
+
+    expect(needsRehash(oldHash)).toBe(true);
+    expect(needsRehash(currentHash)).toBe(false);
+
+    process.env.PASSWORD_HASH_ALGORITHM = 'argon2id';
+    expect(needsRehash(currentHash)).toBe(true);
+
+    const argon2Hash = await hashPassword('Password123');
+    expect(needsRehash(argon2Hash)).toBe(false);
+
+    process.env.ARGON2_MEMORY_COST = '2048';
+    expect(needsRehash(argon2Hash)).toBe(true);
+  });
+
+  it('should reject unknown hashes and algorithms', async () => {
+    expect(identifyHash('plaintext')).toBeNull();
+    expect(needsRehash('plaintext')).toBe(false);
+    expect(await verifyPassword('plaintext', 'plaintext')).toBe(false);
+
+    process.env.PASSWORD_HASH_ALGORITHM = 'md5';
+    await expect(hashPassword('Password123')).rejects.toThrow('Unknown password hash algorithm: md5');
+  });
+});
@@ -0,0 +1,72 @@
+const {
+  getPasswordPolicy,
+  validatePassword,
+  isPasswordReused,
+  resetBlocklist
+} = require('../../src/utils/passwordPolicy');
+const bcrypt = require('bcryptjs');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+describe('Password Policy', () => {
+  const rules = (password, context) => validatePassword(password, context).map(error => error.rule);
+
+  afterEach(() => {
+    delete process.env.PASSWORD_MIN_LENGTH;
+    delete process.env.PASSWORD_REQUIRED_CLASSES;
+    delete process.env.PASSWORD_BLOCKLIST_FILE;
+    resetBlocklist();
+  });
+
+  it('should accept a strong password', () => {
+    expect(validatePassword('Correct7Horse', { username: 'testuser', email: 'test@example.com' })).toEqual([]);
+  });
+
+  it('should report every failed rule with its own message', () => {
+    const errors = validatePassword('abc');
+
+    expect(errors.map(error => error.rule)).toEqual(['minLength', 'uppercase', 'digit']);
+    expect(errors[0].message).toBe('Password must be at least 8 characters long');
+    expect(errors[1].message).toBe('Password must contain at least one uppercase letter');
+  });
+
+  it('should reject passwords containing the username or email', () => {
+    expect(rules('Janedoe2024', { username: 'janedoe' })).toEqual(['personalInfo']);
+    expect(rules('Xx-jdoe-2024', { email: 'jdoe@example.com' })).toEqual(['personalInfo']);
+    expect(rules('Abcdefgh123', { username: 'ab' })).toEqual([]);
+  });
+
+  it('should reject common passwords from the bundled list', () => {
+    expect(rules('Welcome123')).toEqual(['common']);
+    expect(rules('P@ssw0rd')).toContain('common');
+  });
+
+  it('should follow the configured length and character classes', () => {
+    process.env.PASSWORD_MIN_LENGTH = '12';
+    process.env.PASSWORD_REQUIRED_CLASSES = 'lowercase,symbol';
+
+    expect(getPasswordPolicy().requiredClasses).toEqual(['lowercase', 'symbol']);
+    expect(rules('short-pass')).toEqual(['minLength']);
+    expect(rules('longerpassword')).toEqual(['symbol']);
+  });
+
+  it('should treat a missing blocklist file as empty', () => {
+    process.env.PASSWORD_BLOCKLIST_FILE = '/nonexistent/passwords.txt';
+
+    expect(rules('Welcome123')).toEqual([]);
+  });
+
+  it('should detect reuse of previous passwords', async () => {
+    const hashes = [await bcrypt.hash('OldPassword1', 4), await bcrypt.hash('OlderPassword1', 4)];
+
+    expect(await isPasswordReused('OlderPassword1', hashes)).toBe(true);
+    expect(await isPasswordReused('BrandNew1', hashes)).toBe(false);
+  });
+});
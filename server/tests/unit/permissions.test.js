@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Role = require('../../src/models/Role');
+const { can, clearPermissionCache, roleExists, DEFAULT_ROLES, PERMISSIONS } = require('../../src/utils/permissions');
+
+describe('Permissions', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const user = { _id: userId, role: 'user' };
+  const moderator = { _id: new mongoose.Types.ObjectId(), role: 'moderator' };
+  const ownPost = { author: userId };
+  const otherPost = { author: new mongoose.Types.ObjectId() };
+
+  beforeEach(() => {
+    clearPermissionCache();
+    jest.spyOn(Role, 'findOne').mockReturnValue({ lean: () => Promise.resolve(null) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should only define built-in roles with registered permissions', () => {
+    Object.values(DEFAULT_ROLES).flat().forEach((permission) => {
+      expect(PERMISSIONS).toHaveProperty([permission]);
+    });
+  });
+
+  it('should allow own-only actions on owned resources', async () => {
+    expect(await can(user, 'post.update', ownPost)).toBe(true);
+    expect(await can(user, 'post.update', otherPost)).toBe(false);
+    expect(await can(user, 'post.update')).toBe(false);
+  });
+
+  it('should treat populated authors as owners', async () => {
+    expect(await can(user, 'post.delete', { author: { _id: userId, username: 'me' } })).toBe(true);
+  });
+
+  it('should allow any-scoped actions on every resource', async () => {
+    expect(await can(moderator, 'post.update', otherPost)).toBe(true);
+    expect(await can(moderator, 'user.role.change')).toBe(false);
+  });
+
+  it('should use stored role overrides and cache them', async () => {
+    Role.findOne.mockReturnValue({ lean: () => Promise.resolve({ name: 'user', permissions: ['user.list'] }) });
+
+    expect(await can(user, 'user.list')).toBe(true);
+    expect(await can(user, 'post.create')).toBe(false);
+    expect(Role.findOne).toHaveBeenCalledTimes(1);
+  });
+
+  it('should deny unknown roles and missing users', async () => {
+    expect(await can({ _id: userId, role: 'ghost' }, 'post.create')).toBe(false);
+    expect(await can(null, 'post.create')).toBe(false);
+  });
+
+  it('should not mistake object prototype keys for built-in roles', async () => {
+    jest.spyOn(Role, 'exists').mockResolvedValue(null);
+
+    for (const role of ['constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+      expect(await roleExists(role)).toBe(false);
+      expect(await can({ _id: userId, role }, 'post.create')).toBe(false);
+    }
+  });
+});
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const Post = require('../../src/models/Post');
+const Comment = require('../../src/models/Comment');
+const Role = require('../../src/models/Role');
+const { authorizeResource } = require('../../src/middleware/policy');
+const { clearPermissionCache } = require('../../src/utils/permissions');
+
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+describe('Policy Middleware', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const user = { _id: userId, role: 'user', email: 'user@example.com' };
+  const moderator = { _id: new mongoose.Types.ObjectId(), role: 'moderator', email: 'mod@example.com' };
+  const postId = new mongoose.Types.ObjectId().toString();
+  let mockReq, mockRes, mockNext;
+
+  beforeEach(() => {
+    clearPermissionCache();
+    jest.spyOn(Role, 'findOne').mockReturnValue({ lean: () => Promise.resolve(null) });
+    jest.spyOn(Post, 'findById').mockResolvedValue({ _id: postId, author: userId, title: 'Mine' });
+
+    mockReq = { user, params: { id: postId } };
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    mockNext = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should attach owned resources to the request', async () => {
+    await authorizeResource('post', 'update')(mockReq, mockRes, mockNext);
+
+    expect(mockNext).toHaveBeenCalledWith();
+    expect(mockReq.post.title).toBe('Mine');
+  });
+
+  it('should return 403 for resources owned by someone else', async () => {
+    Post.findById.mockResolvedValue({ _id: postId, author: new mongoose.Types.ObjectId() });
+
+    await authorizeResource('post', 'delete')(mockReq, mockRes, mockNext);
+
+    expect(mockRes.status).toHaveBeenCalledWith(403);
+    expect(mockRes.json).toHaveBeenCalledWith({ error: 'Not authorized to delete this post' });
+    expect(mockReq.post).toBeUndefined();
+  });
+
+  it('should allow any-scoped roles on every resource', async () => {
+    Post.findById.mockResolvedValue({ _id: postId, author: new mongoose.Types.ObjectId() });
+    mockReq.user = moderator;
+
+    await authorizeResource('post', 'update')(mockReq, mockRes, mockNext);
+
+    expect(mockNext).toHaveBeenCalledWith();
+  });
+
+  it('should return 404 for missing resources and invalid ids', async () => {
+    Post.findById.mockResolvedValue(null);
+    await authorizeResource('post', 'update')(mockReq, mockRes, mockNext);
+
+    mockReq.params.id = 'not-an-id';
+    await authorizeResource('post', 'update')(mockReq, mockRes, mockNext);
+
+    expect(mockRes.status).toHaveBeenCalledTimes(2);
+    expect(mockRes.status).toHaveBeenCalledWith(404);
+    expect(mockRes.json).toHaveBeenCalledWith({ error: 'Post not found' });
+    expect(Post.findById).toHaveBeenCalledTimes(1);
+  });
+
+  it('should only find nested resources under their parent', async () => {
+    const commentId = new mongoose.Types.ObjectId().toString();
+    jest.spyOn(Comment, 'findById').mockResolvedValue({ _id: commentId, post: new mongoose.Types.ObjectId(), author: userId });
+    mockReq.params.commentId = commentId;
+
+    await authorizeResource('comment', 'update', { param: 'commentId' })(mockReq, mockRes, mockNext);
+    expect(mockRes.status).toHaveBeenCalledWith(404);
+    expect(mockRes.json).toHaveBeenCalledWith({ error: 'Comment not found' });
+
+    Comment.findById.mockResolvedValue({ _id: commentId, post: postId, author: userId });
+    await authorizeResource('comment', 'update', { param: 'commentId' })(mockReq, mockRes, mockNext);
+    expect(mockNext).toHaveBeenCalledWith();
+    expect(mockReq.comment.post).toBe(postId);
+  });
+
+  it('should reject users without the permission before loading', async () => {
+    await authorizeResource('user', 'role.change')(mockReq, mockRes, mockNext);
+
+    expect(mockRes.status).toHaveBeenCalledWith(403);
+    expect(mockRes.json).toHaveBeenCalledWith({ error: 'Insufficient permissions' });
+  });
+
+  it('should return 401 without a user', async () => {
+    mockReq.user = null;
+
+    await authorizeResource('post', 'update')(mockReq, mockRes, mockNext);
+
+    expect(mockRes.status).toHaveBeenCalledWith(401);
+    expect(Post.findById).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,62 @@
+const Post = require('../../src/models/Post');
+const { publishDuePosts, startPostScheduler, stopPostScheduler } = require('../../src/utils/postScheduler');
+const { logger } = require('../../src/utils/logger');
+
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+describe('Post Scheduler', () => {
+  afterEach(() => {
+    stopPostScheduler();
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  it('should publish due posts until none are left', async () => {
+    const now = new Date();
+    jest.spyOn(Post, 'publishNextDue')
+      .mockResolvedValueOnce({ _id: 'a', title: 'First' })
+      .mockResolvedValueOnce({ _id: 'b', title: 'Second' })
+      .mockResolvedValueOnce(null);
+
+    const published = await publishDuePosts(now);
+
+    expect(published.map(post => post.title)).toEqual(['First', 'Second']);
+    expect(Post.publishNextDue).toHaveBeenCalledTimes(3);
+    expect(Post.publishNextDue).toHaveBeenCalledWith(now);
+  });
+
+  it('should check for due posts on an interval', async () => {
+    jest.useFakeTimers();
+    jest.spyOn(Post, 'publishNextDue').mockResolvedValue(null);
+
+    startPostScheduler({ intervalMs: 1000 });
+    await Promise.resolve();
+    expect(Post.publishNextDue).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(Post.publishNextDue).toHaveBeenCalledTimes(3);
+
+    stopPostScheduler();
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(Post.publishNextDue).toHaveBeenCalledTimes(3);
+  });
+
+  it('should keep running after a failed pass', async () => {
+    jest.useFakeTimers();
+    jest.spyOn(Post, 'publishNextDue')
+      .mockRejectedValueOnce(new Error('connection lost'))
+      .mockResolvedValue(null);
+
+    startPostScheduler({ intervalMs: 1000 });
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(logger.error).toHaveBeenCalledWith('Scheduled publishing failed:', 'connection lost');
+    expect(Post.publishNextDue).toHaveBeenCalledTimes(2);
+  });
+});
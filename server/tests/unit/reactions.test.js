@@ -0,0 +1,30 @@
+const { getReactionTypes, isReactionType, DEFAULT_REACTIONS } = require('../../src/utils/reactions');
+
+describe('Reaction Types', () => {
+  afterEach(() => {
+    delete process.env.REACTION_TYPES;
+  });
+
+  it('should use the built-in reactions by default', () => {
+    expect(getReactionTypes().map(reaction => reaction.type)).toEqual(Object.keys(DEFAULT_REACTIONS));
+    expect(isReactionType('love')).toBe(true);
+    expect(isReactionType('meh')).toBe(false);
+  });
+
+  it('should read the reaction set from REACTION_TYPES', () => {
+    process.env.REACTION_TYPES = 'like, Love ,insightful:💡';
+
+    expect(getReactionTypes()).toEqual([
+      { type: 'like', emoji: '👍' },
+      { type: 'love', emoji: '❤️' },
+      { type: 'insightful', emoji: '💡' }
+    ]);
+    expect(isReactionType('laugh')).toBe(false);
+  });
+
+  it('should skip reactions without an emoji or with unsafe names', () => {
+    process.env.REACTION_TYPES = 'like,unknown,bad.name:🙃,$set:🙃';
+
+    expect(getReactionTypes()).toEqual([{ type: 'like', emoji: '👍' }]);
+  });
+});
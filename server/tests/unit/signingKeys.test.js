@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const {
+  getSigningKey,
+  getVerificationKey,
+  getJwks,
+  assertSecureConfiguration,
+  resetKeyring
+} = require('../../src/utils/signingKeys');
+const { generateToken, verifyToken } = require('../../src/utils/auth');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const pem = (keyPair) => ({
+  privateKey: keyPair.privateKey.export({ type: 'pkcs8', format: 'pem' }),
+  publicKey: keyPair.publicKey.export({ type: 'spki', format: 'pem' })
+});
+
+describe('Signing keys', () => {
+  const originalEnv = process.env;
+  const rsaKeys = pem(crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }));
+  const ecKeys = pem(crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }));
+
+  const mockUser = {
+    _id: '507f1f77bcf86cd799439011',
+    email: 'test@example.com',
+    username: 'testuser',
+    role: 'user'
+  };
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    delete process.env.JWT_SIGNING_KEYS;
+    delete process.env.JWT_SIGNING_KEYS_FILE;
+    delete process.env.JWT_ACTIVE_KID;
+    resetKeyring();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    resetKeyring();
+  });
+
+  it('should fall back to a default HS256 key from JWT_SECRET', () => {
+    process.env.JWT_SECRET = 'fallback-secret';
+
+    const key = getSigningKey();
+    expect(key.kid).toBe('default');
+    expect(key.alg).toBe('HS256');
+
+    const token = generateToken(mockUser);
+    expect(jwt.decode(token, { complete: true }).header.kid).toBe('default');
+    expect(verifyToken(token).id).toBe(mockUser._id);
+  });
+
+  it('should sign with the active key and verify with retired keys', () => {
+    process.env.JWT_SIGNING_KEYS = JSON.stringify([
+      { kid: 'old', alg: 'HS256', secret: 'old-secret' }
+    ]);
+    const oldToken = generateToken(mockUser);
+
+    process.env.JWT_SIGNING_KEYS = JSON.stringify([
+      { kid: 'rsa-2024', alg: 'RS256', ...rsaKeys },
+      { kid: 'old', alg: 'HS256', secret: 'old-secret' }
+    ]);
+    resetKeyring();
+
+    const newToken = generateToken(mockUser);
+    const { header } = jwt.decode(newToken, { complete: true });
+    expect(header.kid).toBe('rsa-2024');
+    expect(header.alg).toBe('RS256');
+
+    expect(verifyToken(newToken).id).toBe(mockUser._id);
+    expect(verifyToken(oldToken).id).toBe(mockUser._id);
+  });
+
+  it('should honour JWT_ACTIVE_KID', () => {
+    process.env.JWT_SIGNING_KEYS = JSON.stringify([
+      { kid: 'rsa', alg: 'RS256', ...rsaKeys },
+      { kid: 'ec', alg: 'ES256', ...ecKeys }
+    ]);
+    process.env.JWT_ACTIVE_KID = 'ec';
+
+    const token = generateToken(mockUser);
+    expect(jwt.decode(token, { complete: true }).header.alg).toBe('ES256');
+    expect(verifyToken(token).id).toBe(mockUser._id);
+  });
+
+  it('should reject tokens signed with unknown or expired keys', () => {
+    process.env.JWT_SIGNING_KEYS = JSON.stringify([
+      { kid: 'retired', alg: 'HS256', secret: 'retired-secret' }
+    ]);
+    const retiredToken = generateToken(mockUser);
+
+    process.env.JWT_SIGNING_KEYS = JSON.stringify([
+      { kid: 'current', alg: 'HS256', secret: 'current-secret' },
+      { kid: 'retired', alg: 'HS256', secret: 'retired-secret', notAfter: new Date(Date.now() - 1000).toISOString() }
+    ]);
+    resetKeyring();
+
+    expect(getVerificationKey('retired')).toBeNull();
+    expect(() => verifyToken(retiredToken)).toThrow('Invalid token');
+
+    const unknownToken = jwt.sign({ id: mockUser._id }, 'current-secret', { keyid: 'unknown' });
+    expect(() => verifyToken(unknownToken)).toThrow('Invalid token');
+  });
+
+  it('should not accept a token whose algorithm does not match its key', () => {
+    process.env.JWT_SIGNING_KEYS = JSON.stringify([
+      { kid: 'rsa', alg: 'RS256', ...rsaKeys }
+    ]);
+
+    // Classic key confusion: HMAC-sign with the public key
+    const forged = jwt.sign({ id: mockUser._id }, rsaKeys.publicKey, {
+      algorithm: 'HS256',
+      keyid: 'rsa',
+      allowInsecureKeySizes: true
+    });
+    expect(() => verifyToken(forged)).toThrow('Invalid token');
+  });
+
+  it('should publish only public asymmetric keys in the JWKS', () => {
+    process.env.JWT_SIGNING_KEYS = JSON.stringify([
+      { kid: 'rsa', alg: 'RS256', ...rsaKeys },
+      { kid: 'ec', alg: 'ES256', publicKey: ecKeys.publicKey },
+      { kid: 'hmac', alg: 'HS256', secret: 'hmac-secret' }
+    ]);
+
+    const { keys } = getJwks();
+    expect(keys.map(key => key.kid)).toEqual(['rsa', 'ec']);
+    expect(keys[0]).toMatchObject({ kty: 'RSA', alg: 'RS256', use: 'sig' });
+    expect(keys[0].d).toBeUndefined();
+    expect(keys[1]).toMatchObject({ kty: 'EC', crv: 'P-256', alg: 'ES256' });
+  });
+
+  it('should reject invalid key configuration', () => {
+    process.env.JWT_SIGNING_KEYS = JSON.stringify([
+      { kid: 'ec', alg: 'RS256', ...ecKeys }
+    ]);
+    expect(() => getSigningKey()).toThrow('not a valid RS256 key');
+
+    resetKeyring();
+    process.env.JWT_SIGNING_KEYS = JSON.stringify([
+      { kid: 'verify-only', alg: 'ES256', publicKey: ecKeys.publicKey }
+    ]);
+    expect(() => getSigningKey()).toThrow('missing or verify-only');
+  });
+
+  describe('assertSecureConfiguration', () => {
+    it('should refuse the default secret in production', () => {
+      process.env.NODE_ENV = 'production';
+      delete process.env.JWT_SECRET;
+
+      expect(() => assertSecureConfiguration()).toThrow('default JWT secret');
+    });
+
+    it('should allow a configured secret in production', () => {
+      process.env.NODE_ENV = 'production';
+      process.env.JWT_SECRET = 'a-real-production-secret';
+
+      expect(() => assertSecureConfiguration()).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,56 @@
+const { diffWords } = require('../../src/utils/textDiff');
+
+describe('Text Diff', () => {
+  const join = (parts, types) => parts.filter(part => types.includes(part.type)).map(part => part.value).join('');
+
+  it('should mark replaced and added words', () => {
+    expect(diffWords('the quick brown fox jumps', 'the slow brown fox leaps high')).toEqual([
+      { type: 'equal', value: 'the ' },
+      { type: 'delete', value: 'quick' },
+      { type: 'insert', value: 'slow' },
+      { type: 'equal', value: ' brown fox ' },
+      { type: 'delete', value: 'jumps' },
+      { type: 'insert', value: 'leaps high' }
+    ]);
+  });
+
+  it('should rebuild both texts from the parts', () => {
+    const oldText = 'One two three.\n\nFour five six seven.';
+    const newText = 'One three.\n\nFour 5 six seven, eight.';
+    const parts = diffWords(oldText, newText);
+
+    expect(join(parts, ['equal', 'delete'])).toBe(oldText);
+    expect(join(parts, ['equal', 'insert'])).toBe(newText);
+  });
+
+  it('should stay fast and small for large unrelated texts', () => {
+    const words = (prefix, count) => Array.from({ length: count }, (_, i) => `${prefix}${i % 97}`).join(' ');
+    const oldText = words('alpha', 2500);
+    const newText = words('beta', 2500);
+
+    const started = Date.now();
+    const parts = diffWords(oldText, newText);
+
+    expect(Date.now() - started).toBeLessThan(500);
+    expect(join(parts, ['equal', 'delete'])).toBe(oldText);
+    expect(join(parts, ['equal', 'insert'])).toBe(newText);
+  });
+
+  it('should fall back to a line diff for large changes', () => {
+    const lines = (prefix) => Array.from({ length: 40 }, (_, i) => `${prefix} line ${i} ${'word '.repeat(30)}`.trim()).join('\n');
+    const oldText = `Shared first line\n${lines('old')}\nShared middle line\n${lines('older')}`;
+    const newText = `Shared first line\n${lines('new')}\nShared middle line\n${lines('newer')}`;
+
+    const parts = diffWords(oldText, newText);
+
+    expect(parts.some(part => part.type === 'equal' && part.value.includes('Shared middle line'))).toBe(true);
+    expect(join(parts, ['equal', 'delete'])).toBe(oldText);
+    expect(join(parts, ['equal', 'insert'])).toBe(newText);
+  });
+
+  it('should handle empty and identical texts', () => {
+    expect(diffWords('', 'hello world')).toEqual([{ type: 'insert', value: 'hello world' }]);
+    expect(diffWords('hello world', null)).toEqual([{ type: 'delete', value: 'hello world' }]);
+    expect(diffWords('same text', 'same text')).toEqual([{ type: 'equal', value: 'same text' }]);
+  });
+});
@@ -0,0 +1,96 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes
+} = require('../../src/utils/totp');
+
+describe('TOTP Utilities', () => {
+  // Secret from the RFC 4226 / RFC 6238 test vectors
+  const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+
+  describe('base32', () => {
+    it('should round-trip arbitrary bytes', () => {
+      const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+
+      expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    });
+
+    it('should encode the RFC 4648 test vector', () => {
+      expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    });
+
+    it('should throw error for invalid characters', () => {
+      expect(() => base32Decode('not base32!')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateHotp', () => {
+    it('should match the RFC 4226 test vectors', () => {
+      expect(generateHotp(rfcSecret, 0)).toBe('755224');
+      expect(generateHotp(rfcSecret, 1)).toBe('287082');
+      expect(generateHotp(rfcSecret, 9)).toBe('520489');
+    });
+  });
+
+  describe('generateTotp', () => {
+    it('should match the RFC 6238 test vectors', () => {
+      expect(generateTotp(rfcSecret, 59 * 1000)).toBe('287082');
+      expect(generateTotp(rfcSecret, 1111111109 * 1000)).toBe('081804');
+      expect(generateTotp(rfcSecret, 1234567890 * 1000)).toBe('005924');
+    });
+  });
+
+  describe('verifyTotp', () => {
+    const secret = generateSecret();
+    const time = Date.UTC(2024, 0, 1, 12, 0, 0);
+
+    it('should accept the current code', () => {
+      const code = generateTotp(secret, time);
+
+      expect(verifyTotp(secret, code, { time })).toBe(Math.floor(time / 30000));
+    });
+
+    it('should accept a code from the previous time step', () => {
+      const code = generateTotp(secret, time - 30000);
+
+      expect(verifyTotp(secret, code, { time })).not.toBeNull();
+    });
+
+    it('should reject a code outside the window', () => {
+      const code = generateTotp(secret, time - 5 * 60000);
+
+      expect(verifyTotp(secret, code, { time })).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+      expect(verifyTotp(secret, '12345', { time })).toBeNull();
+      expect(verifyTotp(secret, 'abcdef', { time })).toBeNull();
+      expect(verifyTotp(secret, undefined, { time })).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('should build a URI authenticator apps understand', () => {
+      const uri = buildOtpauthUri({ secret: 'ABC', label: 'test@example.com', issuer: 'MERN App' });
+
+      expect(uri).toMatch(/^otpauth:\/\/totp\/MERN%20App%3Atest%40example\.com\?/);
+      expect(uri).toContain('secret=ABC');
+      expect(uri).toContain('issuer=MERN+App');
+    });
+  });
+
+  describe('generateRecoveryCodes', () => {
+    it('should generate unique codes', () => {
+      const codes = generateRecoveryCodes(10);
+
+      expect(codes).toHaveLength(10);
+      expect(new Set(codes).size).toBe(10);
+      codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    });
+  });
+});